@@ -0,0 +1,324 @@
+/**
+ * Attachment Formats Module
+ *
+ * Decides which attachments are contract documents besides PDF. ZIP attachments (signed
+ * documents plus audit trail from some tools) are unpacked with Utilities.unzip and replaced
+ * by the files they contain. Formats in CONFIG.CONTRACT_FILE_FORMATS (e.g. docx, xlsx) are
+ * stored as they are and, with CONFIG.CONVERT_TO_PDF, also as a PDF copy converted through
+ * Google Docs/Sheets (requires the Drive advanced service). Stored documents are also classified
+ * as the contract or its certificate of completion / audit trail (CONFIG.AUDIT_DOCUMENTS).
+ */
+
+// === ATTACHMENT FORMAT CONFIGURATION ===
+const ATTACHMENT_FORMAT_CONFIG = {
+  ARCHIVE_EXTENSIONS: ['zip'],
+  
+  // Google editor type used to convert an allow-listed format to PDF
+  CONVERSION_TYPES: {
+    docx: 'application/vnd.google-apps.document',
+    doc: 'application/vnd.google-apps.document',
+    rtf: 'application/vnd.google-apps.document',
+    odt: 'application/vnd.google-apps.document',
+    xlsx: 'application/vnd.google-apps.spreadsheet',
+    xls: 'application/vnd.google-apps.spreadsheet',
+    ods: 'application/vnd.google-apps.spreadsheet'
+  },
+  
+  // Archive entries that are never contract documents (macOS/Windows metadata)
+  IGNORED_ARCHIVE_ENTRIES: /(?:^|\/)(?:__MACOSX\/|\.DS_Store$|Thumbs\.db$|desktop\.ini$)/i,
+  
+  // Audit document detection (patterns are in CONFIG.AUDIT_DOCUMENTS)
+  PDF_TEXT_SCAN_BYTES: 64 * 1024,         // Leading and trailing bytes searched for markers (first page, document info, XMP metadata)
+  OCR_TEXT_LENGTH: 2000                   // OCR characters treated as the first page
+};
+
+/**
+ * Get the lower-case extension of a file name (pure function)
+ * ファイル名の拡張子を小文字で取得（純粋関数）
+ *
+ * @param {string} fileName - e.g. "Agreement.DOCX"
+ * @returns {string} - e.g. "docx", or '' without extension
+ */
+function getFileExtension(fileName) {
+  const match = String(fileName || '').match(/\.([^.\/\\]+)$/);
+  return match ? match[1].toLowerCase() : '';
+}
+
+/**
+ * Classify an attachment by file name (pure function)
+ * ファイル名から添付ファイルを分類（純粋関数）
+ *
+ * @param {string} fileName - Attachment file name
+ * @returns {string} - 'pdf', 'archive' (only with EXPAND_ZIP_ATTACHMENTS), 'contract_format' or 'other'
+ */
+function getAttachmentKind(fileName) {
+  const extension = getFileExtension(fileName);
+  
+  if (extension === 'pdf') return 'pdf';
+  if (CONFIG.EXPAND_ZIP_ATTACHMENTS && ATTACHMENT_FORMAT_CONFIG.ARCHIVE_EXTENSIONS.includes(extension)) return 'archive';
+  if ((CONFIG.CONTRACT_FILE_FORMATS || []).map(format => format.toLowerCase()).includes(extension)) return 'contract_format';
+  return 'other';
+}
+
+/**
+ * Check whether an attachment is stored in Drive (PDF or an allow-listed contract format)
+ * Driveに保存する添付ファイル（PDFまたは許可された契約書形式）かを判定
+ *
+ * @param {string} fileName - Attachment file name
+ * @returns {boolean} - true if the file is stored
+ */
+function isStoredDocumentName(fileName) {
+  const kind = getAttachmentKind(fileName);
+  return kind === 'pdf' || kind === 'contract_format';
+}
+
+/**
+ * Check whether an attachment is (or may contain) a contract document
+ * 添付ファイルが契約書（または契約書を含むアーカイブ）かを判定
+ *
+ * @param {string} fileName - Attachment file name
+ * @returns {boolean} - true for PDFs, allow-listed formats and ZIP archives
+ */
+function isContractAttachmentName(fileName) {
+  return getAttachmentKind(fileName) !== 'other';
+}
+
+/**
+ * File type label for the spreadsheet (pure function)
+ * スプレッドシート用のファイル形式ラベル（純粋関数）
+ *
+ * @param {string} fileName - Stored file name
+ * @returns {string} - e.g. "PDF", "DOCX"
+ */
+function getAttachmentFileType(fileName) {
+  return (getFileExtension(fileName) || 'unknown').toUpperCase();
+}
+
+/**
+ * Replace ZIP attachments by the files they contain
+ * ZIP添付ファイルを中身のファイルに置き換え
+ *
+ * Entries are returned with the GmailAttachment methods processAttachments() uses plus
+ * getSourceArchive(). Folders, OS metadata and nested archives are left out. An archive that
+ * cannot be unpacked is kept as it is (and then skipped as not a contract document).
+ *
+ * @param {Array} attachments - Gmail attachments (or attachment-like objects)
+ * @returns {Array} - Attachments with every archive expanded
+ */
+function expandArchiveAttachments(attachments) {
+  const expanded = [];
+  
+  attachments.forEach(attachment => {
+    const archiveName = attachment.getName();
+    if (getAttachmentKind(archiveName) !== 'archive') {
+      expanded.push(attachment);
+      return;
+    }
+    
+    try {
+      const entries = Utilities.unzip(attachment.copyBlob());
+      console.log(`Expanding ${archiveName}: ${entries.length} entries`);
+      
+      entries.forEach(entry => {
+        const entryPath = entry.getName() || '';
+        const entryName = entryPath.split('/').pop();
+        
+        if (!entryName || ATTACHMENT_FORMAT_CONFIG.IGNORED_ARCHIVE_ENTRIES.test(entryPath)) {
+          return;
+        }
+        if (ATTACHMENT_FORMAT_CONFIG.ARCHIVE_EXTENSIONS.includes(getFileExtension(entryName))) {
+          console.log(`Skipping nested archive ${entryPath} in ${archiveName}`);
+          return;
+        }
+        
+        const bytes = entry.getBytes();
+        expanded.push({
+          getName: () => entryName,
+          getSize: () => bytes.length,
+          copyBlob: () => Utilities.newBlob(bytes, entry.getContentType(), entryName),
+          getSourceArchive: () => archiveName
+        });
+      });
+      
+    } catch (error) {
+      console.error(`Could not unzip ${archiveName}:`, error);
+      expanded.push(attachment);
+    }
+  });
+  
+  return expanded;
+}
+
+/**
+ * Text that can be read from a PDF without rendering or decompressing it (pure function)
+ * PDFを描画・展開せずに読み取れるテキストを取得（純粋関数）
+ *
+ * Covers the leading bytes (first page of uncompressed PDFs) and the trailing bytes, where the
+ * document info (Title, Subject) and the XMP metadata usually are, including UTF-16 hex strings
+ * such as <FEFF5408610F...>. Strings that a TJ array splits for kerning, e.g.
+ * [(Certi)20(ficate)], are also joined. Compressed page streams are not read; their headings
+ * are found by file name, metadata or OCR_FIRST_PAGE.
+ *
+ * @param {Array<number>} bytes - PDF content (Blob.getBytes())
+ * @returns {string} - Latin-1 text of the leading and trailing bytes followed by the decoded strings
+ */
+function getPdfReadableText(bytes) {
+  const scanBytes = ATTACHMENT_FORMAT_CONFIG.PDF_TEXT_SCAN_BYTES;
+  const leadingEnd = Math.min(bytes.length, scanBytes);
+  const texts = [bytesToLatin1(bytes, 0, leadingEnd)];
+  if (bytes.length > leadingEnd) {
+    texts.push(bytesToLatin1(bytes, Math.max(leadingEnd, bytes.length - scanBytes), bytes.length));
+  }
+  const text = texts.join('\n');
+  
+  const decoded = [];
+  const hexPattern = /<FEFF((?:[0-9A-Fa-f]{4})+)>/g;
+  let match;
+  while ((match = hexPattern.exec(text)) !== null) {
+    decoded.push(match[1].match(/.{4}/g).map(unit => String.fromCharCode(parseInt(unit, 16))).join(''));
+  }
+  
+  const arrayPattern = /\[((?:\([^)]*\)|[\s\d.-])*)\]\s*TJ/g;
+  while ((match = arrayPattern.exec(text)) !== null) {
+    decoded.push((match[1].match(/\(([^)]*)\)/g) || []).map(part => part.slice(1, -1)).join(''));
+  }
+  
+  return [text].concat(decoded).join('\n');
+}
+
+/**
+ * Convert bytes to a Latin-1 string (pure function)
+ * バイト列をLatin-1文字列に変換（純粋関数）
+ *
+ * @param {Array<number>} bytes - Signed or unsigned bytes
+ * @param {number} start - First index
+ * @param {number} end - End index (exclusive)
+ * @returns {string} - One character per byte
+ */
+function bytesToLatin1(bytes, start, end) {
+  const chunks = [];
+  for (let i = start; i < end; i += 8192) {
+    const chunk = [];
+    for (let j = i; j < Math.min(end, i + 8192); j++) chunk.push(bytes[j] & 0xFF);
+    chunks.push(String.fromCharCode.apply(null, chunk));
+  }
+  return chunks.join('');
+}
+
+/**
+ * Read the first page of a PDF through Google Docs OCR
+ * GoogleドキュメントのOCRでPDFの1ページ目を読み取り
+ *
+ * Needs the Drive advanced service. Slow (a few seconds per file), so only used with
+ * CONFIG.AUDIT_DOCUMENTS.OCR_FIRST_PAGE when the file name and readable text do not decide.
+ *
+ * @param {Object} attachment - Attachment with getName() and copyBlob()
+ * @returns {string} - Leading OCR text, or '' if unavailable
+ */
+function readFirstPageTextByOcr(attachment) {
+  const text = withTemporaryGoogleFile(attachment, 'application/vnd.google-apps.document', fileId =>
+    DocumentApp.openById(fileId).getBody().getText(), { ocrLanguage: 'ja' });
+    
+  return (text || '').slice(0, ATTACHMENT_FORMAT_CONFIG.OCR_TEXT_LENGTH);
+}
+
+/**
+ * Classify a stored document as the contract or its certificate/audit trail
+ * 保存する書類を契約書本体か完了証明書・監査証跡かに分類
+ *
+ * Checks CONFIG.AUDIT_DOCUMENTS.FILENAME_PATTERNS, then CONTENT_PATTERNS against the text
+ * readable in the PDF and, with OCR_FIRST_PAGE, against the OCR text of the first page.
+ *
+ * @param {Object} attachment - Attachment with getName() and copyBlob()
+ * @returns {Object} - {role: 'contract' | 'audit', matchedBy: 'filename' | 'content' | 'ocr' | null}
+ */
+function classifyDocumentRole(attachment) {
+  const settings = CONFIG.AUDIT_DOCUMENTS || {};
+  const fileName = attachment.getName();
+  const matchesAny = (patterns, text) => (patterns || []).some(pattern => pattern.test(text));
+  
+  if (matchesAny(settings.FILENAME_PATTERNS, fileName)) {
+    return { role: 'audit', matchedBy: 'filename' };
+  }
+  
+  if (getAttachmentKind(fileName) !== 'pdf' || !(settings.CONTENT_PATTERNS || []).length) {
+    return { role: 'contract', matchedBy: null };
+  }
+  
+  try {
+    if (matchesAny(settings.CONTENT_PATTERNS, getPdfReadableText(attachment.copyBlob().getBytes()))) {
+      return { role: 'audit', matchedBy: 'content' };
+    }
+    
+    if (settings.OCR_FIRST_PAGE && matchesAny(settings.CONTENT_PATTERNS, readFirstPageTextByOcr(attachment))) {
+      return { role: 'audit', matchedBy: 'ocr' };
+    }
+    
+  } catch (error) {
+    console.error(`Error reading ${fileName} for audit markers:`, error);
+  }
+  
+  return { role: 'contract', matchedBy: null };
+}
+
+/**
+ * Convert an attachment to a temporary Google file, read it and trash it
+ * 添付ファイルを一時的なGoogleファイルに変換して読み取り、削除
+ *
+ * @param {Object} attachment - Attachment with getName() and copyBlob()
+ * @param {string} googleType - Google editor MIME type to convert to
+ * @param {Function} reader - Called with the temporary file ID; its result is returned
+ * @param {Object} options - Extra Drive.Files.create() parameters, e.g. {ocrLanguage: 'ja'} (optional)
+ * @returns {*} - Result of reader, or null if the Drive advanced service is unavailable or conversion fails
+ */
+function withTemporaryGoogleFile(attachment, googleType, reader, options = {}) {
+  const fileName = attachment.getName();
+  
+  if (typeof Drive === 'undefined') {
+    console.log('Drive advanced service is not enabled, skipping conversion');
+    return null;
+  }
+  
+  let temporaryFileId = null;
+  try {
+    const converted = Drive.Files.create({ name: fileName, mimeType: googleType }, attachment.copyBlob(), options);
+    temporaryFileId = converted.id;
+    return reader(temporaryFileId);
+    
+  } catch (error) {
+    console.error(`Error converting ${fileName}:`, error);
+    return null;
+    
+  } finally {
+    if (temporaryFileId) {
+      try {
+        DriveApp.getFileById(temporaryFileId).setTrashed(true);
+      } catch (error) {
+        console.error('Error trashing temporary conversion file:', error);
+      }
+    }
+  }
+}
+
+/**
+ * Convert an allow-listed document to PDF through Google Docs/Sheets
+ * 許可された形式の書類をGoogleドキュメント／スプレッドシート経由でPDFに変換
+ *
+ * Needs the Drive advanced service (appsscript.json). The temporary Google file is trashed.
+ *
+ * @param {Object} attachment - Attachment with getName() and copyBlob()
+ * @returns {Blob|null} - PDF blob named "<name>.pdf", or null if the format or service is unavailable
+ */
+function convertAttachmentToPdf(attachment) {
+  const fileName = attachment.getName();
+  const googleType = ATTACHMENT_FORMAT_CONFIG.CONVERSION_TYPES[getFileExtension(fileName)];
+  
+  if (!googleType) {
+    console.log(`No PDF conversion for ${fileName}`);
+    return null;
+  }
+  
+  const pdfName = fileName.replace(/\.[^.]+$/, '') + '.pdf';
+  return withTemporaryGoogleFile(attachment, googleType, fileId =>
+    DriveApp.getFileById(fileId).getAs('application/pdf').setName(pdfName));
+}
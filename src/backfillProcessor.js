@@ -0,0 +1,285 @@
+/**
+ * Historical Backfill Module
+ *
+ * Runs the normal processing pipeline over a date range, e.g. for contracts completed before
+ * the processor was installed. Unlike processEmails() the search ignores the processed/skip
+ * labels, so messages that are already in the spreadsheet are reported as "already existed"
+ * instead of silently disappearing from the results.
+ */
+
+// === BACKFILL CONFIGURATION ===
+const BACKFILL_CONFIG = {
+  PAGE_SIZE: 100,        // Threads fetched per GmailApp.search() call
+  MAX_THREADS: 2000      // Upper bound on threads collected for one backfill
+};
+
+/**
+ * Backfill contracts from a date range (manual execution)
+ * 指定期間の契約メールを遡って取り込み（手動実行用）
+ *
+ * Examples:
+ *   backfillContracts('2024/01/01', '2024/07/01');                                  // dry run
+ *   backfillContracts('2024/01/01', '2024/07/01', { dryRun: false });
+ *   backfillContracts('2024/01/01', null, { provider: 'CLOUDSIGN', dryRun: false, maxMessages: 50 });
+ *
+ * @param {Date|string} startDate - Lower bound (Gmail after:, 'yyyy/MM/dd' or Date)
+ * @param {Date|string} endDate - Upper bound (Gmail before:, exclusive; default: now)
+ * @param {Object} options - Optional settings
+ * @param {string} options.provider - Only this signing provider TYPE (e.g. 'DOCUSIGN'); skips configured senders
+ * @param {boolean} options.dryRun - Only report what would happen (default: true)
+ * @param {number} options.maxMessages - Stop after this many messages were ingested (default: no cap)
+ * @returns {Object|null} - Summary, or null when the backfill could not run
+ */
+function backfillContracts(startDate, endDate = null, options = {}) {
+  const dryRun = options.dryRun !== false;
+  const maxMessages = options.maxMessages || 0;
+  const startTime = new Date().getTime();
+  
+  console.log(`=== CONTRACT BACKFILL (${dryRun ? 'DRY RUN' : 'ACTUAL'}) ===`);
+  
+  if (!startDate) {
+    console.error('startDate is required, e.g. backfillContracts(\'2024/01/01\', \'2024/07/01\')');
+    return null;
+  }
+  
+  return withScriptLock('backfillContracts', () => {
+    try {
+      loadRuntimeSettings();
+      validateConfiguration();
+      
+      const querySpec = buildBackfillQuerySpec(startDate, endDate, options.provider);
+      if (!querySpec) {
+        return null;
+      }
+      
+      const query = compileGmailQuery(querySpec);
+      console.log(`Backfill query: ${query}`);
+      
+      const threads = collectBackfillThreads(query);
+      console.log(`Found ${threads.length} threads (processing oldest first)`);
+      
+      // Read once so re-runs over the same range add no second skip ledger row per message
+      const knownMessageIds = dryRun ? null : getTrackedMessageIds();
+      
+      const summary = {
+        query: query,
+        dryRun: dryRun,
+        threads: threads.length,
+        ingested: [],
+        skipped: [],
+        existing: 0,
+        errors: 0,
+        stopped: null
+      };
+      
+      for (let index = 0; index < threads.length && !summary.stopped; index++) {
+        if (isExecutionBudgetExceeded(startTime)) {
+          summary.stopped = 'TIME_BUDGET';
+          break;
+        }
+        
+        backfillThread(threads[index], summary, {
+          dryRun: dryRun,
+          maxMessages: maxMessages,
+          providerType: options.provider || null,
+          knownMessageIds: knownMessageIds
+        });
+      }
+      
+      logBackfillSummary(summary);
+      return summary;
+      
+    } catch (error) {
+      console.error('Error in backfill:', error);
+      return null;
+    }
+  });
+}
+
+/**
+ * Build the query specification for a backfill (no label exclusions)
+ * バックフィル用のクエリ指定を生成（ラベル除外なし）
+ *
+ * @param {Date|string} startDate - Lower bound
+ * @param {Date|string} endDate - Upper bound (optional)
+ * @param {string} providerType - Optional signing provider TYPE filter
+ * @returns {Object|null} - Query specification, or null for an unknown provider
+ */
+function buildBackfillQuerySpec(startDate, endDate, providerType) {
+  const overrides = {
+    excludeLabels: [],
+    after: startDate,
+    before: endDate || new Date()
+  };
+  
+  if (providerType) {
+    const provider = getSigningProvider(providerType, false);
+    if (!provider) {
+      console.error(`Unknown provider type: ${providerType}`);
+      console.log(`Available: ${getSigningProviders(false).map(p => p.TYPE).join(', ')}`);
+      return null;
+    }
+    
+    if (!provider.ENABLE) {
+      console.warn(`${provider.TOOL_NAME} detection is disabled - matching messages will be skipped`);
+    }
+    
+    overrides.senders = [];
+    overrides.providers = [provider];
+  }
+  
+  return getProcessingQuerySpec(overrides);
+}
+
+/**
+ * Collect all threads matching the backfill query, oldest first
+ * バックフィル対象のスレッドを古い順に取得
+ *
+ * @param {string} query - Gmail search query
+ * @returns {Array} - GmailThread objects
+ */
+function collectBackfillThreads(query) {
+  const threads = [];
+  
+  while (threads.length < BACKFILL_CONFIG.MAX_THREADS) {
+    const page = GmailApp.search(query, threads.length, BACKFILL_CONFIG.PAGE_SIZE);
+    threads.push(...page);
+    
+    if (page.length < BACKFILL_CONFIG.PAGE_SIZE) {
+      break;
+    }
+  }
+  
+  if (threads.length >= BACKFILL_CONFIG.MAX_THREADS) {
+    console.warn(`Backfill capped at ${BACKFILL_CONFIG.MAX_THREADS} threads - use a narrower date range for the rest`);
+  }
+  
+  return threads.reverse();
+}
+
+/**
+ * Backfill the messages of one thread and record the outcome in the summary
+ * スレッド内のメッセージを取り込み、結果をサマリーに記録
+ *
+ * @param {GmailThread} thread - Gmail thread
+ * @param {Object} summary - Summary being built by backfillContracts()
+ * @param {Object} settings - {dryRun, maxMessages, providerType, knownMessageIds}
+ */
+function backfillThread(thread, summary, settings) {
+  let threadHasNewMessages = false;
+  
+  thread.getMessages().forEach(message => {
+    if (summary.stopped || message.isInTrash()) {
+      return;
+    }
+    
+    try {
+      const subject = message.getSubject();
+      
+      if (isMessageAlreadyProcessed(message)) {
+        summary.existing++;
+        return;
+      }
+      
+      const evaluation = evaluateMessage(message);
+      const messageType = evaluation.messageSource.type;
+      
+      // Provider filter: other sources that share the thread are left alone
+      if (settings.providerType && messageType !== settings.providerType) {
+        summary.skipped.push({ subject: subject, type: messageType, reason: 'PROVIDER_FILTER' });
+        return;
+      }
+      
+      if (!evaluation.shouldProcess) {
+        summary.skipped.push({ subject: subject, type: messageType, reason: evaluation.reason });
+        if (!settings.dryRun) {
+          addSkipLabel(message);
+          recordSkippedMessage(message, evaluation, settings.knownMessageIds);
+        }
+        return;
+      }
+      
+      if (settings.maxMessages && summary.ingested.length >= settings.maxMessages) {
+        summary.stopped = 'MAX_MESSAGES';
+        return;
+      }
+      
+      const entry = {
+        date: message.getDate(),
+        subject: subject,
+        type: messageType
+      };
+      
+      if (settings.dryRun) {
+        summary.ingested.push(entry);
+        return;
+      }
+      
+      if (processMessage(message, evaluation)) {
+        markMessageAsProcessed(message);
+        summary.ingested.push(entry);
+        threadHasNewMessages = true;
+      } else {
+        summary.errors++;
+      }
+      
+    } catch (error) {
+      console.error('Error backfilling message:', error);
+      summary.errors++;
+    }
+  });
+  
+  // Same rule as processThreadMessages(): only label threads that were fully handled
+  if (threadHasNewMessages && !summary.stopped) {
+    addProcessedLabel(thread);
+  }
+}
+
+/**
+ * Print the backfill summary
+ * バックフィルのサマリーを表示
+ *
+ * @param {Object} summary - Summary from backfillContracts()
+ */
+function logBackfillSummary(summary) {
+  const verb = summary.dryRun ? 'Would ingest' : 'Ingested';
+  
+  console.log(`\n=== BACKFILL SUMMARY (${summary.dryRun ? 'DRY RUN' : 'ACTUAL'}) ===`);
+  console.log(`Threads: ${summary.threads}`);
+  console.log(`${verb}: ${summary.ingested.length}`);
+  console.log(`Already existed: ${summary.existing}`);
+  console.log(`Skipped: ${summary.skipped.length}`);
+  console.log(`Errors: ${summary.errors}`);
+  
+  if (summary.ingested.length > 0) {
+    console.log(`\n${verb}:`);
+    summary.ingested.slice(0, 20).forEach(item => {
+      console.log(`  ${Utilities.formatDate(item.date, 'JST', 'yyyy-MM-dd')} [${item.type}] ${item.subject}`);
+    });
+    if (summary.ingested.length > 20) {
+      console.log(`  ... and ${summary.ingested.length - 20} more`);
+    }
+  }
+  
+  if (summary.skipped.length > 0) {
+    const byReason = {};
+    summary.skipped.forEach(item => {
+      byReason[item.reason] = (byReason[item.reason] || 0) + 1;
+    });
+    
+    console.log('\nSkipped by reason:');
+    Object.keys(byReason).forEach(reason => {
+      console.log(`  ${reason}: ${byReason[reason]}`);
+    });
+  }
+  
+  if (summary.stopped === 'MAX_MESSAGES') {
+    console.log('\n⏹️ Stopped at maxMessages - run again to continue (existing messages are skipped)');
+  } else if (summary.stopped === 'TIME_BUDGET') {
+    console.log(`\n⏱️ Stopped at the execution time budget (${CONFIG.EXECUTION_TIME_BUDGET_SECONDS}s) - run again to continue`);
+  }
+  
+  if (summary.dryRun && summary.ingested.length > 0) {
+    console.log('\nTo ingest these messages, run again with { dryRun: false }');
+  }
+}
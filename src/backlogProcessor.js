@@ -0,0 +1,328 @@
+/**
+ * Backlog Processor Module
+ *
+ * processEmails() only looks at the newest MAX_EMAILS_PER_RUN * 3 threads, so a large
+ * backlog (first install, long outage) drains newest-first with no sense of progress.
+ * Backlog mode pages through the full search result oldest-first instead, persisting a
+ * cursor in Script Properties so each trigger run resumes where the previous one stopped.
+ *
+ * The backlog query has no label exclusions and a frozen before: bound, so thread offsets
+ * stay stable while we label threads; already-labelled threads are skipped in the loop.
+ */
+
+// === BACKLOG CONFIGURATION ===
+const BACKLOG_CONFIG = {
+  MAX_THREADS: 20000,        // Upper bound when counting the backlog (narrow with options.after)
+  MAX_PAGE_SIZE: 500         // GmailApp.search() maximum page size
+};
+
+/**
+ * Start backlog processing (manual execution or auto-started by processEmails)
+ * バックログ処理を開始（手動実行またはprocessEmailsから自動開始）
+ *
+ * @param {Object} options - Optional settings
+ * @param {Date|string} options.after - Only include threads after this date
+ * @param {Date|string} options.before - Only include threads before this date (default: now)
+ * @param {boolean} options.restart - Discard an existing cursor and start over
+ * @returns {Object|null} - Saved cursor, or null when there is nothing to process
+ */
+function startBacklogProcessing(options = {}) {
+  const scriptLock = acquireScriptLock('startBacklogProcessing');
+  if (!scriptLock) {
+    return null;
+  }
+  
+  console.log('=== STARTING BACKLOG PROCESSING ===');
+  
+  try {
+    loadRuntimeSettings();
+    
+    const existing = getBacklogCursor();
+    if (existing && !options.restart) {
+      console.log('Backlog processing is already active - use {restart: true} to start over');
+      console.log(formatBacklogProgress(existing));
+      return existing;
+    }
+    
+    const query = compileGmailQuery(buildBacklogQuerySpec(options));
+    
+    if (!query) {
+      console.log('No senders or signing providers configured - nothing to search for');
+      return null;
+    }
+    
+    console.log(`Backlog query: ${query}`);
+    
+    const total = countGmailThreads(query, BACKLOG_CONFIG.MAX_THREADS);
+    if (total.count === 0) {
+      console.log('No threads match the backlog query');
+      clearBacklogCursor();
+      return null;
+    }
+    
+    if (total.capped) {
+      console.warn(`Backlog capped at ${total.count} threads - older threads are not included (set options.after to narrow the window)`);
+    }
+    
+    const cursor = {
+      query: query,
+      total: total.count,
+      position: 0,
+      messagesChecked: 0,
+      messagesProcessed: 0,
+      errors: 0,
+      runs: 0,
+      startedAt: new Date().toISOString(),
+      lastRunAt: null
+    };
+    
+    saveBacklogCursor(cursor);
+    console.log(`Backlog processing started: ${total.count.toLocaleString('en-US')} threads queued (oldest first)`);
+    
+    return cursor;
+    
+  } catch (error) {
+    console.error('Error starting backlog processing:', error);
+    return null;
+  } finally {
+    releaseScriptLock(scriptLock);
+  }
+}
+
+/**
+ * Process the next backlog batch, oldest threads first
+ * 次のバックログバッチを古い順に処理
+ *
+ * @param {number} startTime - Run start time in ms (optional, enables the time budget)
+ * @returns {Object|null} - Updated cursor, or null when no backlog is active / it just finished
+ */
+function processBacklogBatch(startTime = null) {
+  const scriptLock = acquireScriptLock('processBacklogBatch');
+  if (!scriptLock) {
+    return null;
+  }
+  
+  const cursor = getBacklogCursor();
+  if (!cursor) {
+    console.log('No active backlog - run startBacklogProcessing() first');
+    releaseScriptLock(scriptLock);
+    return null;
+  }
+  
+  try {
+    console.log('=== BACKLOG BATCH ===');
+    loadRuntimeSettings();
+    
+    // Oldest unprocessed threads first (see getBacklogBatchWindow)
+    const batch = getBacklogBatchWindow(cursor);
+    const batchSize = batch.size;
+    
+    const threads = batchSize > 0 ? GmailApp.search(cursor.query, batch.start, batchSize).reverse() : [];
+    console.log(`Fetched ${threads.length} backlog threads (offset ${batch.start}, size ${batchSize})`);
+    
+    let knownMessageIds = null;
+    let threadsDone = 0;
+    let messagesProcessed = 0;
+    let stoppedEarly = false;
+    
+    for (let index = 0; index < threads.length; index++) {
+      const thread = threads[index];
+      
+      if (startTime && isExecutionBudgetExceeded(startTime)) {
+        stoppedEarly = true;
+        break;
+      }
+      
+      // Already handled by a previous run (or by processEmails); processed threads are
+      // only skipped when no message arrived after they were labelled
+      const labelNames = thread.getLabels().map(label => label.getName());
+      if (labelNames.includes(CONFIG.GMAIL_SKIP_LABEL) && !labelNames.includes(CONFIG.GMAIL_LABEL)) {
+        threadsDone++;
+        continue;
+      }
+      
+      if (labelNames.includes(CONFIG.GMAIL_LABEL)) {
+        knownMessageIds = knownMessageIds || getTrackedMessageIds();
+        const allKnown = thread.getMessages().every(message =>
+          message.isInTrash() || knownMessageIds.has(message.getId())
+        );
+        if (allKnown) {
+          threadsDone++;
+          continue;
+        }
+      }
+      
+      console.log(`Backlog thread ${cursor.position + index + 1}: ${thread.getFirstMessageSubject()}`);
+      
+      const result = processThreadMessages(thread, startTime, knownMessageIds);
+      cursor.messagesChecked += result.checked;
+      cursor.messagesProcessed += result.processed;
+      cursor.errors += result.errors;
+      messagesProcessed += result.processed;
+      
+      if (result.stopped) {
+        stoppedEarly = true;
+        break;
+      }
+      
+      threadsDone++;
+    }
+    
+    // Advance by the requested size even if threads were deleted in the meantime,
+    // or only past the finished threads when the time budget ran out
+    cursor.position = Math.min(cursor.total, cursor.position + (stoppedEarly ? threadsDone : batchSize));
+    cursor.runs++;
+    cursor.lastRunAt = new Date().toISOString();
+    
+    console.log(formatBacklogProgress(cursor));
+    
+    if (stoppedEarly) {
+      console.log(`⏱️ Execution time budget reached after ${threadsDone}/${threads.length} backlog threads`);
+      saveBacklogCursor(cursor);
+      saveProcessingCheckpoint({
+        source: 'backlog',
+        threadsDone: threadsDone,
+        threadsFound: threads.length,
+        messagesProcessed: messagesProcessed
+      });
+      scheduleContinuationTrigger();
+      return cursor;
+    }
+    
+    if (cursor.position >= cursor.total) {
+      console.log(`✅ Backlog caught up: ${cursor.messagesProcessed} messages processed in ${cursor.runs} runs (${cursor.errors} errors)`);
+      clearBacklogCursor();
+      return null;
+    }
+    
+    saveBacklogCursor(cursor);
+    return cursor;
+    
+  } catch (error) {
+    console.error('Error processing backlog batch:', error);
+    return cursor;
+  } finally {
+    releaseScriptLock(scriptLock);
+  }
+}
+
+/**
+ * Show backlog processing status (manual execution)
+ * バックログ処理の状況を表示（手動実行用）
+ *
+ * @returns {Object|null} - Active cursor or null
+ */
+function showBacklogStatus() {
+  console.log('=== BACKLOG STATUS ===');
+  
+  const cursor = getBacklogCursor();
+  if (!cursor) {
+    console.log('No active backlog');
+    return null;
+  }
+  
+  console.log(formatBacklogProgress(cursor));
+  console.log(`Started: ${cursor.startedAt}`);
+  console.log(`Last run: ${cursor.lastRunAt || 'never'} (${cursor.runs} runs)`);
+  console.log(`Messages: ${cursor.messagesChecked} checked, ${cursor.messagesProcessed} processed, ${cursor.errors} errors`);
+  console.log(`Query: ${cursor.query}`);
+  
+  return cursor;
+}
+
+/**
+ * Cancel backlog processing (manual execution)
+ * バックログ処理を中止（手動実行用）
+ */
+function cancelBacklogProcessing() {
+  withScriptLock('cancelBacklogProcessing', () => {
+    const cursor = getBacklogCursor();
+    clearBacklogCursor();
+    
+    if (cursor) {
+      console.log(`Backlog processing cancelled at ${formatBacklogProgress(cursor)}`);
+    } else {
+      console.log('No active backlog to cancel');
+    }
+  });
+}
+
+/**
+ * Build the query specification for the backlog (pure function)
+ * バックログ用のクエリ指定を生成（純粋関数）
+ *
+ * No label exclusions, and the upper bound is frozen so new mail does not shift the
+ * offsets between runs.
+ *
+ * @param {Object} options - {after, before} from startBacklogProcessing()
+ * @returns {Object} - Query specification for compileGmailQuery()
+ */
+function buildBacklogQuerySpec(options = {}) {
+  return getProcessingQuerySpec({
+    excludeLabels: [],
+    after: options.after || null,
+    before: options.before || new Date()
+  });
+}
+
+/**
+ * Get the search window of the next backlog batch (pure function)
+ * 次のバックログバッチの検索範囲を取得（純粋関数）
+ *
+ * Gmail returns newest-first, so the oldest unprocessed threads sit at the end of the list.
+ *
+ * @param {Object} cursor - Backlog cursor ({total, position})
+ * @returns {Object} - {start, size} for GmailApp.search(); size 0 when the backlog is done
+ */
+function getBacklogBatchWindow(cursor) {
+  const remaining = Math.max(0, cursor.total - cursor.position);
+  const size = Math.min(CONFIG.BACKLOG_THREADS_PER_RUN, BACKLOG_CONFIG.MAX_PAGE_SIZE, remaining);
+  
+  return { start: remaining - size, size: size };
+}
+
+/**
+ * Format the backlog progress line, e.g. "1,240 of 3,900 threads (31.8%)"
+ * バックログの進捗表示を整形
+ *
+ * @param {Object} cursor - Backlog cursor
+ * @returns {string} - Progress text
+ */
+function formatBacklogProgress(cursor) {
+  const percent = cursor.total > 0 ? (cursor.position / cursor.total * 100).toFixed(1) : '100.0';
+  return `Backlog progress: ${cursor.position.toLocaleString('en-US')} of ${cursor.total.toLocaleString('en-US')} threads (${percent}%)`;
+}
+
+/**
+ * Load the persisted backlog cursor
+ * 保存されたバックログカーソルを読み込み
+ *
+ * @returns {Object|null} - Cursor or null when no backlog is active
+ */
+function getBacklogCursor() {
+  try {
+    const value = getProperty(PROPERTY_KEYS.BACKLOG_CURSOR, false);
+    return value ? JSON.parse(value) : null;
+  } catch (error) {
+    console.error('Invalid backlog cursor, ignoring:', error);
+    return null;
+  }
+}
+
+/**
+ * Persist the backlog cursor
+ * バックログカーソルを保存
+ *
+ * @param {Object} cursor - Cursor to save
+ */
+function saveBacklogCursor(cursor) {
+  setProperty(PROPERTY_KEYS.BACKLOG_CURSOR, JSON.stringify(cursor));
+}
+
+/**
+ * Remove the persisted backlog cursor
+ * バックログカーソルを削除
+ */
+function clearBacklogCursor() {
+  PropertiesService.getScriptProperties().deleteProperty(PROPERTY_KEYS.BACKLOG_CURSOR);
+}
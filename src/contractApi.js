@@ -0,0 +1,254 @@
+/**
+ * Contract API Module
+ *
+ * Read-only JSON API over the contract list for internal tools (CRM sync, finance scripts).
+ * It is served by the same web app as the upload form: doGet() hands requests with an `api`
+ * parameter to serveContractApi().
+ *
+ *   ?api=contracts[&from=yyyy-mm-dd][&to=yyyy-mm-dd][&counterparty=…][&contractType=…][&tool=…][&limit=…][&offset=…]
+ *   ?api=contract&messageId=…   or   ?api=contract&contractId=<envelope/document ID>
+ *
+ * Records come from buildContractRecord(), the data model of searchRecordByMessageId(). The
+ * envelope ID is the contract ID: one contract per envelope, however many copies were received.
+ * Authentication is the web app deployment's: appsscript.json allows signed-in users of the domain
+ * only, so a request reaches doGet() only with a domain account (a browser session, or an
+ * `Authorization: Bearer` OAuth token of a domain user for scripts). There are no API tokens.
+ * Apps Script cannot set HTTP status codes, so errors are returned as {ok: false, error: {code, message}}.
+ */
+
+// === CONTRACT API CONFIGURATION ===
+const CONTRACT_API_CONFIG = {
+  DEFAULT_LIMIT: 100,         // Contracts per page when no limit is given
+  MAX_LIMIT: 500,             // Upper bound for the limit parameter
+  TIMEZONE: 'JST'             // Timezone of the sheet timestamps (see SPREADSHEET_CONFIG.DATE_FORMAT)
+};
+
+/**
+ * Handle a web app API request and return JSON
+ * WebアプリのAPIリクエストを処理してJSONを返す
+ *
+ * @param {Object} e - Web app event
+ * @returns {TextOutput} - JSON response
+ */
+function serveContractApi(e) {
+  const payload = handleContractApiRequest((e && e.parameter) || {});
+  
+  return ContentService.createTextOutput(JSON.stringify(payload))
+    .setMimeType(ContentService.MimeType.JSON);
+}
+
+/**
+ * Route and answer an API request (the caller is already authenticated by the web app)
+ * APIリクエストを振り分けて応答を生成（呼び出し元はWebアプリで認証済み）
+ *
+ * @param {Object} parameter - e.parameter
+ * @returns {Object} - Response payload
+ */
+function handleContractApiRequest(parameter) {
+  try {
+    // Secrets in the URL end up in browser history and proxy logs, so old token clients are turned away
+    if (parameter.token !== undefined) {
+      console.log(`Contract API: rejected request with a token parameter (api=${parameter.api})`);
+      return buildContractApiError(400, 'The token parameter is not supported - sign in with a domain account instead');
+    }
+    
+    if (parameter.api === 'contracts') {
+      const parsed = parseContractFilters(parameter);
+      if (parsed.errors.length > 0) {
+        return buildContractApiError(400, parsed.errors.join(' / '));
+      }
+      
+      const matches = filterContractRecords(getContractRecords(), parsed.filters);
+      const page = matches.slice(parsed.filters.offset, parsed.filters.offset + parsed.filters.limit);
+      console.log(`Contract API: listed ${page.length}/${matches.length} contracts`);
+      
+      return {
+        ok: true,
+        total: matches.length,
+        offset: parsed.filters.offset,
+        limit: parsed.filters.limit,
+        count: page.length,
+        contracts: page.map(record => toContractResource(record, false))
+      };
+    }
+    
+    if (parameter.api === 'contract') {
+      const messageId = String(parameter.messageId || '').trim();
+      const contractId = String(parameter.contractId || '').trim();
+      if (!messageId && !contractId) {
+        return buildContractApiError(400, 'messageId or contractId is required');
+      }
+      
+      const record = messageId ?
+        searchRecordByMessageId(messageId) :
+        searchRecordByEnvelopeId(contractId);
+      if (!record) {
+        return buildContractApiError(404, 'Contract not found');
+      }
+      
+      return { ok: true, contract: toContractResource(record, true) };
+    }
+    
+    return buildContractApiError(400, `Unknown api: ${parameter.api}`);
+    
+  } catch (error) {
+    console.error('Error handling contract API request:', error);
+    return buildContractApiError(500, 'Internal error');
+  }
+}
+
+/**
+ * Build an API error payload (pure function)
+ * APIエラーの応答を生成（純粋関数）
+ *
+ * @param {number} code - HTTP-style status code
+ * @param {string} message - Error message
+ * @returns {Object} - {ok: false, error: {code, message}}
+ */
+function buildContractApiError(code, message) {
+  return { ok: false, error: { code: code, message: message } };
+}
+
+/**
+ * Parse the list filters of an API request (pure function)
+ * APIリクエストの一覧フィルタを解析（純粋関数）
+ *
+ * @param {Object} parameter - e.parameter: from, to, counterparty, contractType, tool, limit, offset
+ * @returns {Object} - {filters: {from, to, counterparty, contractType, tool, limit, offset}, errors: Array<string>}
+ */
+function parseContractFilters(parameter) {
+  const field = name => String(parameter[name] || '').trim();
+  const errors = [];
+  
+  const filters = {
+    from: field('from'),
+    to: field('to'),
+    counterparty: field('counterparty').toLowerCase(),
+    contractType: field('contractType').toLowerCase(),
+    tool: field('tool').toLowerCase(),
+    limit: CONTRACT_API_CONFIG.DEFAULT_LIMIT,
+    offset: 0
+  };
+  
+  ['from', 'to'].forEach(name => {
+    if (filters[name] && !/^\d{4}-\d{2}-\d{2}$/.test(filters[name])) {
+      errors.push(`${name} must be YYYY-MM-DD`);
+    }
+  });
+  
+  if (field('limit')) {
+    filters.limit = Number(field('limit'));
+    if (!Number.isInteger(filters.limit) || filters.limit < 1 || filters.limit > CONTRACT_API_CONFIG.MAX_LIMIT) {
+      errors.push(`limit must be between 1 and ${CONTRACT_API_CONFIG.MAX_LIMIT}`);
+    }
+  }
+  
+  if (field('offset')) {
+    filters.offset = Number(field('offset'));
+    if (!Number.isInteger(filters.offset) || filters.offset < 0) {
+      errors.push('offset must be 0 or more');
+    }
+  }
+  
+  return { filters: filters, errors: errors };
+}
+
+/**
+ * Filter contract records and sort them newest first (pure function)
+ * 契約レコードを絞り込み、新しい順に並べる（純粋関数）
+ *
+ * The date range applies to 受信日時 (inclusive, JST days). Counterparty and contract type match
+ * case-insensitive substrings; tool must match exactly (case-insensitive). Rows that repeat an
+ * envelope ID (copies recorded before envelope dedup) are left out, so each envelope is one contract.
+ *
+ * @param {Array<Object>} records - Records from getContractRecords()
+ * @param {Object} filters - Filters from parseContractFilters()
+ * @returns {Array<Object>} - Matching records
+ */
+function filterContractRecords(records, filters) {
+  const seenEnvelopes = new Set();
+  
+  return records
+    .filter(record => record.messageId)
+    .filter(record => {
+      if (!record.envelopeId) return true;
+      if (seenEnvelopes.has(record.envelopeId)) return false;
+      seenEnvelopes.add(record.envelopeId);
+      return true;
+    })
+    .filter(record => {
+      const day = formatContractApiTimestamp(record.date).slice(0, 10);
+      if (filters.from && day < filters.from) return false;
+      if (filters.to && day > filters.to) return false;
+      if (filters.counterparty && String(record.contractParty || '').toLowerCase().indexOf(filters.counterparty) === -1) return false;
+      if (filters.contractType && String(record.contractType || '').toLowerCase().indexOf(filters.contractType) === -1) return false;
+      if (filters.tool && String(record.contractTool || '').toLowerCase() !== filters.tool) return false;
+      return true;
+    })
+    .reverse();  // Rows are appended in processing order
+}
+
+/**
+ * Convert a sheet timestamp to ISO 8601 with the JST offset (pure function)
+ * シートの日時をJSTオフセット付きISO 8601形式に変換（純粋関数）
+ *
+ * @param {Date|string} value - Cell value (Date, or text in SPREADSHEET_CONFIG.DATE_FORMAT)
+ * @returns {string} - e.g. 2025-06-02T19:00:00+09:00, or '' for an empty cell
+ */
+function formatContractApiTimestamp(value) {
+  if (value instanceof Date) {
+    return Utilities.formatDate(value, CONTRACT_API_CONFIG.TIMEZONE, "yyyy-MM-dd'T'HH:mm:ss") + '+09:00';
+  }
+  
+  const match = String(value || '').match(/^(\d{4})\/(\d{2})\/(\d{2})(?: (\d{2}):(\d{2}):(\d{2}))?/);
+  if (!match) {
+    return String(value || '');
+  }
+  return match[4] ?
+    `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}+09:00` :
+    `${match[1]}-${match[2]}-${match[3]}`;
+}
+
+/**
+ * Convert a contract record to its API representation (pure function)
+ * 契約レコードをAPIの表現に変換（純粋関数）
+ *
+ * "Duplicate" placeholders in the link columns are left out; the Drive links of the first
+ * copy are on the earlier record.
+ *
+ * @param {Object} record - Record from buildContractRecord()
+ * @param {boolean} includeBody - Include the email body summary (single contract only)
+ * @returns {Object} - API contract object
+ */
+function toContractResource(record, includeBody) {
+  const links = value => String(value || '').split('\n').map(link => link.trim()).filter(link => /^https?:\/\//.test(link));
+  const effectiveDate = formatContractApiTimestamp(record.effectiveDate);
+  
+  const resource = {
+    messageId: record.messageId,
+    contractId: record.envelopeId || null,
+    receivedAt: formatContractApiTimestamp(record.date),
+    tool: record.contractTool || '',
+    contractType: record.contractType || '',
+    counterparty: record.contractParty || '',
+    documentTitle: record.documentTitle || '',
+    subject: record.subject || '',
+    sender: record.sender || '',
+    recipient: record.recipient || '',
+    status: record.status || '',
+    fileNames: record.pdfFilename || '',
+    fileTypes: record.fileTypes || '',
+    documentLinks: links(record.pdfDirectLinks),
+    auditTrailLinks: links(record.auditLinks),
+    effectiveDate: effectiveDate ? effectiveDate.slice(0, 10) : null,
+    owner: record.owner || null,
+    forwardedBy: record.forwardedBy || null,
+    forwardedAt: formatContractApiTimestamp(record.forwardedAt) || null
+  };
+  
+  if (includeBody) {
+    resource.bodySummary = record.bodySummary || '';
+  }
+  
+  return resource;
+}
@@ -0,0 +1,188 @@
+/**
+ * Document Links Module
+ *
+ * Some providers (Dropbox Sign in particular) send a download link instead of attaching the
+ * signed PDF. When a processed message has no PDF attachment, the provider's download links
+ * (DOWNLOAD_LINK_PATTERNS) are extracted from the body and fetched with UrlFetchApp. A response
+ * is only kept if it really is a PDF (login pages come back as HTML with status 200); it is
+ * wrapped as an attachment so processAttachments() stores it through the normal Drive path.
+ */
+
+// === DOCUMENT LINK CONFIGURATION ===
+const DOCUMENT_LINK_CONFIG = {
+  MAX_LINKS_PER_MESSAGE: 3,            // Links fetched per message at most
+  MAX_FILE_BYTES: 25 * 1024 * 1024,    // Larger downloads are rejected
+  PDF_SIGNATURE: '%PDF-'               // Every PDF file starts with these bytes
+};
+
+/**
+ * Extract the provider's document download links from message text (pure function)
+ * メッセージ本文からプロバイダーの書類ダウンロードリンクを抽出（純粋関数）
+ *
+ * When the type is not a provider, the patterns of every provider are used.
+ *
+ * @param {Array<string>} texts - Plain-text and HTML body
+ * @param {string} type - Provider message type (optional)
+ * @returns {Array<string>} - Unique URLs in order of appearance (HTML entities decoded)
+ */
+function extractDocumentLinks(texts, type) {
+  const provider = getSigningProvider(type, false);
+  const candidates = provider ? [provider] : getSigningProviders(false);
+  const links = [];
+  
+  candidates.forEach(candidate => {
+    (candidate.DOWNLOAD_LINK_PATTERNS || []).forEach(pattern => {
+      const globalPattern = new RegExp(pattern.source, pattern.flags.indexOf('g') === -1 ? pattern.flags + 'g' : pattern.flags);
+      
+      texts.filter(Boolean).forEach(text => {
+        let match;
+        while ((match = globalPattern.exec(text)) !== null) {
+          links.push((match[1] || match[0]).replace(/&amp;/g, '&'));
+        }
+      });
+    });
+  });
+  
+  return [...new Set(links)];
+}
+
+/**
+ * Check that downloaded bytes are a PDF file (pure function)
+ * ダウンロードしたバイト列がPDFファイルかを判定（純粋関数）
+ *
+ * @param {Array<number>} bytes - File content (Blob.getBytes())
+ * @returns {boolean} - true if the content starts with the PDF signature
+ */
+function isPdfContent(bytes) {
+  const signature = DOCUMENT_LINK_CONFIG.PDF_SIGNATURE;
+  if (!bytes || bytes.length < signature.length) return false;
+  
+  for (let i = 0; i < signature.length; i++) {
+    if ((bytes[i] & 0xFF) !== signature.charCodeAt(i)) return false;
+  }
+  return true;
+}
+
+/**
+ * Choose the file name of a downloaded document (pure function)
+ * ダウンロードした書類のファイル名を決定（純粋関数）
+ *
+ * Content-Disposition (filename* or filename) wins, then the last URL path segment if it is a
+ * .pdf name, then the fallback.
+ *
+ * @param {Object} headers - Response headers (any case)
+ * @param {string} url - Download URL
+ * @param {string} fallbackName - Name used when neither gives one, e.g. the document title
+ * @returns {string} - File name ending in .pdf
+ */
+function getLinkedDocumentName(headers, url, fallbackName) {
+  const dispositionKey = Object.keys(headers || {}).find(key => key.toLowerCase() === 'content-disposition');
+  const disposition = dispositionKey ? String(headers[dispositionKey]) : '';
+  
+  let name = '';
+  const extended = disposition.match(/filename\*\s*=\s*[^']*'[^']*'([^;]+)/i);
+  const plain = disposition.match(/filename\s*=\s*"?([^";]+)"?/i);
+  
+  try {
+    if (extended) {
+      name = decodeURIComponent(extended[1].trim());
+    } else if (plain) {
+      name = plain[1].trim();
+    } else {
+      const lastSegment = decodeURIComponent(url.split(/[?#]/)[0].split('/').pop() || '');
+      name = /\.pdf$/i.test(lastSegment) ? lastSegment : '';
+    }
+  } catch (error) {
+    name = '';
+  }
+  
+  name = (name || fallbackName || 'document').replace(/[\\/:*?"<>|]/g, '_');
+  return /\.pdf$/i.test(name) ? name : `${name}.pdf`;
+}
+
+/**
+ * Download one linked document and validate it
+ * リンク先の書類を1件ダウンロードして検証
+ *
+ * @param {string} url - Download URL
+ * @param {string} fallbackName - File name used when the response has none
+ * @param {Object} fetcher - UrlFetchApp, or a stand-in with the same fetch() in tests
+ * @returns {Object} - {attachment} on success, {error} otherwise
+ */
+function fetchLinkedDocument(url, fallbackName, fetcher = UrlFetchApp) {
+  try {
+    const response = fetcher.fetch(url, { muteHttpExceptions: true, followRedirects: true });
+    const code = response.getResponseCode();
+    if (code !== 200) {
+      return { error: `HTTP ${code}` };
+    }
+    
+    const blob = response.getBlob();
+    const bytes = blob.getBytes();
+    
+    if (bytes.length > DOCUMENT_LINK_CONFIG.MAX_FILE_BYTES) {
+      return { error: `File too large (${bytes.length} bytes)` };
+    }
+    if (!isPdfContent(bytes)) {
+      return { error: `Not a PDF (${blob.getContentType() || 'unknown content type'})` };
+    }
+    
+    const name = getLinkedDocumentName(response.getHeaders(), url, fallbackName);
+    
+    // Same interface as GmailAttachment for processAttachments() / saveAttachmentToDrive()
+    return {
+      attachment: {
+        getName: () => name,
+        getSize: () => bytes.length,
+        copyBlob: () => Utilities.newBlob(bytes, 'application/pdf', name),
+        getSourceUrl: () => url
+      }
+    };
+    
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+/**
+ * Retrieve the signed documents linked from a message without PDF attachment
+ * PDF添付のないメッセージからリンク先の署名済み書類を取得
+ *
+ * @param {GmailMessage} message - Gmail message object
+ * @param {string} type - Provider message type
+ * @param {string} fallbackName - File name used when a download has none (document title or subject)
+ * @param {Object} fetcher - UrlFetchApp, or a stand-in with the same fetch() in tests
+ * @returns {Object} - {links, attachments, errors}
+ */
+function retrieveLinkedDocuments(message, type, fallbackName, fetcher = UrlFetchApp) {
+  const result = { links: [], attachments: [], errors: [] };
+  
+  try {
+    const texts = [message.getPlainBody(), message.getBody ? message.getBody() : ''];
+    result.links = extractDocumentLinks(texts, type).slice(0, DOCUMENT_LINK_CONFIG.MAX_LINKS_PER_MESSAGE);
+    
+    if (result.links.length === 0) {
+      console.log('No document download links found in the message');
+      return result;
+    }
+    
+    result.links.forEach((url, index) => {
+      const name = result.links.length > 1 ? `${fallbackName}_${index + 1}` : fallbackName;
+      const fetched = fetchLinkedDocument(url, name, fetcher);
+      
+      if (fetched.attachment) {
+        console.log(`Retrieved linked document: ${fetched.attachment.getName()} (${fetched.attachment.getSize()} bytes)`);
+        result.attachments.push(fetched.attachment);
+      } else {
+        console.log(`Could not retrieve linked document ${url}: ${fetched.error}`);
+        result.errors.push({ url: url, error: fetched.error });
+      }
+    });
+    
+  } catch (error) {
+    console.error('Error retrieving linked documents:', error);
+    result.errors.push({ url: null, error: error.message });
+  }
+  
+  return result;
+}
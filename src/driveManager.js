@@ -7,14 +7,16 @@
 
 /**
  * Process and save email attachments directly to Google Drive
- * メール添付ファイルを直接Google Driveに保存（サブフォルダ作成なし）
+ * メール添付ファイルをGoogle Driveに保存（保存先フォルダはCONFIG.DRIVE_LAYOUT）
  * 
- * @param {Array} attachments - Array of Gmail attachment objects
+ * @param {Array} attachments - Array of Gmail attachment objects (ZIP archives are expanded)
  * @param {string} subject - Email subject for filename generation
  * @param {Date} emailDate - Email date for filename generation
- * @returns {Array} - Array of attachment info objects
+ * @param {string} sender - Email sender for content duplicate detection
+ * @param {Object} envelope - Envelope ID from getMessageEnvelopeId(), preferred duplicate key (optional)
+ * @returns {Array} - Array of attachment info objects (with fileType, documentRole and, for unpacked files, sourceArchive)
  */
-function processAttachments(attachments, subject, emailDate = new Date(), sender = '') {
+function processAttachments(attachments, subject, emailDate = new Date(), sender = '', envelope = null) {
   console.log(`Processing ${attachments.length} attachments for subject: ${subject}`);
   
   if (attachments.length === 0) {
@@ -24,19 +26,25 @@ function processAttachments(attachments, subject, emailDate = new Date(), sender
   const attachmentInfo = [];
   const contractBaseFolderId = getProperty(PROPERTY_KEYS.DRIVE_FOLDER_ID);
   
-  // Extract PDF filenames for duplicate detection
-  const pdfNames = attachments
-    .filter(attachment => attachment.getName().toLowerCase().endsWith('.pdf'))
+  // Unpack ZIP attachments so the documents inside go through the normal save path
+  attachments = expandArchiveAttachments(attachments);
+  
+  // Extract contract document filenames (PDF and CONFIG.CONTRACT_FILE_FORMATS) for duplicate detection
+  const documentNames = attachments
+    .filter(attachment => isStoredDocumentName(attachment.getName()))
     .map(attachment => attachment.getName());
   
-  console.log(`Found ${pdfNames.length} PDF files: [${pdfNames.join(', ')}]`);
+  console.log(`Found ${documentNames.length} contract documents: [${documentNames.join(', ')}]`);
   
   // Check for content duplicate
   let contentKey = null;
   let duplicateInfo = { isDuplicate: false, existingUrl: null };
   
-  if (pdfNames.length > 0) {
-    contentKey = generateContentDuplicateKey(sender, emailDate, subject, pdfNames);
+  if (documentNames.length > 0) {
+    // The envelope ID identifies every copy of one envelope; fall back to the content hash
+    contentKey = envelope ?
+      generateEnvelopeDuplicateKey(envelope) :
+      generateContentDuplicateKey(sender, emailDate, subject, documentNames);
     duplicateInfo = checkContentDuplicate(contentKey);
     
     console.log(`Content duplicate check: ${duplicateInfo.isDuplicate ? 'DUPLICATE FOUND' : 'NEW CONTENT'}`);
@@ -50,16 +58,18 @@ function processAttachments(attachments, subject, emailDate = new Date(), sender
     console.log(`Using contract base folder: ${contractBaseFolder.getName()} (ID: ${contractBaseFolderId})`);
     console.log(`Contract base folder URL: ${contractBaseFolder.getUrl()}`);
     
+    let targetFolder = null;
+    let contentRecorded = false;
+    
     attachments.forEach((attachment, index) => {
       try {
         const fileName = attachment.getName();
+        const sourceArchive = attachment.getSourceArchive ? attachment.getSourceArchive() : null;
         console.log(`Processing attachment ${index + 1}/${attachments.length}: ${fileName}`);
         
-        // Check if it's a PDF file
-        const isPdf = fileName.toLowerCase().endsWith('.pdf');
-        
-        if (!isPdf) {
-          console.log(`Skipping non-PDF file: ${fileName}`);
+        // Only PDFs and the formats in CONFIG.CONTRACT_FILE_FORMATS are contract documents
+        if (!isStoredDocumentName(fileName)) {
+          console.log(`Skipping non-contract file: ${fileName}`);
           attachmentInfo.push({
             originalName: fileName,
             savedName: null,
@@ -67,13 +77,22 @@ function processAttachments(attachments, subject, emailDate = new Date(), sender
             driveUrl: null,
             fileId: null,
             folderPath: null,
-            skipped: 'Not a PDF file',
+            skipped: 'Not a contract document',
             contentKey: null,
-            isDuplicate: false
+            isDuplicate: false,
+            sourceArchive: sourceArchive
           });
           return;
         }
         
+        const fileType = getAttachmentFileType(fileName);
+        
+        // Certificates of completion / audit trails are kept apart from the executed agreement
+        const classification = classifyDocumentRole(attachment);
+        if (classification.role === 'audit') {
+          console.log(`Audit document (${classification.matchedBy}): ${fileName}`);
+        }
+        
         // If this is a duplicate content, skip PDF saving but provide existing URL
         if (duplicateInfo.isDuplicate) {
           console.log(`Skipping PDF save for duplicate content: ${fileName}`);
@@ -89,15 +108,26 @@ function processAttachments(attachments, subject, emailDate = new Date(), sender
             skipped: 'Duplicate content - PDF already saved',
             contentKey: contentKey,
             isDuplicate: true,
-            existingUrl: duplicateInfo.existingUrl
+            existingUrl: duplicateInfo.existingUrl,
+            fileType: fileType,
+            documentRole: classification.role,
+            sourceArchive: sourceArchive
           });
           return;
         }
         
-        // Save PDF to Drive (new content)
-        const info = saveAttachmentToDrive(attachment, subject, index, contractBaseFolder, emailDate);
+        // Save document to Drive (new content), in the folder chosen by CONFIG.DRIVE_LAYOUT
+        // (audit documents go to its CONFIG.AUDIT_DOCUMENTS.SUBFOLDER)
+        targetFolder = targetFolder || getContractTargetFolder(contractBaseFolder, subject, emailDate);
+        const documentFolder = classification.role === 'audit' ?
+          getOrCreateSubfolder(targetFolder, CONFIG.AUDIT_DOCUMENTS.SUBFOLDER) :
+          targetFolder;
+        const info = saveAttachmentToDrive(attachment, subject, index, documentFolder, emailDate);
         info.contentKey = contentKey;
         info.isDuplicate = false;
+        info.fileType = fileType;
+        info.documentRole = classification.role;
+        info.sourceArchive = sourceArchive;
         attachmentInfo.push(info);
         
         console.log(`Successfully saved: ${info.savedName}`);
@@ -105,9 +135,31 @@ function processAttachments(attachments, subject, emailDate = new Date(), sender
         console.log(`Saved in folder: ${info.folderPath}`);
         console.log(`Folder URL: ${info.folderUrl}`);
         
+        // Also store a PDF copy of docx/xlsx etc. when CONFIG.CONVERT_TO_PDF is on
+        if (fileType !== 'PDF' && CONFIG.CONVERT_TO_PDF) {
+          const pdfBlob = convertAttachmentToPdf(attachment);
+          if (pdfBlob) {
+            const pdfInfo = saveAttachmentToDrive({
+              getName: () => pdfBlob.getName(),
+              getSize: () => pdfBlob.getBytes().length,
+              copyBlob: () => pdfBlob
+            }, subject, index, documentFolder, emailDate);
+            pdfInfo.contentKey = contentKey;
+            pdfInfo.isDuplicate = false;
+            pdfInfo.fileType = `PDF (${fileType})`;
+            pdfInfo.documentRole = classification.role;
+            pdfInfo.convertedFrom = info.savedName;
+            pdfInfo.sourceArchive = sourceArchive;
+            attachmentInfo.push(pdfInfo);
+            
+            console.log(`Saved PDF conversion: ${pdfInfo.savedName}`);
+          }
+        }
+        
         // Record this content as saved to prevent future duplicates
-        if (index === 0 && contentKey) { // Only record once per email
-          recordContentDuplicate(contentKey, sender, emailDate, subject, pdfNames, info.folderUrl || contractBaseFolder.getUrl());
+        if (!contentRecorded && contentKey) { // Only record once per email
+          recordContentDuplicate(contentKey, sender, emailDate, subject, documentNames, targetFolder.getUrl());
+          contentRecorded = true;
         }
         
       } catch (error) {
@@ -191,6 +243,54 @@ function createContractFolder(contractBaseFolder, subject, emailDate) {
   }
 }
 
+/**
+ * Get the folder a new contract PDF is saved in, according to CONFIG.DRIVE_LAYOUT
+ * CONFIG.DRIVE_LAYOUTに従って契約書PDFの保存先フォルダを取得
+ * 
+ * @param {DriveFolder} contractBaseFolder - Contract base folder
+ * @param {string} subject - Email subject
+ * @param {Date} emailDate - Email date
+ * @returns {DriveFolder} - Base folder ('flat'), YYYY/MM subfolder ('year_month') or contract folder ('contract_folder')
+ */
+function getContractTargetFolder(contractBaseFolder, subject, emailDate) {
+  try {
+    switch (CONFIG.DRIVE_LAYOUT) {
+      case 'year_month': {
+        const yearFolder = getOrCreateSubfolder(contractBaseFolder, Utilities.formatDate(emailDate, 'JST', 'yyyy'));
+        return getOrCreateSubfolder(yearFolder, Utilities.formatDate(emailDate, 'JST', 'MM'));
+      }
+      
+      case 'contract_folder':
+        return createContractFolder(contractBaseFolder, subject, emailDate);
+        
+      default:
+        return contractBaseFolder;
+    }
+    
+  } catch (error) {
+    console.error(`Error resolving ${CONFIG.DRIVE_LAYOUT} folder, using base folder:`, error);
+    return contractBaseFolder;
+  }
+}
+
+/**
+ * Get or create a subfolder by name
+ * 名前でサブフォルダを取得または作成
+ * 
+ * @param {DriveFolder} parentFolder - Parent folder
+ * @param {string} name - Subfolder name
+ * @returns {DriveFolder} - Existing or created subfolder
+ */
+function getOrCreateSubfolder(parentFolder, name) {
+  const existing = parentFolder.getFoldersByName(name);
+  if (existing.hasNext()) {
+    return existing.next();
+  }
+  
+  console.log(`Creating subfolder: ${parentFolder.getName()}/${name}`);
+  return parentFolder.createFolder(name);
+}
+
 /**
  * Clean email subject for use as folder name
  * メール件名をフォルダ名として使用できるようにクリーニング
@@ -10,18 +10,23 @@
  * 個別のメールメッセージを処理
  * 
  * @param {GmailMessage} message - Gmail message object
+ * @param {Object} evaluation - Result of evaluateMessage() if already computed (optional)
  * @returns {boolean} - true if message was processed successfully
  */
-function processMessage(message) {
+function processMessage(message, evaluation = null) {
   try {
     console.log('--- Processing Message ---');
     
+    // Forwarded mail: work with the original sender/date/subject/To, keep the forwarder
+    message = unwrapForwardedMessage(message);
+    const forwardedBy = message.getForwardedBy ? message.getForwardedBy() : null;
+    
     const subject = message.getSubject();
     const sender = message.getFrom();
     const recipient = getMessageRecipient(message);
     const date = message.getDate();
     const body = message.getPlainBody();
-    const attachments = message.getAttachments();
+    let attachments = message.getAttachments();
     const messageId = message.getId();
     
     console.log(`Subject: ${subject}`);
@@ -30,67 +35,71 @@ function processMessage(message) {
     console.log(`Date: ${date}`);
     console.log(`Message ID: ${messageId}`);
     console.log(`Attachments: ${attachments.length}`);
+    if (forwardedBy) {
+      console.log(`Forwarded by: ${forwardedBy.from} (${forwardedBy.date})`);
+    }
     
-    // Detect message source type (sender-based or Docusign)
-    const messageSource = detectMessageSource(message);
+    // Detect message source type and check subject patterns
+    const decision = evaluation || evaluateMessage(message);
+    const messageSource = decision.messageSource;
     console.log(`Message source type: ${messageSource.type}`);
     
-    if (messageSource.type === 'FILTERED_OUT') {
-      console.log(`Message filtered out: ${messageSource.details.reason}`);
-      
-      // Add skip label to avoid checking this message again
-      try {
-        const skipLabel = GmailApp.getUserLabelByName(CONFIG.GMAIL_SKIP_LABEL) || 
-                         GmailApp.createLabel(CONFIG.GMAIL_SKIP_LABEL);
-        message.getThread().addLabel(skipLabel);
-        console.log(`Added ${CONFIG.GMAIL_SKIP_LABEL} label to skip future processing`);
-      } catch (error) {
-        console.error('Error adding skip label:', error);
+    if (!decision.shouldProcess) {
+      console.log(`Message skipped (${decision.reason}): ${decision.detail}`);
+      if (decision.patternMatch) {
+        console.log(`Checked patterns: ${decision.patternMatch.checkedPatterns}`);
       }
       
+      // Add skip label to avoid checking this message again, and keep the reason
+      addSkipLabel(message);
+      recordSkippedMessage(message, decision);
       return false;
     }
     
-    if (messageSource.type === 'UNKNOWN' || messageSource.type === 'ERROR') {
-      console.log(`Unknown message type or error: ${JSON.stringify(messageSource.details)}`);
-      
-      // Add skip label to avoid checking this message again
-      try {
-        const skipLabel = GmailApp.getUserLabelByName(CONFIG.GMAIL_SKIP_LABEL) || 
-                         GmailApp.createLabel(CONFIG.GMAIL_SKIP_LABEL);
-        message.getThread().addLabel(skipLabel);
-        console.log(`Added ${CONFIG.GMAIL_SKIP_LABEL} label to skip future processing`);
-      } catch (error) {
-        console.error('Error adding skip label:', error);
-      }
-      
-      return false;
+    // Lifecycle notifications (viewed, declined, voided, ...) only move the envelope state
+    if (decision.reason === 'LIFECYCLE') {
+      console.log(decision.detail);
+      return recordLifecycleEvent(message, decision.lifecycle);
     }
     
-    // Check subject pattern using message type
-    const patternMatch = checkSubjectPattern(subject, messageSource.type);
-    if (!patternMatch.isMatch) {
-      console.log(`Subject pattern mismatch: ${subject}`);
-      console.log(`Message type: ${messageSource.type}`);
-      console.log(`Checked patterns: ${patternMatch.checkedPatterns}`);
-      
-      // Add skip label to avoid checking this message again
+    const patternMatch = decision.patternMatch;
+    console.log(`Subject pattern matched: ${patternMatch.matchedPattern}`);
+    console.log(`Message type: ${messageSource.type}`);
+    
+    // Extract agreement/document name for provider notifications (e.g. Adobe Acrobat Sign, CloudSign)
+    const parsedSubject = parseProviderSubject(subject, messageSource.type);
+    const documentTitle = extractProviderDocumentTitle(subject, messageSource.type);
+    if (documentTitle) {
+      console.log(`Document title: ${documentTitle}`);
+    }
+    if (parsedSubject && parsedSubject.event) {
+      console.log(`Provider event: ${parsedSubject.event}`);
+    }
+    
+    // Envelope/document ID: canonical contract key shared by every copy of the notification
+    const envelope = getMessageEnvelopeId(message, messageSource.type);
+    if (envelope) {
+      console.log(`Envelope ID: ${envelope.envelopeId} (${envelope.providerType}, from ${envelope.foundIn})`);
+    }
+    
+    // Tool for the 契約管理ツール column and Slack (null = derived from the sender)
+    const contractTool = isManualIntake(decision) ? MANUAL_INTAKE_CONFIG.TOOL_NAME : null;
+    
+    console.log('Processing email...');
+    
+    // Another copy of the envelope (e.g. sent to several team members) already has a contract row
+    let envelopeRecord = null;
+    if (CONFIG.ENABLE_SPREADSHEET_LOGGING && envelope) {
       try {
-        const skipLabel = GmailApp.getUserLabelByName(CONFIG.GMAIL_SKIP_LABEL) || 
-                         GmailApp.createLabel(CONFIG.GMAIL_SKIP_LABEL);
-        message.getThread().addLabel(skipLabel);
-        console.log(`Added ${CONFIG.GMAIL_SKIP_LABEL} label to skip future processing`);
+        envelopeRecord = searchRecordByEnvelopeId(envelope.envelopeId);
       } catch (error) {
-        console.error('Error adding skip label:', error);
+        console.error('Error looking up envelope in the contract list:', error);
+      }
+      if (envelopeRecord) {
+        console.log(`Envelope already recorded at row ${envelopeRecord.row} (message ${envelopeRecord.messageId}) - no new row`);
       }
-      
-      return false;
     }
     
-    console.log(`Subject pattern matched: ${patternMatch.matchedPattern}`);
-    console.log(`Message type: ${messageSource.type}`);
-    console.log('Processing email...');
-    
     // Initialize email record for spreadsheet logging
     let emailRecord = null;
     if (CONFIG.ENABLE_SPREADSHEET_LOGGING) {
@@ -99,11 +108,18 @@ function processMessage(message) {
         sender: sender,
         recipient: recipient,
         subject: subject,
+        contractTool: contractTool,
+        documentTitle: documentTitle,
+        forwardedBy: forwardedBy ? forwardedBy.from : '',
+        forwardedAt: forwardedBy ? forwardedBy.date : null,
+        envelopeId: envelope ? envelope.envelopeId : '',
         body: body,
         messageId: messageId,
         attachmentCount: attachments.length,
         pdfCount: 0,
         pdfDirectLinks: '',
+        fileTypes: '',
+        auditLinks: '',
         status: 'Processing',
         slackNotified: false,
         error: null
@@ -111,74 +127,48 @@ function processMessage(message) {
       
       // Add initial record to spreadsheet
       try {
-        addEmailRecord(emailRecord);
-        console.log('Email record added to spreadsheet');
+        if (!envelopeRecord) {
+          addEmailRecord(emailRecord);
+          console.log('Email record added to spreadsheet');
+        }
       } catch (error) {
         console.error('Error adding email record to spreadsheet:', error);
         // Continue processing even if spreadsheet logging fails
       }
     }
     
+    // No document attached: fetch the signed document from the provider's download links (e.g. Dropbox Sign)
+    const hasDocumentAttachment = attachments.some(attachment => isContractAttachmentName(attachment.getName()));
+    if (!hasDocumentAttachment && CONFIG.FETCH_DOCUMENT_LINKS) {
+      const linked = retrieveLinkedDocuments(message, messageSource.type, documentTitle || subject);
+      attachments = attachments.concat(linked.attachments);
+    }
+    
     // Process attachments if any
     const attachmentInfo = [];
     if (attachments.length > 0) {
       console.log(`Processing ${attachments.length} attachments...`);
       
-      // Check if there are any PDF files before processing
-      const pdfAttachments = attachments.filter(attachment => {
-        const fileName = attachment.getName().toLowerCase();
-        return fileName.endsWith('.pdf');
-      });
+      // Check if there are any contract documents (PDF, ZIP or CONFIG.CONTRACT_FILE_FORMATS) before processing
+      const documentAttachments = attachments.filter(attachment => isContractAttachmentName(attachment.getName()));
       
-      if (pdfAttachments.length > 0) {
-        console.log(`Found ${pdfAttachments.length} PDF files, processing attachments...`);
+      if (documentAttachments.length > 0) {
+        console.log(`Found ${documentAttachments.length} contract documents, processing attachments...`);
         try {
-          // Pass email date and sender for content-based duplicate detection
-          attachmentInfo.push(...processAttachments(attachments, subject, date, sender));
+          // Pass the envelope ID (or email date and sender) for duplicate detection
+          attachmentInfo.push(...processAttachments(attachments, subject, date, sender, envelope));
           
-          // Update spreadsheet record with PDF info
+          // Update spreadsheet record with document info
           if (CONFIG.ENABLE_SPREADSHEET_LOGGING && emailRecord) {
-            emailRecord.pdfCount = pdfAttachments.length;
-            
-            // Collect all PDF direct links (URLs only for clickable links in spreadsheet)
-            // Show "Duplicate" for duplicate PDFs instead of folder links
-            const pdfDirectLinks = attachmentInfo
-              .filter(att => !att.error && att.originalName && att.originalName.toLowerCase().endsWith('.pdf'))
-              .map(att => {
-                if (att.isDuplicate) {
-                  return 'Duplicate';
-                } else if (att.pdfDirectUrl) {
-                  return att.pdfDirectUrl;
-                }
-                return null;
-              })
-              .filter(link => link !== null)
-              .join('\n');
-            
-            if (pdfDirectLinks) {
-              emailRecord.pdfDirectLinks = pdfDirectLinks;
-            }
-            
-            // If multiple PDFs, list all filenames
-            const allPdfNames = attachmentInfo
-              .filter(att => !att.error && att.originalName && att.originalName.toLowerCase().endsWith('.pdf'))
-              .map(att => {
-                const name = att.originalName;
-                return att.isDuplicate ? `${name} (duplicate)` : name;
-              })
-              .join(', ');
-            
-            if (allPdfNames) {
-              emailRecord.pdfFilename = allPdfNames;
-            }
+            Object.assign(emailRecord, summarizeStoredDocuments(attachmentInfo));
           }
         } catch (error) {
           console.error('Error processing attachments:', error);
           // Continue with notification even if attachment processing fails
         }
       } else {
-        console.log('No PDF files found in attachments, skipping Drive folder creation');
-        // Still add attachment info for non-PDF files (for Slack notification)
+        console.log('No contract documents found in attachments, skipping Drive folder creation');
+        // Still add attachment info for other files (for Slack notification)
         attachments.forEach(attachment => {
           attachmentInfo.push({
             originalName: attachment.getName(),
@@ -187,7 +177,7 @@ function processMessage(message) {
             driveUrl: null,
             fileId: null,
             folderPath: null,
-            skipped: 'Not a PDF file'
+            skipped: 'Not a contract document'
           });
         });
       }
@@ -200,6 +190,8 @@ function processMessage(message) {
         subject: subject,
         sender: sender,
         date: date,
+        contractTool: contractTool,
+        forwardedBy: forwardedBy ? forwardedBy.from : null,
         body: formatEmailBody(body),
         attachments: attachmentInfo
       });
@@ -209,15 +201,17 @@ function processMessage(message) {
       // Don't throw - we still want to mark as processed
     }
     
-    // Update spreadsheet record with final status
-    if (CONFIG.ENABLE_SPREADSHEET_LOGGING && emailRecord) {
+    // Update spreadsheet record with final status (no stored agreement: the document is still pending)
+    if (CONFIG.ENABLE_SPREADSHEET_LOGGING && emailRecord && !envelopeRecord) {
       try {
         updateRecordStatus(messageId, {
-          status: 'Success',
+          status: hasStoredAgreement(attachmentInfo) ? 'Success' : 'Document Pending',
           slackNotified: slackNotified,
           pdfCount: emailRecord.pdfCount,
           pdfDirectLinks: emailRecord.pdfDirectLinks,
-          pdfFilename: emailRecord.pdfFilename
+          pdfFilename: emailRecord.pdfFilename,
+          fileTypes: emailRecord.fileTypes,
+          auditLinks: emailRecord.auditLinks
         });
         console.log('Spreadsheet record updated with final status');
       } catch (error) {
@@ -225,6 +219,28 @@ function processMessage(message) {
       }
     }
     
+    // A later copy that brought the document completes the envelope's existing row
+    if (CONFIG.ENABLE_SPREADSHEET_LOGGING && emailRecord && envelopeRecord &&
+        envelopeRecord.status !== 'Success' && hasStoredAgreement(attachmentInfo)) {
+      try {
+        updateRecordStatus(envelopeRecord.messageId, {
+          status: 'Success',
+          pdfDirectLinks: emailRecord.pdfDirectLinks,
+          pdfFilename: emailRecord.pdfFilename,
+          fileTypes: emailRecord.fileTypes,
+          auditLinks: emailRecord.auditLinks
+        });
+        console.log(`Envelope row ${envelopeRecord.row} updated with the stored document`);
+      } catch (error) {
+        console.error('Error updating envelope record:', error);
+      }
+    }
+    
+    // Completion (and other matched provider notifications) also move the envelope state
+    if (decision.lifecycle) {
+      recordLifecycleEvent(message, decision.lifecycle);
+    }
+    
     console.log(`Message processed successfully: ${messageId}`);
     return true;
     
@@ -247,6 +263,58 @@ function processMessage(message) {
   }
 }
 
+/**
+ * Summarize stored documents for the contract list row (pure function)
+ * 契約一覧の行に記録する保存済み書類の情報をまとめる（純粋関数）
+ * 
+ * Certificates of completion / audit trails get their own column, so the PDF link is the
+ * agreement. Duplicates show "Duplicate" instead of a link; converted PDF copies are linked
+ * but not counted or listed by name.
+ * 
+ * @param {Array} attachmentInfo - Result of processAttachments()
+ * @returns {Object} - {pdfCount, fileTypes, pdfDirectLinks, auditLinks, pdfFilename}
+ */
+function summarizeStoredDocuments(attachmentInfo) {
+  // attachmentInfo has a fileType for every contract document
+  const documentInfo = attachmentInfo.filter(att => !att.error && att.originalName && att.fileType);
+  const agreements = documentInfo.filter(att => att.documentRole !== 'audit');
+  
+  // URLs only for clickable links in spreadsheet
+  const toDirectLinks = infos => infos
+    .map(att => {
+      if (att.isDuplicate) {
+        return 'Duplicate';
+      } else if (att.pdfDirectUrl) {
+        return att.pdfDirectUrl;
+      }
+      return null;
+    })
+    .filter(link => link !== null)
+    .join('\n');
+  
+  return {
+    pdfCount: agreements.filter(att => !att.convertedFrom).length,
+    fileTypes: [...new Set(documentInfo.map(att => att.fileType))].join(', '),
+    pdfDirectLinks: toDirectLinks(agreements),
+    auditLinks: toDirectLinks(documentInfo.filter(att => att.documentRole === 'audit')),
+    pdfFilename: agreements
+      .filter(att => !att.convertedFrom)
+      .map(att => att.isDuplicate ? `${att.originalName} (duplicate)` : att.originalName)
+      .join(', ')
+  };
+}
+
+/**
+ * Check whether the executed agreement was stored (or already stored) (pure function)
+ * 締結済み契約書が保存済み（または保存済みの重複）かを判定（純粋関数）
+ * 
+ * @param {Array} attachmentInfo - Result of processAttachments()
+ * @returns {boolean} - false means the row is 'Document Pending'
+ */
+function hasStoredAgreement(attachmentInfo) {
+  return attachmentInfo.some(att => att.documentRole !== 'audit' && (att.isDuplicate || att.pdfDirectUrl));
+}
+
 /**
  * Format email body for Slack display with proper length handling
  * Slack表示用にメール本文を適切な長さでフォーマット
@@ -308,6 +376,153 @@ function formatEmailBody(body) {
   }
 }
 
+/**
+ * Decide whether a message should be processed, without side effects
+ * メッセージを処理すべきかを判定（副作用なし）
+ * 
+ * Reason codes: MATCHED, LIFECYCLE, FILTERED_OUT, EXCLUDED, UNKNOWN, ERROR, SUBJECT_MISMATCH
+ * 
+ * Provider notifications that would be skipped but announce an envelope lifecycle state
+ * (sent, viewed, declined, voided, ...) are returned as LIFECYCLE so that processMessage()
+ * records the state change instead of skipping them.
+ * 
+ * Forwarded messages are evaluated on the original sender and subject (see forwardedMessage.js).
+ * 
+ * @param {GmailMessage} message - Gmail message object
+ * @returns {Object} - {shouldProcess, reason, detail, messageSource, patternMatch, lifecycle}
+ */
+function evaluateMessage(message) {
+  message = unwrapForwardedMessage(message);
+  const subject = message.getSubject();
+  const messageSource = detectMessageSource(message);
+  
+  // Provider that sent the message, also when it was filtered out or excluded
+  const providerType = isSigningProviderType(messageSource.type) ? messageSource.type : messageSource.details.provider;
+  
+  // The envelope ID keys the lifecycle row, so envelopes that reuse a document name stay apart
+  const provider = providerType ? getSigningProvider(providerType, false) : null;
+  const envelope = provider && provider.EVENT_PATTERNS ? getMessageEnvelopeId(message, providerType) : null;
+  const lifecycle = detectLifecycleEvent(subject, providerType, envelope ? envelope.envelopeId : null);
+  
+  if (messageSource.type === 'FILTERED_OUT') {
+    if (lifecycle) {
+      return buildLifecycleEvaluation(messageSource, null, lifecycle);
+    }
+    
+    return {
+      shouldProcess: false,
+      reason: 'FILTERED_OUT',
+      detail: messageSource.details.reason,
+      messageSource: messageSource,
+      patternMatch: null
+    };
+  }
+  
+  if (messageSource.type === 'EXCLUDED') {
+    const exclusionMatch = {
+      isMatch: false,
+      excluded: true,
+      excludedBy: messageSource.details.excludedBy,
+      exclusionScope: messageSource.details.exclusionScope,
+      matchedPattern: null,
+      checkedPatterns: [`exclude ${messageSource.details.excludedBy}`]
+    };
+    
+    if (lifecycle) {
+      return buildLifecycleEvaluation(messageSource, exclusionMatch, lifecycle);
+    }
+    
+    return {
+      shouldProcess: false,
+      reason: 'EXCLUDED',
+      detail: messageSource.details.reason,
+      messageSource: messageSource,
+      patternMatch: exclusionMatch
+    };
+  }
+  
+  if (messageSource.type === 'UNKNOWN' || messageSource.type === 'ERROR') {
+    return {
+      shouldProcess: false,
+      reason: messageSource.type,
+      detail: `Unknown message type or error: ${JSON.stringify(messageSource.details)}`,
+      messageSource: messageSource,
+      patternMatch: null
+    };
+  }
+  
+  const patternMatch = checkSubjectPattern(subject, messageSource.type, isSenderVerifiedSource(messageSource));
+  if (lifecycle && (patternMatch.excluded || !patternMatch.isMatch)) {
+    return buildLifecycleEvaluation(messageSource, patternMatch, lifecycle);
+  }
+  
+  if (patternMatch.excluded) {
+    return {
+      shouldProcess: false,
+      reason: 'EXCLUDED',
+      detail: `Subject matches ${patternMatch.exclusionScope} exclusion pattern ${patternMatch.excludedBy}: ${subject}`,
+      messageSource: messageSource,
+      patternMatch: patternMatch
+    };
+  }
+  
+  if (!patternMatch.isMatch) {
+    return {
+      shouldProcess: false,
+      reason: 'SUBJECT_MISMATCH',
+      detail: `Subject pattern mismatch for ${messageSource.type}: ${subject}`,
+      messageSource: messageSource,
+      patternMatch: patternMatch
+    };
+  }
+  
+  return {
+    shouldProcess: true,
+    reason: 'MATCHED',
+    detail: `Subject pattern matched: ${patternMatch.matchedPattern}`,
+    messageSource: messageSource,
+    patternMatch: patternMatch,
+    lifecycle: lifecycle
+  };
+}
+
+/**
+ * Build the evaluation for a lifecycle-only notification (status sheet, no contract row)
+ * ライフサイクル通知のみの判定結果を生成（ステータスシートのみ、契約行なし）
+ * 
+ * @param {Object} messageSource - Result of detectMessageSource()
+ * @param {Object|null} patternMatch - Result of checkSubjectPattern(), if checked
+ * @param {Object} lifecycle - Result of detectLifecycleEvent()
+ * @returns {Object} - Evaluation with reason LIFECYCLE
+ */
+function buildLifecycleEvaluation(messageSource, patternMatch, lifecycle) {
+  return {
+    shouldProcess: true,
+    reason: 'LIFECYCLE',
+    detail: `${lifecycle.toolName} lifecycle notification: ${lifecycle.state} (${lifecycle.documentName})`,
+    messageSource: messageSource,
+    patternMatch: patternMatch,
+    lifecycle: lifecycle
+  };
+}
+
+/**
+ * Add the skip label to a message's thread so it is not checked again
+ * 再チェックを防ぐためにスレッドへスキップラベルを追加
+ * 
+ * @param {GmailMessage} message - Gmail message object
+ */
+function addSkipLabel(message) {
+  try {
+    const skipLabel = GmailApp.getUserLabelByName(CONFIG.GMAIL_SKIP_LABEL) || 
+                     GmailApp.createLabel(CONFIG.GMAIL_SKIP_LABEL);
+    message.getThread().addLabel(skipLabel);
+    console.log(`Added ${CONFIG.GMAIL_SKIP_LABEL} label to skip future processing`);
+  } catch (error) {
+    console.error('Error adding skip label:', error);
+  }
+}
+
 /**
  * Check if message has already been processed using spreadsheet tracking
  * スプレッドシート追跡でメッセージが既に処理済みかどうかをチェック
@@ -410,26 +625,36 @@ function createRecipientHash(recipients) {
 }
 
 /**
- * Advanced subject pattern checking with multiple pattern support and Docusign integration
- * 複数パターン対応とDocusign統合の高度な件名パターンチェック
+ * Advanced subject pattern checking with multiple pattern support and signing provider integration
+ * 複数パターン対応と電子署名プロバイダー統合の高度な件名パターンチェック
  * 
  * @param {string} subject - Email subject
  * @param {string} messageType - Message type ('SENDER_BASED', 'DOCUSIGN', etc.)
+ * @param {boolean} senderVerified - Sender or reply-to matched the provider (see isSenderVerifiedSource)
  * @returns {Object} - Pattern match result with details
  */
-function checkSubjectPattern(subject, messageType = 'SENDER_BASED') {
+function checkSubjectPattern(subject, messageType = 'SENDER_BASED', senderVerified = false) {
   try {
     console.log(`Checking subject pattern for: "${subject}"`);
     console.log(`Message type: ${messageType}`);
     
-    // Handle Docusign-specific pattern matching
-    if (messageType === 'DOCUSIGN' && CONFIG.DOCUSIGN_INTEGRATION?.ENABLE) {
-      return checkDocusignPatterns(subject);
+    // Exclusions are checked before any inclusion pattern
+    const exclusion = checkExclusionPatterns(subject, getSigningProvider(messageType, false));
+    if (exclusion) {
+      console.log(`Excluded by ${exclusion.scope} pattern: ${exclusion.excludedBy}`);
+      return {
+        isMatch: false,
+        excluded: true,
+        excludedBy: exclusion.excludedBy,
+        exclusionScope: exclusion.scope,
+        matchedPattern: null,
+        checkedPatterns: exclusion.checkedPatterns
+      };
     }
     
-    // Handle Dropbox Sign-specific pattern matching
-    if (messageType === 'DROPBOX_SIGN' && CONFIG.DROPBOX_SIGN_INTEGRATION?.ENABLE) {
-      return checkDropboxSignPatterns(subject);
+    // Handle provider-specific pattern matching (Docusign, Dropbox Sign, ...)
+    if (getSigningProvider(messageType)) {
+      return checkProviderPatterns(subject, messageType, senderVerified);
     }
     
     // Use advanced pattern matching if enabled for traditional contract tools
@@ -456,6 +681,39 @@ function checkSubjectPattern(subject, messageType = 'SENDER_BASED') {
   }
 }
 
+/**
+ * Check subject against the exclusion patterns (provider-specific first, then global)
+ * 除外パターンに対する件名チェック（プロバイダー固有、次にグローバル）
+ * 
+ * @param {string} subject - Email subject
+ * @param {Object|null} provider - Signing provider descriptor (null for sender-based messages)
+ * @returns {Object|null} - {excludedBy, scope: <provider TYPE>|'global', checkedPatterns}, or null if not excluded
+ */
+function checkExclusionPatterns(subject, provider = null) {
+  const scopes = [
+    { scope: provider ? provider.TYPE : null, patterns: provider ? (provider.EXCLUDE_PATTERNS || []) : [] },
+    { scope: 'global', patterns: (CONFIG.SUBJECT_PATTERNS && CONFIG.SUBJECT_PATTERNS.EXCLUDE_PATTERNS) || [] }
+  ];
+  
+  const checkedPatterns = [];
+  
+  for (const entry of scopes) {
+    for (const pattern of entry.patterns) {
+      checkedPatterns.push(`exclude ${pattern.toString()}`);
+      
+      if (pattern.test(subject || '')) {
+        return {
+          excludedBy: pattern.toString(),
+          scope: entry.scope,
+          checkedPatterns: checkedPatterns
+        };
+      }
+    }
+  }
+  
+  return null;
+}
+
 /**
  * Check subject against multiple patterns
  * 複数パターンに対する件名チェック
@@ -527,170 +785,6 @@ function checkMultiplePatterns(subject) {
   };
 }
 
-/**
- * Check subject against Docusign patterns
- * Docusign パターンに対する件名チェック
- * 
- * @param {string} subject - Email subject
- * @returns {Object} - Detailed match result for Docusign
- */
-function checkDocusignPatterns(subject) {
-  try {
-    console.log('Checking Docusign-specific patterns...');
-    
-    const patterns = CONFIG.DOCUSIGN_INTEGRATION.SUBJECT_PATTERNS || [];
-    const results = [];
-    const checkedPatterns = [];
-    
-    for (let i = 0; i < patterns.length; i++) {
-      const pattern = patterns[i];
-      const patternString = pattern.toString();
-      checkedPatterns.push(patternString);
-      
-      try {
-        const isMatch = pattern.test(subject);
-        
-        results.push({
-          pattern: patternString,
-          isMatch: isMatch,
-          matchDetails: isMatch ? subject.match(pattern) : null
-        });
-        
-        console.log(`Docusign Pattern ${i + 1}: ${patternString} -> ${isMatch ? 'MATCH' : 'NO MATCH'}`);
-        
-        // Return immediately on first match
-        if (isMatch) {
-          return {
-            isMatch: true,
-            matchedPattern: patternString,
-            checkedPatterns: checkedPatterns,
-            allResults: results,
-            messageType: 'DOCUSIGN',
-            summary: {
-              totalPatterns: patterns.length,
-              matchedCount: 1,
-              finalResult: true
-            }
-          };
-        }
-        
-      } catch (error) {
-        console.error(`Error testing Docusign pattern ${i + 1}:`, error);
-        results.push({
-          pattern: patternString,
-          isMatch: false,
-          error: error.message
-        });
-      }
-    }
-    
-    // No matches found
-    return {
-      isMatch: false,
-      matchedPattern: null,
-      checkedPatterns: checkedPatterns,
-      allResults: results,
-      messageType: 'DOCUSIGN',
-      summary: {
-        totalPatterns: patterns.length,
-        matchedCount: 0,
-        finalResult: false
-      }
-    };
-    
-  } catch (error) {
-    console.error('Error checking Docusign patterns:', error);
-    return {
-      isMatch: false,
-      error: error.message,
-      checkedPatterns: [],
-      messageType: 'DOCUSIGN'
-    };
-  }
-}
-
-/**
- * Check subject against Dropbox Sign patterns
- * Dropbox Sign パターンに対する件名チェック
- * 
- * @param {string} subject - Email subject
- * @returns {Object} - Detailed match result for Dropbox Sign
- */
-function checkDropboxSignPatterns(subject) {
-  try {
-    console.log('Checking Dropbox Sign-specific patterns...');
-    
-    const patterns = CONFIG.DROPBOX_SIGN_INTEGRATION.SUBJECT_PATTERNS || [];
-    const results = [];
-    const checkedPatterns = [];
-    
-    for (let i = 0; i < patterns.length; i++) {
-      const pattern = patterns[i];
-      const patternString = pattern.toString();
-      checkedPatterns.push(patternString);
-      
-      try {
-        const isMatch = pattern.test(subject);
-        
-        results.push({
-          pattern: patternString,
-          isMatch: isMatch,
-          matchDetails: isMatch ? subject.match(pattern) : null
-        });
-        
-        console.log(`Dropbox Sign Pattern ${i + 1}: ${patternString} -> ${isMatch ? 'MATCH' : 'NO MATCH'}`);
-        
-        // Return immediately on first match
-        if (isMatch) {
-          return {
-            isMatch: true,
-            matchedPattern: patternString,
-            checkedPatterns: checkedPatterns,
-            allResults: results,
-            messageType: 'DROPBOX_SIGN',
-            summary: {
-              totalPatterns: patterns.length,
-              matchedCount: 1,
-              finalResult: true
-            }
-          };
-        }
-        
-      } catch (error) {
-        console.error(`Error testing Dropbox Sign pattern ${i + 1}:`, error);
-        results.push({
-          pattern: patternString,
-          isMatch: false,
-          error: error.message
-        });
-      }
-    }
-    
-    // No matches found
-    return {
-      isMatch: false,
-      matchedPattern: null,
-      checkedPatterns: checkedPatterns,
-      allResults: results,
-      messageType: 'DROPBOX_SIGN',
-      summary: {
-        totalPatterns: patterns.length,
-        matchedCount: 0,
-        finalResult: false
-      }
-    };
-    
-  } catch (error) {
-    console.error('Error checking Dropbox Sign patterns:', error);
-    return {
-      isMatch: false,
-      error: error.message,
-      checkedPatterns: [],
-      messageType: 'DROPBOX_SIGN'
-    };
-  }
-}
-
 /**
  * Extract subject pattern match information (legacy support)
  * 件名パターンマッチ情報を抽出（レガシーサポート）
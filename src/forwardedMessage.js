@@ -0,0 +1,251 @@
+/**
+ * Forwarded Message Module
+ *
+ * Colleagues often forward signing-provider emails to the contract inbox. Gmail then reports
+ * the colleague as sender, so detection, the contract tool, the content duplicate key and the
+ * spreadsheet would all see the forwarder. This module finds the forwarded header block in
+ * the plain-text body (English and Japanese mail clients), parses the original
+ * From/Date/Subject/To, and wraps the message so the rest of the pipeline sees the original
+ * values. The forwarder is kept on the wrapper for the spreadsheet and Slack.
+ *
+ * Copies relayed by Google Groups or organizational forwarding have no forwarded block but carry
+ * the original sender in the X-Original-Sender header (see messageHeaders.js); they are
+ * unwrapped the same way, with the relay as forwarder.
+ */
+
+// === FORWARDED MESSAGE CONFIGURATION ===
+const FORWARD_CONFIG = {
+  // Lines that start a forwarded header block
+  MARKERS: [
+    /^-{2,}\s*Forwarded message\s*-{2,}$/i,        // Gmail (all languages)
+    /^-{2,}\s*転送(?:された)?メッセージ\s*-{2,}$/,    // Japanese clients
+    /^Begin forwarded message:$/i,                  // Apple Mail
+    /^転送されたメッセージ[:：]?$/                      // Apple Mail (Japanese)
+  ],
+  
+  // Outlook uses the same marker for replies and forwards, so these only count on a forward subject
+  FORWARD_SUBJECT_MARKERS: [
+    /^-{2,}\s*Original Message\s*-{2,}$/i,          // Outlook
+    /^-{2,}\s*元のメッセージ\s*-{2,}$/                 // Outlook (Japanese)
+  ],
+  
+  // Fw: / Fwd: / 転送: subjects, also behind Re: prefixes
+  FORWARD_SUBJECT_PATTERN: /^(?:\s*re\s*[:：])*\s*(?:fwd?|転送)\s*[:：]/i,
+  
+  // Header labels per field (English / Japanese)
+  HEADER_LABELS: {
+    from: ['From', '差出人', '送信者', '送信元'],
+    date: ['Date', 'Sent', '日付', '日時', '送信日時'],
+    subject: ['Subject', '件名'],
+    to: ['To', '宛先', '受信者']
+  },
+  
+  HEADER_SCAN_LINES: 15,              // Lines after the marker searched for headers
+  DEFAULT_TIMEZONE_OFFSET: '+0900',   // Forwarded dates without a zone are read as JST
+  MIN_YEAR: 2000                      // Earlier parsed dates are treated as unrecognized
+};
+
+/**
+ * Parse the forwarded header block from a plain-text body (pure function)
+ * 本文から転送ヘッダーブロックを解析（純粋関数）
+ *
+ * Example body:
+ *   ---------- Forwarded message ---------
+ *   From: Docusign NA3 System <dse_na3@docusign.net>
+ *   Date: Mon, Jan 6, 2025 at 10:00 AM
+ *   Subject: Completed: Complete with Docusign: NDA.pdf
+ *   To: <legal@example.com>
+ *
+ * Outlook's "-----Original Message-----" also introduces ordinary reply quotes, so it is only
+ * accepted when the subject of the forwarding message is a Fw:/Fwd:/転送: subject.
+ *
+ * @param {string} body - Plain-text body of the forwarding message
+ * @param {string} subject - Subject of the forwarding message
+ * @returns {Object|null} - {from, date, dateText, subject, to}, or null if no forwarded block with a From header
+ */
+function parseForwardedHeaders(body, subject = '') {
+  if (!body) return null;
+  
+  const markers = FORWARD_CONFIG.FORWARD_SUBJECT_PATTERN.test(subject || '') ?
+    FORWARD_CONFIG.MARKERS.concat(FORWARD_CONFIG.FORWARD_SUBJECT_MARKERS) :
+    FORWARD_CONFIG.MARKERS;
+    
+  // Quoted forwards ("> From: ...") and bold labels ("*From:*") are common in plain text
+  const lines = body.split(/\r?\n/).map(line => line.replace(/^(?:>\s?)+/, '').replace(/\*/g, '').trim());
+  const markerIndex = lines.findIndex(line => markers.some(pattern => pattern.test(line)));
+  if (markerIndex === -1) return null;
+  
+  const headers = {};
+  const labels = FORWARD_CONFIG.HEADER_LABELS;
+  const headerLines = lines.slice(markerIndex + 1, markerIndex + 1 + FORWARD_CONFIG.HEADER_SCAN_LINES);
+  
+  for (const line of headerLines) {
+    const match = line.match(/^([^:：]{1,20})\s*[:：]\s*(.*)$/);
+    if (!match) {
+      // The header block ends at the first non-header line once a header was found
+      if (line && Object.keys(headers).length > 0) break;
+      continue;
+    }
+    
+    const label = match[1].trim().toLowerCase();
+    const field = Object.keys(labels).find(key => labels[key].some(name => name.toLowerCase() === label));
+    if (field && !headers[field]) {
+      headers[field] = match[2].trim();
+    }
+  }
+  
+  if (!headers.from) return null;
+  
+  return {
+    from: headers.from,
+    date: parseForwardedDate(headers.date),
+    dateText: headers.date || '',
+    subject: headers.subject || '',
+    to: headers.to || ''
+  };
+}
+
+/**
+ * Parse a date from a forwarded header (English or Japanese format)
+ * 転送ヘッダーの日付を解析（英語・日本語形式）
+ *
+ * Date.parse() accepts almost anything once a zone is appended ("x GMT+0900" is the year 900),
+ * so the text must contain a four-digit year and a time, and the result must fall in that year.
+ *
+ * @param {string} text - e.g. "Mon, Jan 6, 2025 at 10:00 AM", "2025年1月6日(月) 10:00"
+ * @returns {Date|null} - Parsed date, or null if not recognized
+ */
+function parseForwardedDate(text) {
+  if (!text) return null;
+  
+  const year = String(text).match(/(?:^|\D)(\d{4})(?:\D|$)/);
+  if (!year || parseInt(year[1], 10) < FORWARD_CONFIG.MIN_YEAR || !/\d{1,2}:\d{2}/.test(text)) {
+    return null;
+  }
+  
+  let normalized = text
+    .replace(/(\d{4})年(\d{1,2})月(\d{1,2})日(?:\s*[（(][^）)]*[）)])?/, '$1/$2/$3')  // 2025年1月6日(月) → 2025/1/6
+    .replace(/\s+at\s+/i, ' ')                                                   // Gmail "Jan 6, 2025 at 10:00 AM"
+    .replace(/(午前|午後)\s*(\d{1,2}):(\d{2})/, (all, period, hour, minute) =>
+      `${(parseInt(hour, 10) % 12) + (period === '午後' ? 12 : 0)}:${minute}`)
+    .trim();
+    
+  if (!/(?:[+-]\d{4}|GMT|UTC|\b[A-Z]{3}\b)\s*$/.test(normalized)) {
+    normalized += ` GMT${FORWARD_CONFIG.DEFAULT_TIMEZONE_OFFSET}`;
+  }
+  
+  const timestamp = Date.parse(normalized);
+  if (isNaN(timestamp)) return null;
+  
+  // A day-level zone shift may cross New Year, but never by more than one year
+  const parsedYear = new Date(timestamp).getUTCFullYear();
+  return Math.abs(parsedYear - parseInt(year[1], 10)) <= 1 ? new Date(timestamp) : null;
+}
+
+/**
+ * Return a message whose From/Date/Subject/To are those of the forwarded original
+ * 転送元のFrom/Date/Subject/Toを返すメッセージを取得
+ *
+ * Messages that are neither forwarded nor relayed are returned unchanged. The wrapper delegates
+ * every other method to the Gmail message and adds getForwardedBy(). Calling it twice is harmless.
+ *
+ * @param {GmailMessage} message - Gmail message object
+ * @returns {GmailMessage|Object} - The message itself or a forwarded-message wrapper
+ */
+function unwrapForwardedMessage(message) {
+  if (message.getForwardedBy) {
+    return message;
+  }
+  
+  try {
+    let original = parseForwardedHeaders(message.getPlainBody(), message.getSubject());
+    if (!original) {
+      const relayedSender = getRelayedOriginalSender(message);
+      if (!relayedSender) {
+        return message;
+      }
+      // A relay only rewrites the sender; date, subject and To are those of the original
+      original = { from: relayedSender, date: null, dateText: '', subject: '', to: '' };
+    }
+    
+    const forwardedBy = {
+      from: message.getFrom(),
+      date: message.getDate(),
+      subject: message.getSubject(),
+      to: message.getTo()
+    };
+    
+    console.log(`Forwarded message: original sender ${original.from}, forwarded by ${forwardedBy.from}`);
+    
+    return {
+      getId: () => message.getId(),
+      getThread: () => message.getThread(),
+      getFrom: () => original.from,
+      getDate: () => original.date || forwardedBy.date,
+      getSubject: () => original.subject || forwardedBy.subject,
+      getTo: () => original.to || forwardedBy.to,
+      getCc: () => message.getCc(),
+      getBcc: () => message.getBcc(),
+      getReplyTo: () => message.getReplyTo(),
+      getPlainBody: () => message.getPlainBody(),
+      getBody: () => message.getBody(),
+      getRawContent: () => message.getRawContent(),
+      getAttachments: () => message.getAttachments(),
+      isInTrash: () => message.isInTrash(),
+      getForwardedBy: () => forwardedBy
+    };
+    
+  } catch (error) {
+    console.error('Error unwrapping forwarded message:', error);
+    return message;
+  }
+}
+
+/**
+ * Get the original sender of a message relayed by Google Groups / organizational forwarding
+ * Googleグループ・組織の転送で中継されたメッセージの元の送信者を取得
+ *
+ * Relays that are configured sender emails (SENDER_EMAIL_n) are left alone, so sender-based
+ * detection keeps matching them. So are providers sending on someone's behalf (see
+ * isProviderSendingOnBehalf()).
+ *
+ * @param {GmailMessage} message - Gmail message object
+ * @returns {string} - Original sender from the parsed headers, or '' if the message was not relayed
+ */
+function getRelayedOriginalSender(message) {
+  const originalSender = getOriginalSenderHeader(getMessageHeaders(message));
+  const original = parseAddressList(originalSender)[0];
+  if (!original) {
+    return '';
+  }
+  
+  const relay = String(message.getFrom() || '').toLowerCase();
+  if (relay.indexOf(original.email) !== -1) {
+    return '';  // Not rewritten by the relay
+  }
+  
+  const isConfiguredRelay = getConfiguredSenderEmails().some(email => relay.includes(email.toLowerCase()));
+  if (isConfiguredRelay || isProviderSendingOnBehalf(message.getFrom(), originalSender)) {
+    return '';
+  }
+  
+  return originalSender;
+}
+
+/**
+ * Check whether a signing provider sent the message on behalf of its original sender
+ * 電子署名プロバイダーが元の送信者に代わってメッセージを送信したかを判定
+ *
+ * "Taro Yamada via Dropbox Sign" matches the provider's SENDER_PATTERNS while its original sender
+ * (Taro's own address) does not, so unwrapping it would lose the provider. A Google Group relaying
+ * a provider email ("'Docusign NA3 System' via Legal") keeps the provider as original sender and
+ * is still unwrapped.
+ *
+ * @param {string} sender - From of the message as received
+ * @param {string} originalSender - X-Original-Sender / X-Original-From value
+ * @returns {boolean} - true if the sender is a provider and the original sender is not the same provider
+ */
+function isProviderSendingOnBehalf(sender, originalSender) {
+  const senderTool = getProviderToolName(sender);
+  return Boolean(senderTool) && getProviderToolName(originalSender) !== senderTool;
+}
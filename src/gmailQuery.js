@@ -0,0 +1,240 @@
+/**
+ * Gmail Query Compiler Module
+ *
+ * Compiles the Gmail search string from declarative inputs (sender list, signing provider
+ * SEARCH blocks, label exclusions and an optional date window). compileGmailQuery() and its
+ * helpers are pure string transforms so they can be tested offline without GmailApp.
+ */
+
+// === GMAIL QUERY CONFIGURATION ===
+const GMAIL_QUERY_CONFIG = {
+  PREVIEW_PAGE_SIZE: 500,     // GmailApp.search() maximum page size
+  PREVIEW_MAX_THREADS: 2000   // Stop counting after this many threads (shown as "2000+")
+};
+
+/**
+ * Compile a Gmail search query from a declarative specification (pure function)
+ * 宣言的な指定からGmail検索クエリを生成（純粋関数）
+ *
+ * @param {Object} spec - Query specification
+ * @param {Array} spec.senders - Sender email addresses / domains (from:...)
+ * @param {Array} spec.providers - Signing provider descriptors with a SEARCH block
+ * @param {Array} spec.includeLabels - Gmail label names that must be present (label:...)
+ * @param {Array} spec.excludeLabels - Gmail label names to exclude (-label:...)
+ * @param {Date|string} spec.after - Optional lower date bound (Date or 'yyyy/MM/dd')
+ * @param {Date|string} spec.before - Optional upper date bound (Date or 'yyyy/MM/dd')
+ * @param {number} spec.newerThanDays - Optional relative window (newer_than:Nd)
+ * @returns {string} - Gmail search query ('' when there is nothing to search for)
+ */
+function compileGmailQuery(spec = {}) {
+  const clauses = [];
+  
+  // Configured contract tool senders
+  (spec.senders || [])
+    .filter(sender => sender)
+    .forEach(sender => clauses.push(`from:${quoteGmailTerm(sender)}`));
+    
+  // One grouped clause per signing provider
+  (spec.providers || []).forEach(provider => {
+    const terms = buildProviderSearchTerms(provider);
+    if (terms.length > 0) {
+      clauses.push(`(${terms.join(' OR ')})`);
+    }
+  });
+  
+  if (clauses.length === 0) {
+    return '';
+  }
+  
+  const parts = [`(${clauses.join(' OR ')})`];
+  
+  (spec.includeLabels || [])
+    .filter(label => label)
+    .forEach(label => parts.push(`label:${formatGmailLabel(label)}`));
+    
+  (spec.excludeLabels || [])
+    .filter(label => label)
+    .forEach(label => parts.push(`-label:${formatGmailLabel(label)}`));
+    
+  if (spec.after) {
+    parts.push(`after:${formatGmailDate(spec.after)}`);
+  }
+  
+  if (spec.before) {
+    parts.push(`before:${formatGmailDate(spec.before)}`);
+  }
+  
+  if (spec.newerThanDays) {
+    parts.push(`newer_than:${parseInt(spec.newerThanDays, 10)}d`);
+  }
+  
+  return parts.join(' ');
+}
+
+/**
+ * Build the Gmail search terms for a single provider (pure function)
+ * 単一プロバイダーのGmail検索語を生成（純粋関数）
+ *
+ * @param {Object} provider - Provider descriptor with SEARCH: {FROM, TEXT, SUBJECT}
+ * @returns {Array} - Search terms, e.g. ['from:docusign.net', '"via Docusign"', 'subject:"Completed:"']
+ */
+function buildProviderSearchTerms(provider) {
+  const search = (provider && provider.SEARCH) || {};
+  
+  return [
+    ...(search.FROM || []).map(domain => `from:${quoteGmailTerm(domain)}`),
+    ...(search.TEXT || []).map(text => quoteGmailTerm(text, true)),
+    ...(search.SUBJECT || []).map(text => `subject:${quoteGmailTerm(text, true)}`)
+  ];
+}
+
+/**
+ * Quote a Gmail search term when it contains spaces or operator characters (pure function)
+ * 空白や演算子文字を含む検索語を引用符で囲む（純粋関数）
+ *
+ * @param {string} term - Raw term
+ * @param {boolean} asPhrase - Always quote (exact phrase search)
+ * @returns {string} - Safe Gmail term
+ */
+function quoteGmailTerm(term, asPhrase = false) {
+  // Gmail has no escape sequence for double quotes inside a phrase
+  const text = String(term).replace(/"/g, '').trim();
+  
+  if (asPhrase || /[\s:(){}'<>]/.test(text)) {
+    return `"${text}"`;
+  }
+  
+  return text;
+}
+
+/**
+ * Format a label name for label: / -label: operators (pure function)
+ * label:演算子用にラベル名を整形（純粋関数）
+ *
+ * @param {string} label - Gmail label name (may contain spaces or nested "/")
+ * @returns {string} - Label token as Gmail expects it
+ */
+function formatGmailLabel(label) {
+  return String(label).trim().replace(/[\s/]+/g, '-');
+}
+
+/**
+ * Format a date bound for after: / before: operators (pure function)
+ * after:/before:演算子用に日付を整形（純粋関数）
+ *
+ * Date objects are converted to epoch seconds so the bound does not depend on the
+ * account timezone; 'yyyy/MM/dd' or 'yyyy-MM-dd' strings are passed through as dates.
+ *
+ * @param {Date|string|number} value - Date bound
+ * @returns {string} - Gmail date token
+ */
+function formatGmailDate(value) {
+  if (value instanceof Date) {
+    return String(Math.floor(value.getTime() / 1000));
+  }
+  
+  if (typeof value === 'number') {
+    return String(Math.floor(value));
+  }
+  
+  const match = String(value).trim().match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})$/);
+  if (!match) {
+    throw new Error(`Invalid date for Gmail query: ${value}`);
+  }
+  
+  return `${match[1]}/${match[2].padStart(2, '0')}/${match[3].padStart(2, '0')}`;
+}
+
+/**
+ * Build the query specification used by processEmails from CONFIG
+ * CONFIGからprocessEmails用のクエリ指定を生成
+ *
+ * @param {Object} overrides - Optional spec overrides (e.g. {after, before, providers})
+ * @returns {Object} - Query specification for compileGmailQuery()
+ */
+function getProcessingQuerySpec(overrides = {}) {
+  return Object.assign({
+    senders: CONFIG.SENDER_EMAILS,
+    providers: getSigningProviders(),
+    excludeLabels: [CONFIG.GMAIL_LABEL, CONFIG.GMAIL_SKIP_LABEL]
+  }, overrides);
+}
+
+/**
+ * Count threads matching a query, up to a maximum
+ * クエリに一致するスレッド数を数える（上限あり）
+ *
+ * @param {string} query - Gmail search query
+ * @param {number} maxThreads - Stop counting after this many threads
+ * @returns {Object} - {count, capped}
+ */
+function countGmailThreads(query, maxThreads = GMAIL_QUERY_CONFIG.PREVIEW_MAX_THREADS) {
+  let count = 0;
+  
+  while (count < maxThreads) {
+    const pageSize = Math.min(GMAIL_QUERY_CONFIG.PREVIEW_PAGE_SIZE, maxThreads - count);
+    const threads = GmailApp.search(query, count, pageSize);
+    count += threads.length;
+    
+    if (threads.length < pageSize) {
+      return { count: count, capped: false };
+    }
+  }
+  
+  return { count: count, capped: true };
+}
+
+/**
+ * Print the compiled Gmail query and its estimated hit count (manual execution)
+ * 生成されたGmail検索クエリと推定ヒット件数を表示（手動実行用）
+ *
+ * @param {Object} overrides - Optional spec overrides (e.g. {after: '2024/01/01'})
+ * @returns {Object} - {query, count, capped, providers: [{toolName, query, count, capped}]}
+ */
+function previewGmailQuery(overrides = {}) {
+  console.log('=== GMAIL QUERY PREVIEW ===');
+  
+  try {
+    const spec = getProcessingQuerySpec(overrides);
+    const query = compileGmailQuery(spec);
+    
+    if (!query) {
+      console.log('No senders or signing providers configured - nothing to search for');
+      return { query: '', count: 0, capped: false, providers: [] };
+    }
+    
+    console.log(`Compiled query (${query.length} chars):`);
+    console.log(query);
+    
+    const total = countGmailThreads(query);
+    console.log(`\nEstimated hits: ${total.count}${total.capped ? '+' : ''} threads`);
+    
+    // Per-provider breakdown with the same exclusions and date window
+    console.log('\nBreakdown by provider:');
+    const providerResults = (spec.providers || []).map(provider => {
+      const providerQuery = compileGmailQuery(Object.assign({}, spec, { senders: [], providers: [provider] }));
+      const result = providerQuery ? countGmailThreads(providerQuery) : { count: 0, capped: false };
+      console.log(`  ${provider.TOOL_NAME}: ${result.count}${result.capped ? '+' : ''} threads`);
+      return { toolName: provider.TOOL_NAME, query: providerQuery, count: result.count, capped: result.capped };
+    });
+    
+    if ((spec.senders || []).length > 0) {
+      const senderQuery = compileGmailQuery(Object.assign({}, spec, { providers: [] }));
+      const senderResult = countGmailThreads(senderQuery);
+      console.log(`  Configured senders (${spec.senders.length}): ${senderResult.count}${senderResult.capped ? '+' : ''} threads`);
+    }
+    
+    console.log('\nNote: counts are threads (not messages) and providers can overlap');
+    
+    return {
+      query: query,
+      count: total.count,
+      capped: total.capped,
+      providers: providerResults
+    };
+    
+  } catch (error) {
+    console.error('Error previewing Gmail query:', error);
+    return null;
+  }
+}
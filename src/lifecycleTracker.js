@@ -0,0 +1,352 @@
+/**
+ * Envelope Lifecycle Tracking Module
+ *
+ * Follows an envelope/document through the signing providers' notifications - sent, viewed,
+ * partially signed and the final completed/declined/voided/expired - instead of only the
+ * completion email. Each notification moves the envelope's row in the status sheet forward
+ * and appends a timestamped line to its history column. Notifications are mapped to states
+ * through the EVENT_PATTERNS of the provider descriptors in CONFIG.
+ */
+
+// === LIFECYCLE CONFIGURATION ===
+const LIFECYCLE_CONFIG = {
+  TAB_NAME: 'ステータス_Envelope_Status',  // One row per envelope/document
+  HEADERS: [
+    '契約キー',           // A: Lifecycle key (<provider TYPE>:<envelope ID>, or <provider TYPE>:<normalized document name> without ID)
+    '契約管理ツール',      // B: Contract Management Tool
+    '契約書名',          // C: Document Name
+    '現在の状態',          // D: Current State (sent, viewed, ..., completed)
+    '状態更新日時',        // E: Date of the notification that set the current state
+    '初回検知日時',        // F: First notification date
+    '最終メッセージID',     // G: Last Message ID
+    '履歴'               // H: History (one timestamped line per notification)
+  ],
+  
+  // State → rank; an envelope only moves to a higher rank (rank 4 states are final)
+  STATES: {
+    sent: 1,
+    viewed: 2,
+    partially_signed: 3,
+    completed: 4,
+    declined: 4,
+    voided: 4,
+    expired: 4
+  },
+  
+  // Provider-specific EVENT names → state (events named after a state map to themselves)
+  EVENT_STATES: {
+    confirmation_request: 'sent',   // CloudSign 確認依頼
+    rejected: 'declined',           // CloudSign 却下
+    cancelled: 'voided'             // CloudSign 取消
+  },
+  
+  // Envelope subject prefixes that are not part of the document name
+  ENVELOPE_PREFIX_PATTERN: /^(?:Please DocuSign|Complete with Docusign|Docusign\s*を使用して完了してください)\s*[:：]\s*/i,
+  
+  MAX_HISTORY_LENGTH: 45000  // Keep the history cell under the 50,000 character limit
+};
+
+/**
+ * Detect the lifecycle state announced by a provider notification (no side effects)
+ * プロバイダー通知が示すライフサイクル状態を検出（副作用なし）
+ *
+ * Examples:
+ *   detectLifecycleEvent('Voided: Complete with Docusign: NDA.pdf', 'DOCUSIGN');
+ *     → {providerType: 'DOCUSIGN', event: 'voided', state: 'voided', documentName: 'NDA.pdf', envelopeId: null, key: 'DOCUSIGN:nda.pdf'}
+ *   detectLifecycleEvent('Voided: Complete with Docusign: NDA.pdf', 'DOCUSIGN', '1A2B3C4D-...');
+ *     → {..., envelopeId: '1A2B3C4D-...', key: 'DOCUSIGN:1A2B3C4D-...'}
+ *
+ * @param {string} subject - Email subject
+ * @param {string} providerType - Signing provider TYPE (e.g. 'DOCUSIGN')
+ * @param {string|null} envelopeId - Envelope/document ID from getMessageEnvelopeId(), if found
+ * @returns {Object|null} - {providerType, toolName, event, state, documentName, envelopeId, key}, or null
+ */
+function detectLifecycleEvent(subject, providerType, envelopeId = null) {
+  if (!subject || !providerType) return null;
+  
+  const provider = getSigningProvider(providerType, false);
+  if (!provider || !provider.EVENT_PATTERNS) return null;
+  
+  // Same prefix handling as parseProviderSubject()
+  const cleanSubject = subject.replace(/^(?:(?:Fwd?|Re|転送|返信)\s*[:：]\s*)+/i, '').trim();
+  
+  for (const entry of provider.EVENT_PATTERNS) {
+    const match = cleanSubject.match(entry.PATTERN);
+    if (!match) continue;
+    
+    const state = LIFECYCLE_CONFIG.EVENT_STATES[entry.EVENT] || entry.EVENT;
+    if (!LIFECYCLE_CONFIG.STATES[state]) {
+      console.warn(`Unknown lifecycle event ${entry.EVENT} for ${provider.TOOL_NAME}`);
+      return null;
+    }
+    
+    // Providers with TITLE_PATTERNS (CloudSign) name the document inside the subject
+    const documentName = normalizeLifecycleDocumentName(
+      extractProviderDocumentTitle(cleanSubject, provider.TYPE) ||
+      match[1] ||
+      cleanSubject.replace(entry.PATTERN, '')
+    );
+    
+    if (!documentName) return null;
+    
+    return {
+      providerType: provider.TYPE,
+      toolName: provider.TOOL_NAME,
+      event: entry.EVENT,
+      state: state,
+      documentName: documentName,
+      envelopeId: envelopeId || null,
+      key: buildLifecycleKey(provider.TYPE, documentName, envelopeId)
+    };
+  }
+  
+  return null;
+}
+
+/**
+ * Remove envelope prefixes and surrounding quotes from a document name
+ * 契約書名からエンベロープの接頭辞と引用符を除去
+ *
+ * @param {string} name - Document name taken from the subject
+ * @returns {string} - Normalized document name ('' if nothing is left)
+ */
+function normalizeLifecycleDocumentName(name) {
+  return (name || '')
+    .trim()
+    .replace(LIFECYCLE_CONFIG.ENVELOPE_PREFIX_PATTERN, '')
+    .replace(/^["“「『]+|["”」』]+$/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Build the key that ties the notifications of one envelope together
+ * 同一エンベロープの通知をまとめるキーを生成
+ *
+ * The envelope ID is the canonical key: envelopes often reuse a document name (e.g. NDA.pdf)
+ * and must not share a row. The name is only the fallback for notifications without an ID;
+ * findLifecycleRowIndex() joins both kinds of notification of one envelope in one row.
+ *
+ * @param {string} providerType - Signing provider TYPE
+ * @param {string} documentName - Normalized document name
+ * @param {string|null} envelopeId - Normalized envelope/document ID (optional)
+ * @returns {string} - "<provider TYPE>:<envelope ID>" or "<provider TYPE>:<lower-case document name>"
+ */
+function buildLifecycleKey(providerType, documentName, envelopeId = null) {
+  return envelopeId ? `${providerType}:${envelopeId}` : `${providerType}:${documentName.toLowerCase()}`;
+}
+
+/**
+ * Find the status sheet row of the envelope a notification belongs to (no side effects)
+ * 通知が属するエンベロープのステータスシート行を検索（副作用なし）
+ *
+ * Providers do not put the envelope ID in every notification, so one envelope can be announced
+ * with and without it. A notification without an ID joins the newest row of the same provider
+ * and document name, whatever its key. A notification with an ID that has no row yet takes over
+ * a row keyed by the document name, unless that envelope already reached a final state (a new
+ * envelope reusing the name).
+ *
+ * @param {Array<Array>} rows - Status sheet rows from column A to D (key, tool, document name, state)
+ * @param {Object} lifecycle - Result of detectLifecycleEvent()
+ * @returns {number} - Index into rows, or -1 for a new envelope
+ */
+function findLifecycleRowIndex(rows, lifecycle) {
+  const keyIndex = rows.findIndex(row => row[0] === lifecycle.key);
+  if (keyIndex !== -1) return keyIndex;
+  
+  const nameKey = buildLifecycleKey(lifecycle.providerType, lifecycle.documentName);
+  const finalRank = Math.max(...Object.values(LIFECYCLE_CONFIG.STATES));
+  
+  for (let index = rows.length - 1; index >= 0; index--) {
+    const row = rows[index];
+    
+    if (lifecycle.envelopeId) {
+      if (row[0] === nameKey && (LIFECYCLE_CONFIG.STATES[row[3]] || 0) < finalRank) return index;
+    } else if (String(row[0]).startsWith(`${lifecycle.providerType}:`) && String(row[2]).toLowerCase() === lifecycle.documentName.toLowerCase()) {
+      return index;
+    }
+  }
+  
+  return -1;
+}
+
+/**
+ * Check whether moving from one state to another is a step forward
+ * 状態遷移が前進かどうかを判定
+ *
+ * @param {string} currentState - Current state ('' for a new envelope)
+ * @param {string} nextState - State announced by the notification
+ * @returns {boolean} - true if the envelope should move to nextState
+ */
+function isLifecycleTransitionForward(currentState, nextState) {
+  const currentRank = LIFECYCLE_CONFIG.STATES[currentState] || 0;
+  const nextRank = LIFECYCLE_CONFIG.STATES[nextState] || 0;
+  return nextRank > currentRank;
+}
+
+/**
+ * Record a lifecycle notification in the status sheet
+ * ライフサイクル通知をステータスシートに記録
+ *
+ * The envelope's current state only moves forward; notifications that arrive late (e.g. a
+ * "viewed" email processed after the completion) are kept in the history only.
+ *
+ * @param {GmailMessage} message - Gmail message object
+ * @param {Object} lifecycle - Result of detectLifecycleEvent()
+ * @returns {boolean} - Success status
+ */
+function recordLifecycleEvent(message, lifecycle) {
+  try {
+    const spreadsheetId = getProperty('SPREADSHEET_ID', false);
+    if (!spreadsheetId || !CONFIG.ENABLE_SPREADSHEET_LOGGING) {
+      console.log(`Spreadsheet logging disabled - lifecycle event not recorded: ${lifecycle.key} → ${lifecycle.state}`);
+      return true;
+    }
+    
+    const spreadsheet = SpreadsheetApp.openById(spreadsheetId);
+    const statusSheet = createOrGetLifecycleSheet(spreadsheet);
+    
+    const eventDate = Utilities.formatDate(message.getDate(), 'JST', SPREADSHEET_CONFIG.DATE_FORMAT);
+    const messageId = message.getId();
+    
+    const lastRow = statusSheet.getLastRow();
+    const rows = lastRow > 1 ? statusSheet.getRange(2, 1, lastRow - 1, 4).getValues() : [];
+    const index = findLifecycleRowIndex(rows, lifecycle);
+    
+    if (index === -1) {
+      statusSheet.appendRow([
+        lifecycle.key,                                 // A: 契約キー
+        lifecycle.toolName,                            // B: 契約管理ツール
+        lifecycle.documentName,                        // C: 契約書名
+        lifecycle.state,                               // D: 現在の状態
+        eventDate,                                     // E: 状態更新日時
+        eventDate,                                     // F: 初回検知日時
+        messageId,                                     // G: 最終メッセージID
+        `${eventDate} ${lifecycle.state}`              // H: 履歴
+      ]);
+      
+      console.log(`Lifecycle: ${lifecycle.key} → ${lifecycle.state} (new envelope)`);
+      return true;
+    }
+    
+    const rowNumber = index + 2;
+    const row = statusSheet.getRange(rowNumber, 1, 1, LIFECYCLE_CONFIG.HEADERS.length).getValues()[0];
+    const currentState = row[3];
+    let key = row[0];
+    
+    // The envelope ID replaces the document name key once a notification brings it
+    if (lifecycle.envelopeId && key !== lifecycle.key) {
+      statusSheet.getRange(rowNumber, 1).setValue(lifecycle.key);
+      console.log(`Lifecycle: ${key} keyed by envelope ID as ${lifecycle.key}`);
+      key = lifecycle.key;
+    }
+    
+    const isForward = isLifecycleTransitionForward(currentState, lifecycle.state);
+    
+    let history = `${row[7]}\n${eventDate} ${lifecycle.state}${isForward ? '' : ' (not applied)'}`;
+    if (history.length > LIFECYCLE_CONFIG.MAX_HISTORY_LENGTH) {
+      history = history.slice(history.length - LIFECYCLE_CONFIG.MAX_HISTORY_LENGTH);
+    }
+    
+    if (isForward) {
+      statusSheet.getRange(rowNumber, 4, 1, 2).setValues([[lifecycle.state, eventDate]]);
+      console.log(`Lifecycle: ${key} ${currentState} → ${lifecycle.state}`);
+    } else {
+      console.log(`Lifecycle: ${key} stays ${currentState} (${lifecycle.state} added to history only)`);
+    }
+    
+    statusSheet.getRange(rowNumber, 7, 1, 2).setValues([[messageId, history]]);
+    return true;
+    
+  } catch (error) {
+    console.error('Error recording lifecycle event:', error);
+    return false;
+  }
+}
+
+/**
+ * Create or get the envelope status sheet
+ * エンベロープのステータスシートを作成または取得
+ *
+ * @param {Spreadsheet} spreadsheet - Tracking spreadsheet
+ * @returns {Sheet} - Status sheet
+ */
+function createOrGetLifecycleSheet(spreadsheet) {
+  let statusSheet = spreadsheet.getSheetByName(LIFECYCLE_CONFIG.TAB_NAME);
+  
+  if (!statusSheet) {
+    console.log('Creating envelope status sheet...');
+    statusSheet = spreadsheet.insertSheet(LIFECYCLE_CONFIG.TAB_NAME);
+    
+    const headers = LIFECYCLE_CONFIG.HEADERS;
+    const headerRange = statusSheet.getRange(1, 1, 1, headers.length);
+    headerRange.setValues([headers]);
+    headerRange.setFontWeight('bold');
+    headerRange.setBackground('#E8F0FE'); // Light blue for status tracking
+    
+    statusSheet.setColumnWidth(1, 250); // Lifecycle Key
+    statusSheet.setColumnWidth(3, 300); // Document Name
+    statusSheet.setColumnWidth(8, 350); // History
+    statusSheet.setFrozenRows(1);
+  }
+  
+  return statusSheet;
+}
+
+/**
+ * Show envelope counts by state and the envelopes that are still open (manual execution)
+ * 状態ごとのエンベロープ数と未完了のエンベロープを表示（手動実行用）
+ *
+ * @param {number} limit - Open envelopes to list (default: 20)
+ * @returns {Object|null} - {total, byState, open}
+ */
+function showEnvelopeStatus(limit = 20) {
+  console.log('=== ENVELOPE STATUS ===');
+  
+  try {
+    const spreadsheetId = getProperty('SPREADSHEET_ID', false);
+    if (!spreadsheetId) {
+      console.log('No spreadsheet configured');
+      return null;
+    }
+    
+    const statusSheet = SpreadsheetApp.openById(spreadsheetId).getSheetByName(LIFECYCLE_CONFIG.TAB_NAME);
+    if (!statusSheet || statusSheet.getLastRow() <= 1) {
+      console.log('No lifecycle notifications recorded yet');
+      return { total: 0, byState: {}, open: [] };
+    }
+    
+    const rows = statusSheet.getRange(2, 1, statusSheet.getLastRow() - 1, LIFECYCLE_CONFIG.HEADERS.length).getValues();
+    const byState = {};
+    rows.forEach(row => {
+      byState[row[3]] = (byState[row[3]] || 0) + 1;
+    });
+    
+    // Envelopes that have not reached a final state yet
+    const finalRank = Math.max(...Object.values(LIFECYCLE_CONFIG.STATES));
+    const open = rows.filter(row => (LIFECYCLE_CONFIG.STATES[row[3]] || 0) < finalRank);
+    
+    console.log(`Envelopes: ${rows.length}`);
+    Object.keys(LIFECYCLE_CONFIG.STATES).forEach(state => {
+      if (byState[state]) {
+        console.log(`  ${state}: ${byState[state]}`);
+      }
+    });
+    
+    if (open.length > 0) {
+      console.log(`\nOpen envelopes (${open.length}):`);
+      open.slice(0, limit).forEach(row => {
+        console.log(`  [${row[1]}] ${row[2]} - ${row[3]} since ${row[4]}`);
+      });
+      if (open.length > limit) {
+        console.log(`  ... and ${open.length - limit} more`);
+      }
+    }
+    
+    return { total: rows.length, byState: byState, open: open.map(row => row[0]) };
+    
+  } catch (error) {
+    console.error('Error showing envelope status:', error);
+    return null;
+  }
+}
@@ -0,0 +1,211 @@
+/**
+ * Script Lock Module
+ *
+ * Serializes processEmails and the maintenance functions with LockService so an overlapping
+ * trigger run (or a manual testProcessEmails during a scheduled run) cannot process the same
+ * message twice. The lock is re-entrant within one execution, because maintenance functions
+ * are also called from inside processEmails (e.g. setProperty auto-cleanup).
+ *
+ * LockService does not expose who holds the lock, so the holder and the last contention skip
+ * are recorded in the SCRIPT_LOCK_STATE Script Property for the diagnostics.
+ */
+
+// Lock held by the current execution: {lock, name, depth, acquiredAt}
+let heldScriptLock = null;
+
+/**
+ * Acquire the script-wide lock, waiting up to CONFIG.LOCK_WAIT_SECONDS
+ * スクリプト全体のロックを取得（最大CONFIG.LOCK_WAIT_SECONDS待機）
+ *
+ * @param {string} name - Name of the function taking the lock (for diagnostics)
+ * @param {number} waitSeconds - Maximum wait in seconds (optional, for interactive callers)
+ * @returns {Object|null} - Lock handle for releaseScriptLock(), or null when another run holds it
+ */
+function acquireScriptLock(name, waitSeconds = CONFIG.LOCK_WAIT_SECONDS) {
+  // Re-entrant: nested maintenance calls share the lock of the outer function
+  if (heldScriptLock) {
+    heldScriptLock.depth++;
+    return heldScriptLock;
+  }
+  
+  const lock = LockService.getScriptLock();
+  const waitStart = new Date().getTime();
+  
+  if (!lock.tryLock(waitSeconds * 1000)) {
+    logScriptLockContention(name, new Date().getTime() - waitStart);
+    return null;
+  }
+  
+  heldScriptLock = {
+    lock: lock,
+    name: name,
+    depth: 1,
+    acquiredAt: new Date().toISOString()
+  };
+  
+  updateScriptLockState({ holder: name, acquiredAt: heldScriptLock.acquiredAt });
+  return heldScriptLock;
+}
+
+/**
+ * Release a lock handle returned by acquireScriptLock()
+ * acquireScriptLock()で取得したロックを解放
+ *
+ * @param {Object|null} handle - Lock handle (null is ignored)
+ */
+function releaseScriptLock(handle) {
+  if (!handle || handle !== heldScriptLock) {
+    return;
+  }
+  
+  handle.depth--;
+  if (handle.depth > 0) {
+    return;
+  }
+  
+  heldScriptLock = null;
+  updateScriptLockState({ holder: null, acquiredAt: null });
+  
+  try {
+    handle.lock.releaseLock();
+  } catch (error) {
+    console.error('Error releasing script lock:', error);
+  }
+}
+
+/**
+ * Run a function while holding the script lock
+ * スクリプトロックを保持したまま関数を実行
+ *
+ * @param {string} name - Name of the function taking the lock
+ * @param {Function} fn - Function to run
+ * @param {*} skippedResult - Value returned when the lock is busy
+ * @returns {*} - Result of fn, or skippedResult when the run was skipped
+ */
+function withScriptLock(name, fn, skippedResult = null) {
+  const handle = acquireScriptLock(name);
+  if (!handle) {
+    return skippedResult;
+  }
+  
+  try {
+    return fn();
+  } finally {
+    releaseScriptLock(handle);
+  }
+}
+
+/**
+ * Log and record a run that was skipped because another run holds the lock
+ * 他の実行がロックを保持しているためスキップした実行を記録
+ *
+ * @param {string} name - Function that was skipped
+ * @param {number} waitedMs - Time spent waiting for the lock
+ */
+function logScriptLockContention(name, waitedMs) {
+  const state = getScriptLockState();
+  const holder = state.holder ? `${state.holder} (since ${state.acquiredAt})` : 'another execution';
+  
+  console.warn(`⏭️ ${name} skipped: script lock held by ${holder}, waited ${Math.round(waitedMs / 1000)}s`);
+  
+  updateScriptLockState({
+    skipCount: (state.skipCount || 0) + 1,
+    lastSkip: {
+      name: name,
+      at: new Date().toISOString(),
+      holder: state.holder || null
+    }
+  });
+}
+
+/**
+ * Get the script lock status for diagnostics
+ * 診断用にスクリプトロックの状態を取得
+ *
+ * @returns {Object} - {locked, heldByThisRun, holder, acquiredAt, skipCount, lastSkip}
+ */
+function getScriptLockStatus() {
+  const state = getScriptLockState();
+  let locked = !!heldScriptLock;
+  
+  if (!heldScriptLock) {
+    try {
+      // Probe without waiting; release immediately if we got it
+      const lock = LockService.getScriptLock();
+      locked = !lock.tryLock(0);
+      if (!locked) {
+        lock.releaseLock();
+      }
+    } catch (error) {
+      console.error('Error probing script lock:', error);
+    }
+  }
+  
+  return {
+    locked: locked,
+    heldByThisRun: !!heldScriptLock,
+    holder: locked ? (heldScriptLock ? heldScriptLock.name : state.holder) : null,
+    acquiredAt: locked ? (heldScriptLock ? heldScriptLock.acquiredAt : state.acquiredAt) : null,
+    skipCount: state.skipCount || 0,
+    lastSkip: state.lastSkip || null
+  };
+}
+
+/**
+ * Print the script lock status (manual execution)
+ * スクリプトロックの状態を表示（手動実行用）
+ *
+ * @returns {Object} - Status from getScriptLockStatus()
+ */
+function showScriptLockStatus() {
+  const status = getScriptLockStatus();
+  
+  if (status.locked) {
+    console.log(`  Script lock: 🔒 HELD by ${status.holder || 'unknown'}${status.acquiredAt ? ` since ${status.acquiredAt}` : ''}`);
+  } else {
+    console.log('  Script lock: 🔓 free');
+  }
+  
+  console.log(`  Lock wait timeout: ${CONFIG.LOCK_WAIT_SECONDS}s`);
+  console.log(`  Runs skipped by contention: ${status.skipCount}`);
+  
+  if (status.lastSkip) {
+    console.log(`  Last skip: ${status.lastSkip.name} at ${status.lastSkip.at}${status.lastSkip.holder ? ` (held by ${status.lastSkip.holder})` : ''}`);
+  }
+  
+  return status;
+}
+
+/**
+ * Load the recorded lock state
+ * 記録されたロック状態を読み込み
+ *
+ * @returns {Object} - {holder, acquiredAt, skipCount, lastSkip}
+ */
+function getScriptLockState() {
+  try {
+    const value = PropertiesService.getScriptProperties().getProperty(PROPERTY_KEYS.SCRIPT_LOCK_STATE);
+    return value ? JSON.parse(value) : {};
+  } catch (error) {
+    console.error('Invalid script lock state, ignoring:', error);
+    return {};
+  }
+}
+
+/**
+ * Merge updates into the recorded lock state
+ * ロック状態の記録を更新
+ *
+ * Written directly (not via setProperty) so the property auto-cleanup cannot call back into
+ * the lock from here.
+ *
+ * @param {Object} updates - Fields to overwrite
+ */
+function updateScriptLockState(updates) {
+  try {
+    const state = Object.assign(getScriptLockState(), updates);
+    PropertiesService.getScriptProperties().setProperty(PROPERTY_KEYS.SCRIPT_LOCK_STATE, JSON.stringify(state));
+  } catch (error) {
+    console.error('Error recording script lock state:', error);
+  }
+}
@@ -35,6 +35,15 @@ const CONFIG = {
     // Pattern matching mode: 'any' (match any pattern) or 'all' (match all patterns)
     MATCH_MODE: 'any',
     
+    // Exclusion patterns, checked before the inclusion patterns for every source type
+    // (generic patterns like /.*document.*signed/i also match reminders and void/decline notices)
+    EXCLUDE_PATTERNS: [
+      /^(?:\[?Reminder\]?|リマインダー|【リマインド】)/i,  // "Reminder: Please DocuSign ...", "【リマインド】..."
+      /^Voided[:：]/i,                                   // Voided envelopes
+      /^Declined[:：]/i,                                 // Declined envelopes
+      /^Correct(?:ed|ion)\b/i                            // Correction notices
+    ],
+    
     // Define patterns for contract management tools
     PATTERNS: [
       // DocuSign patterns
@@ -93,15 +102,29 @@ const CONFIG = {
   // Legacy single pattern support (for backward compatibility)
   SUBJECT_PATTERN: /completed.*document|signed.*agreement|contract.*executed|署名.*完了|契約.*締結/i,
   
+  // Signing provider registry - detection order of provider descriptors (see providerRegistry.js)
+  // 電子署名プロバイダーの登録順（検出順）。新規プロバイダーは *_INTEGRATION を追加してここに登録
+  SIGNING_PROVIDERS: [
+    'DOCUSIGN_INTEGRATION',
+    'DROPBOX_SIGN_INTEGRATION',
+    'ADOBE_SIGN_INTEGRATION',
+    'CLOUDSIGN_INTEGRATION',
+    'GMO_SIGN_INTEGRATION',
+    'FREEE_SIGN_INTEGRATION'
+  ],
+  
   // Docusign integration settings for flexible sender detection
   // Docusign uses various sender patterns, detect via both sender and subject
   DOCUSIGN_INTEGRATION: {
     ENABLE: true,  // Enable Docusign email detection
+    TYPE: 'DOCUSIGN',           // Message type returned by detectMessageSource
+    TOOL_NAME: 'DocuSign',      // Contract tool label for spreadsheet/logs
     
     // Sender patterns for Docusign emails
     SENDER_PATTERNS: [
       /.*@.*\.docusign\.net$/i,        // Any email from docusign.net domains
       /.*via Docusign.*/i,             // "Name via Docusign" in sender field
+      /.*Docusign\s*経由.*/i,          // Japanese notifications: "Name (Docusign経由)"
       /.*docusign.*/i                  // Any sender containing "docusign"
     ],
     
@@ -115,11 +138,55 @@ const CONFIG = {
       /^完了:.*\.pdf$/i,                       // Japanese "完了: filename.pdf"
       /^完了:.*\.docx$/i,                      // Japanese "完了: filename.docx"
       /^完了:.*\.doc$/i,                       // Japanese "完了: filename.doc"
+      /^完了[:：].*Docusign\s*(?:を使用して|で).*完了/i, // Japanese "完了: Docusign を使用して完了してください: filename"
       /.*via Docusign.*completed/i,            // "Name via Docusign completed"
       /.*has been completed/i,                 // Generic completion messages
       /.*document.*signed/i                    // Document signing completion
     ],
     
+    // Subject patterns that count only when the sender or reply-to is Docusign (too generic on their own)
+    SENDER_VERIFIED_SUBJECT_PATTERNS: [
+      /^完了[:：]/                              // Japanese completion prefix with a custom envelope subject
+    ],
+    
+    // Exclusion patterns checked before SUBJECT_PATTERNS (in addition to SUBJECT_PATTERNS.EXCLUDE_PATTERNS)
+    EXCLUDE_PATTERNS: [
+      /^(?:無効|辞退|リマインダー)[:：]/                  // Japanese voided / declined / reminder notices
+    ],
+    
+    // Notification → lifecycle event (checked in order, see lifecycleTracker.js)
+    // Removing the match from the subject leaves the envelope subject
+    EVENT_PATTERNS: [
+      { PATTERN: /^(?:Completed|完了)\s*[:：]\s*/i, EVENT: 'completed' },
+      { PATTERN: /^(?:Voided|無効)\s*[:：]\s*/i, EVENT: 'voided' },
+      { PATTERN: /^(?:Declined|辞退)\s*[:：]\s*/i, EVENT: 'declined' },
+      { PATTERN: /^(?:Expired|期限切れ)\s*[:：]\s*/i, EVENT: 'expired' },
+      { PATTERN: /^(?:Viewed|表示済み)\s*[:：]\s*/i, EVENT: 'viewed' },
+      { PATTERN: /^(?:Signed|署名済み)\s*[:：]\s*/i, EVENT: 'partially_signed' },
+      { PATTERN: /^(?=(?:Please DocuSign|Complete with Docusign)\s*:)/i, EVENT: 'sent' }  // Envelope itself
+    ],
+    
+    // Envelope ID (canonical contract key, capture group 1), see extractProviderEnvelopeId
+    ENVELOPE_ID_HEADERS: [],                   // Custom headers carrying the ID, e.g. 'X-Envelope-Id'
+    ENVELOPE_ID_PATTERNS: [
+      /Envelope\s*I[Dd]\s*[:：]\s*([0-9A-Fa-f]{8}-?(?:[0-9A-Fa-f]{4}-?){3}[0-9A-Fa-f]{12})/,  // "Envelope Id: 1A2B..." footer
+      /[?&;]envelopeId=([0-9A-Fa-f]{8}-?(?:[0-9A-Fa-f]{4}-?){3}[0-9A-Fa-f]{12})/i  // Links with envelopeId= (&amp; in HTML)
+    ],
+    
+    // Gmail search terms (compiled into the query by compileGmailQuery)
+    SEARCH: {
+      FROM: ['docusign.net'],                  // Domain-based search
+      TEXT: ['via Docusign', 'Docusign経由'],   // Sender name patterns (English/Japanese)
+      SUBJECT: [
+        'Complete with Docusign',
+        'via Docusign',
+        'Completed:',
+        'has been completed',
+        'document signed',
+        'Docusign を使用して完了してください'
+      ]
+    },
+    
     // Additional verification requirements
     REQUIRE_PDF_ATTACHMENT: true,             // Only process emails with PDF attachments
     
@@ -131,6 +198,8 @@ const CONFIG = {
   // Handles emails sent via organizational email addresses but originating from Dropbox Sign
   DROPBOX_SIGN_INTEGRATION: {
     ENABLE: true,  // Enable Dropbox Sign/HelloSign email detection
+    TYPE: 'DROPBOX_SIGN',       // Message type returned by detectMessageSource
+    TOOL_NAME: 'Dropbox Sign',  // Contract tool label for spreadsheet/logs
     
     // Sender patterns for Dropbox Sign emails (including organizational forwarding)
     SENDER_PATTERNS: [
@@ -156,15 +225,247 @@ const CONFIG = {
       /.*document.*signed/i                    // Document signing completion
     ],
     
+    // Exclusion patterns checked before SUBJECT_PATTERNS (in addition to SUBJECT_PATTERNS.EXCLUDE_PATTERNS)
+    EXCLUDE_PATTERNS: [
+      /has been declined/i,                    // "X has been declined by Y"
+      /(?:request|document).*cancell?ed/i      // "Signature request cancelled"
+    ],
+    
+    // Notification → lifecycle event (checked in order, see lifecycleTracker.js)
+    // Capture group 1 (or the subject without the match) is the document name
+    EVENT_PATTERNS: [
+      { PATTERN: /^You've been copied on (.+?) signed by/i, EVENT: 'completed' },
+      { PATTERN: /\s+has been (?:completed|signed by everyone)$/i, EVENT: 'completed' },
+      { PATTERN: /\s+has been declined(?: by .+)?$/i, EVENT: 'declined' },
+      { PATTERN: /^(?:Signature request|Request|Document) cancell?ed\s*[:：-]?\s*/i, EVENT: 'voided' },
+      { PATTERN: /\s+has expired$/i, EVENT: 'expired' },
+      { PATTERN: /\s+has been viewed(?: by .+)?$/i, EVENT: 'viewed' },
+      { PATTERN: /\s+has been signed by .+$/i, EVENT: 'partially_signed' },
+      { PATTERN: /^Signature requested (?:by .+ )?on\s+/i, EVENT: 'sent' }
+    ],
+    
+    // Signature request ID (canonical contract key, capture group 1), see extractProviderEnvelopeId
+    ENVELOPE_ID_HEADERS: [],
+    ENVELOPE_ID_PATTERNS: [
+      /signature_request_id=([0-9a-f]{40})\b/i,           // Links with signature_request_id=
+      /Signature\s*Request\s*ID\s*[:：]\s*([0-9a-f]{40})\b/i  // "Signature Request ID: ..." in the body
+    ],
+    
+    // Gmail search terms (compiled into the query by compileGmailQuery)
+    SEARCH: {
+      FROM: ['hellosign.com'],                 // Reply-to domain search
+      TEXT: [
+        'via Dropbox Sign',                    // "Name via Dropbox Sign" pattern
+        'via HelloSign',                       // Legacy HelloSign pattern
+        "'Dropbox Sign' via",                  // "'Dropbox Sign' via organization" pattern
+        "'HelloSign' via"                      // "'HelloSign' via organization" pattern
+      ],
+      SUBJECT: [
+        "You've been copied on",
+        'signed by',
+        'has been completed',
+        'You just signed'
+      ]
+    },
+    
+    // Tool labels checked before TOOL_NAME (legacy HelloSign branding)
+    TOOL_NAME_PATTERNS: [
+      { PATTERN: /via Dropbox Sign|'Dropbox Sign' via/i, NAME: 'Dropbox Sign' },
+      { PATTERN: /via HelloSign|'HelloSign' via/i, NAME: 'HelloSign' },
+      { PATTERN: /hellosign\.com/i, NAME: 'HelloSign/Dropbox Sign' }
+    ],
+    
     // Additional verification requirements
     REQUIRE_PDF_ATTACHMENT: false,            // Dropbox Sign emails may not always have PDF attachments
     
+    // Download links fetched when the email has no PDF attachment (capture group 1, see documentLinks.js)
+    DOWNLOAD_LINK_PATTERNS: [
+      /(https:\/\/(?:app\.)?(?:hellosign|dropboxsign)\.com\/[^\s"'<>]*(?:download|attachment)[^\s"'<>]*)/i
+    ],
+    
+    // Detection mode: 'sender_or_subject' (either match), 'sender_and_subject' (both required)
+    DETECTION_MODE: 'sender_or_subject'
+  },
+  
+  // Adobe Acrobat Sign (formerly EchoSign) integration settings
+  // Completion emails are "<Agreement> between A and B is Signed and Filed!" / 「<Agreement>」は署名済みおよび提出済みです
+  ADOBE_SIGN_INTEGRATION: {
+    ENABLE: true,  // Enable Adobe Acrobat Sign email detection
+    TYPE: 'ADOBE_SIGN',               // Message type returned by detectMessageSource
+    TOOL_NAME: 'Adobe Acrobat Sign',  // Contract tool label for spreadsheet/logs
+    
+    // Sender patterns for Adobe Acrobat Sign emails
+    SENDER_PATTERNS: [
+      /@(?:[\w-]+\.)*echosign\.(?:com|net)>?$/i,  // echosign@echosign.com, adobesign@na1.echosign.com
+      /@(?:[\w-]+\.)*adobesign\.com>?$/i,         // adobesign@adobesign.com
+      /.*via Adobe (?:Acrobat )?Sign.*/i          // "Name via Adobe Acrobat Sign" in sender field
+    ],
+    
+    // Subject patterns for Adobe Acrobat Sign completion emails
+    SUBJECT_PATTERNS: [
+      /Signed and Filed/i,                     // "<Agreement> between A and B is Signed and Filed!"
+      /署名済みおよび提出済み/                     // Japanese "「<Agreement>」は署名済みおよび提出済みです"
+    ],
+    
+    // Agreement name extraction from the subject (capture group 1)
+    TITLE_PATTERNS: [
+      /^(.+?)\s+between\s+.+\s+is\s+Signed\s+and\s+Filed!?$/i,
+      /^(.+?)\s+is\s+Signed\s+and\s+Filed!?$/i,
+      /^(.+?)\s*(?:[（(][^）)]*[）)])?\s*(?:は|が)署名済みおよび提出済みです/,
+      /^(?:Signed and Filed|署名済みおよび提出済み)\s*[:：]\s*(.+)$/i
+    ],
+    
+    // Gmail search terms (compiled into the query by compileGmailQuery)
+    SEARCH: {
+      FROM: ['echosign.com', 'echosign.net', 'adobesign.com'],
+      TEXT: ['via Adobe Acrobat Sign', 'via Adobe Sign'],
+      SUBJECT: ['Signed and Filed', '署名済みおよび提出済み']
+    },
+    
+    // Additional verification requirements
+    REQUIRE_PDF_ATTACHMENT: false,            // Signed PDF attachment depends on account settings
+    
+    // Detection mode: 'sender_or_subject' (either match), 'sender_and_subject' (both required)
+    DETECTION_MODE: 'sender_or_subject'
+  },
+  
+  // CloudSign integration settings
+  // Notifications quote the document title: 「<管理番号>_<書類名>_<相手方>」の合意締結が完了しました
+  CLOUDSIGN_INTEGRATION: {
+    ENABLE: true,  // Enable CloudSign email detection
+    TYPE: 'CLOUDSIGN',          // Message type returned by detectMessageSource
+    TOOL_NAME: 'CloudSign',     // Contract tool label for spreadsheet/logs
+    
+    // Sender patterns for CloudSign emails
+    SENDER_PATTERNS: [
+      /@(?:[\w-]+\.)*cloudsign\.jp>?$/i,       // noreply@cloudsign.jp and subdomains
+      /クラウドサイン/,                           // "クラウドサイン" display name
+      /.*via CloudSign.*/i                      // "Name via CloudSign" in sender field
+    ],
+    
+    // Subject patterns for CloudSign completion emails (the only variant with an executed contract)
+    SUBJECT_PATTERNS: [
+      /「.+」の合意締結が完了しました/             // Agreement concluded
+    ],
+    
+    // Notification variant → lifecycle event (checked in order)
+    // Requests, rejections and cancellations only update the status sheet (reason LIFECYCLE)
+    EVENT_PATTERNS: [
+      { PATTERN: /「.+」の合意締結が完了しました/, EVENT: 'completed' },
+      { PATTERN: /「.+」の確認依頼/, EVENT: 'confirmation_request' },                    // Confirmation (signature) request
+      { PATTERN: /「.+」(?:が|は)?却下されました/, EVENT: 'rejected' },                   // Rejected by the counterparty
+      { PATTERN: /「.+」(?:の送信)?(?:が|は)?取り?消(?:し|され)/, EVENT: 'cancelled' }   // Cancelled by the sender
+    ],
+    
+    // Document title extraction from the subject (capture group 1, text inside 「」)
+    TITLE_PATTERNS: [
+      /「(.+)」/
+    ],
+    
+    // Titles are "<管理番号>_<書類名>_<相手方>" by convention; split into management number, document and counterparty
+    TITLE_SEPARATOR: '_',
+    
+    // Document ID (canonical contract key, capture group 1), see extractProviderEnvelopeId
+    ENVELOPE_ID_HEADERS: [],
+    ENVELOPE_ID_PATTERNS: [
+      /cloudsign\.jp\/documents?\/([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})/i,  // Document links
+      /書類ID\s*[:：]\s*([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})/i               // "書類ID: ..." in the body
+    ],
+    
+    // Gmail search terms (compiled into the query by compileGmailQuery)
+    SEARCH: {
+      FROM: ['cloudsign.jp'],                  // Also finds the lifecycle notifications
+      SUBJECT: ['の合意締結が完了しました']
+    },
+    
+    // Additional verification requirements
+    REQUIRE_PDF_ATTACHMENT: false,            // Only completion emails carry the signed PDF
+    
+    // Detection mode: 'sender_or_subject' (either match), 'sender_and_subject' (both required)
+    DETECTION_MODE: 'sender_or_subject'
+  },
+  
+  // GMOサイン integration settings (Japanese e-contract service)
+  // Completion emails: 【GMOサイン】「<文書名>」の締結が完了しました
+  GMO_SIGN_INTEGRATION: {
+    ENABLE: true,  // Enable GMOサイン email detection
+    TYPE: 'GMO_SIGN',           // Message type returned by detectMessageSource
+    TOOL_NAME: 'GMOサイン',      // Contract tool label for spreadsheet/logs
+    
+    // Sender patterns for GMOサイン emails
+    SENDER_PATTERNS: [
+      /@(?:[\w-]+\.)*gmosign\.com>?$/i,         // noreply@gmosign.com and subdomains
+      /GMO\s*サイン|GMO\s*Sign/i                 // "GMOサイン" display name
+    ],
+    
+    // Japanese completion subject patterns
+    SUBJECT_PATTERNS: [
+      /【GMO\s*サイン】.*(?:締結|署名|合意).*完了/i,  // "【GMOサイン】「文書」の締結が完了しました"
+      /「.+」の(?:締結|署名)が完了しました/,          // Completion without the service tag
+      /(?:文書|契約)の締結(?:が)?完了/               // "文書の締結完了のお知らせ"
+    ],
+    
+    // Document title extraction from the subject (capture group 1, text inside 「」)
+    TITLE_PATTERNS: [
+      /「(.+?)」/
+    ],
+    
+    // Gmail search terms (compiled into the query by compileGmailQuery)
+    SEARCH: {
+      FROM: ['gmosign.com'],
+      SUBJECT: ['GMOサイン']
+    },
+    
+    // Additional verification requirements
+    REQUIRE_PDF_ATTACHMENT: false,            // Signed documents are usually linked, not attached
+    
+    // Detection mode: 'sender_or_subject' (either match), 'sender_and_subject' (both required)
+    DETECTION_MODE: 'sender_or_subject'
+  },
+  
+  // freeeサイン (formerly NINJA SIGN) integration settings (Japanese e-contract service)
+  // Completion emails: 【freeeサイン】「<文書名>」の締結が完了しました / 締結完了のお知らせ
+  FREEE_SIGN_INTEGRATION: {
+    ENABLE: true,  // Enable freeeサイン email detection
+    TYPE: 'FREEE_SIGN',         // Message type returned by detectMessageSource
+    TOOL_NAME: 'freeeサイン',    // Contract tool label for spreadsheet/logs
+    
+    // Sender patterns for freeeサイン emails
+    SENDER_PATTERNS: [
+      /@(?:[\w-]+\.)*ninja-sign\.com>?$/i,      // Legacy NINJA SIGN domain
+      /@(?:[\w-]+\.)*sign\.freee\.co\.jp>?$/i,  // freeeサイン notification domain
+      /freee\s*サイン|freee\s*Sign|NINJA\s*SIGN/i // Display name
+    ],
+    
+    // Japanese completion subject patterns
+    SUBJECT_PATTERNS: [
+      /【(?:freee\s*サイン|NINJA\s*SIGN)】.*(?:締結|署名|合意).*完了/i,  // "【freeeサイン】「文書」の締結が完了しました"
+      /「.+」の(?:締結|署名)が完了しました/,          // Completion without the service tag
+      /締結完了のお知らせ/                          // "締結完了のお知らせ"
+    ],
+    
+    // Document title extraction from the subject (capture group 1, text inside 「」)
+    TITLE_PATTERNS: [
+      /「(.+?)」/
+    ],
+    
+    // Gmail search terms (compiled into the query by compileGmailQuery)
+    SEARCH: {
+      FROM: ['ninja-sign.com', 'sign.freee.co.jp'],
+      SUBJECT: ['freeeサイン', '締結完了のお知らせ']
+    },
+    
+    // Additional verification requirements
+    REQUIRE_PDF_ATTACHMENT: false,            // Signed documents are usually linked, not attached
+    
     // Detection mode: 'sender_or_subject' (either match), 'sender_and_subject' (both required)
     DETECTION_MODE: 'sender_or_subject'
   },
   
   GMAIL_LABEL: 'Contract_Processed',  // 処理済み契約メールのラベル名
   GMAIL_SKIP_LABEL: 'Contract_Skipped',  // パターン不一致でスキップしたメールのラベル名
+  GMAIL_INTAKE_LABEL: 'Contract_Inbox',  // 手動取り込みラベル（付けたスレッドは送信者・件名の判定なしで処理し、処理後にGMAIL_LABELへ付け替え）
+  GMAIL_INTAKE_ERROR_LABEL: 'Contract_Inbox_Error',  // 手動取り込みで繰り返し失敗したスレッドの付け替え先ラベル
   
   // Slack integration settings
   // IMPORTANT: Set actual Slack channel in Script Properties, not here!
@@ -172,16 +473,60 @@ const CONFIG = {
   
   // Google Drive settings for contract storage
   DRIVE_FOLDER_NAME: '契約書管理_Contract_Documents',  // 契約書PDF保存フォルダ名
+  DRIVE_LAYOUT: 'flat',  // PDF保存先: 'flat'（ベースフォルダ直下）, 'year_month'（YYYY/MM）, 'contract_folder'（YYYYMMDD_件名）
   
   // Contract tracking spreadsheet settings
   ENABLE_SPREADSHEET_LOGGING: true,  // true: 契約情報のスプレッドシート記録を有効化
   CONTRACT_TRACKING_MODE: true,  // true: 契約管理特化モード
   
   // Processing settings
+  SIMULATION_MODE: false,  // true: processEmailsは判定レポートのみ出力（ラベル・Drive・シート・Slackへの書き込みなし）
   MAX_EMAILS_PER_RUN: 10,  // 一回の実行で処理する最大メール数
   BODY_PREVIEW_LENGTH: 7500,  // Slackに表示する本文の最大文字数（Slack制限: 8000文字）
   SHOW_FULL_EMAIL_BODY: true,  // true: 全文表示（制限内）, false: 短縮表示
   SEND_DRIVE_FOLDER_NOTIFICATION: true,  // true: PDF保存後にDriveフォルダリンクをフォローアップ送信
+  FETCH_DOCUMENT_LINKS: true,  // true: PDF添付がない場合、本文のダウンロードリンク（DOWNLOAD_LINK_PATTERNS）から署名済みPDFを取得
+  EXPAND_ZIP_ATTACHMENTS: true,  // true: ZIP添付を展開し、中のPDF等を通常どおり保存（監査証跡をZIPで送るツール向け）
+  CONTRACT_FILE_FORMATS: ['docx', 'xlsx'],  // PDF以外に契約書として保存する拡張子（例: 'doc', 'xls'）
+  CONVERT_TO_PDF: false,  // true: CONTRACT_FILE_FORMATSのファイルをPDFに変換したコピーも保存（Drive拡張サービスが必要）
+  
+  // Certificates of completion / audit trails attached next to the signed contract
+  AUDIT_DOCUMENTS: {
+    SUBFOLDER: 'audit',  // 契約書の保存先フォルダ内のサブフォルダ名
+    OCR_FIRST_PAGE: false,  // true: ファイル名・PDF内テキストで判定できない場合、1ページ目をOCRで確認（Drive拡張サービスが必要、低速）
+    
+    // File name patterns (checked first)
+    FILENAME_PATTERNS: [
+      /certificate[\s_-]*of[\s_-]*completion/i,   // DocuSign "Certificate Of Completion.pdf"
+      /^summary\.pdf$/i,                          // DocuSign attaches the certificate as "Summary.pdf"
+      /audit[\s_-]*trail/i,                       // Dropbox Sign / Adobe Acrobat Sign "Audit Trail"
+      /(?:合意締結|完了)証明書/,                    // CloudSign 合意締結証明書, DocuSign 完了証明書
+      /監査(?:証跡|ログ)/
+    ],
+    
+    // First-page markers (checked against the text readable in the PDF, or the OCR text)
+    CONTENT_PATTERNS: [
+      /Certificate\s+Of\s+Completion/i,           // DocuSign certificate heading
+      /Audit\s+Trail/i,                           // Dropbox Sign / Adobe Acrobat Sign heading
+      /合意締結証明書/,
+      /完了証明書/,
+      /監査証跡/
+    ]
+  },
+  
+  // Late messages in threads that already carry GMAIL_LABEL
+  PROCESSED_RESCAN_DAYS: 14,  // 処理済みラベル付きスレッドのうち、この日数以内に更新されたものを再チェック（0: 無効）
+  
+  // Backlog processing settings (see backlogProcessor.js)
+  BACKLOG_THREADS_PER_RUN: 50,  // バックログモードで一回の実行で処理するスレッド数（古い順）
+  BACKLOG_AUTO_START: true,  // true: 通常検索の結果が上限に達した場合にバックログモードを自動開始
+  
+  // Execution time budget (Apps Script stops a run after 6 minutes)
+  EXECUTION_TIME_BUDGET_SECONDS: 240,  // この時間を超えたらメッセージ間で処理を中断（大きなPDF用に余裕を残す）
+  CONTINUATION_DELAY_MINUTES: 1,  // 中断後に一回限りの継続トリガーを実行するまでの待ち時間（分）
+  
+  // Concurrency settings (see lockManager.js)
+  LOCK_WAIT_SECONDS: 30,  // 他の実行がロック中の場合の最大待機時間（秒）- 超えたら実行をスキップ
   
   // Property management settings (legacy - now using spreadsheet tracking)
   // EMAIL_SEARCH_DAYS: 7,  // Removed - no longer using time-based filtering
@@ -208,7 +553,13 @@ const PROPERTY_KEYS = {
   
   // Optional properties (auto-generated if not set)
   DRIVE_FOLDER_ID: 'DRIVE_FOLDER_ID',
-  SPREADSHEET_ID: 'SPREADSHEET_ID'
+  SPREADSHEET_ID: 'SPREADSHEET_ID',
+  
+  // Internal state (managed automatically)
+  BACKLOG_CURSOR: 'BACKLOG_CURSOR',  // JSON cursor for resumable backlog processing
+  PROCESSING_CHECKPOINT: 'PROCESSING_CHECKPOINT',  // JSON checkpoint of a run stopped by the time budget
+  SCRIPT_LOCK_STATE: 'SCRIPT_LOCK_STATE',  // JSON lock holder / contention record for diagnostics
+  INTAKE_FAILURES: 'INTAKE_FAILURES'  // JSON failed-run counts of manual intake threads
 };
 
 /**
@@ -216,82 +567,46 @@ const PROPERTY_KEYS = {
  * メイン処理関数 - 時間ベーストリガーから呼び出される
  */
 function processEmails() {
+  const scriptLock = acquireScriptLock('processEmails');
+  if (!scriptLock) {
+    return;
+  }
+  
   const startTime = new Date().getTime();
   
   try {
     console.log('=== Contract Management Email Processor Starting ===');
+    
+    // Overlay the Settings sheet on CONFIG once for this run
+    loadRuntimeSettings();
+    
     console.log(`Configuration: Senders=${CONFIG.SENDER_EMAILS.length}, Pattern Mode=${CONFIG.SUBJECT_PATTERNS.MATCH_MODE}`);
     console.log(`Contract tools monitored: ${CONFIG.SENDER_EMAILS.join(', ')}`);
     
     // Check required properties
     validateConfiguration();
     
-    // Build search query for multiple contract management tool senders and Docusign
-    // 複数の契約管理ツールからのメールとDocusignを検索
-    const senderQueries = CONFIG.SENDER_EMAILS.map(email => `from:${email}`);
-    
-    // Add Docusign subject-based search if enabled
-    const searchQueries = [senderQueries.join(' OR ')];
-    
-    if (CONFIG.DOCUSIGN_INTEGRATION?.ENABLE) {
-      // Build flexible Docusign search query with both sender and subject patterns
-      const docusignSearchTerms = [];
-      
-      // Add sender-based searches
-      if (CONFIG.DOCUSIGN_INTEGRATION.SENDER_PATTERNS?.length > 0) {
-        docusignSearchTerms.push('from:docusign.net');  // Domain-based search
-        docusignSearchTerms.push('"via Docusign"');     // Sender name pattern
-      }
-      
-      // Add subject-based searches
-      if (CONFIG.DOCUSIGN_INTEGRATION.SUBJECT_PATTERNS?.length > 0) {
-        docusignSearchTerms.push('subject:"Complete with Docusign"');
-        docusignSearchTerms.push('subject:"via Docusign"');
-        docusignSearchTerms.push('subject:"Completed:"');
-        docusignSearchTerms.push('subject:"has been completed"');
-        docusignSearchTerms.push('subject:"document signed"');
-      }
-      
-      if (docusignSearchTerms.length > 0) {
-        const docusignQuery = `(${docusignSearchTerms.join(' OR ')})`;
-        searchQueries.push(docusignQuery);
-        console.log(`Docusign detection enabled with ${docusignSearchTerms.length} search terms`);
-      }
+    if (CONFIG.SIMULATION_MODE) {
+      console.log('🧪 SIMULATION_MODE is enabled - reporting decisions only, nothing will be written');
+      simulateProcessing();
+      return;
     }
     
-    if (CONFIG.DROPBOX_SIGN_INTEGRATION?.ENABLE) {
-      // Build flexible Dropbox Sign search query with sender and subject patterns
-      const dropboxSignSearchTerms = [];
-      
-      // Add sender-based searches
-      if (CONFIG.DROPBOX_SIGN_INTEGRATION.SENDER_PATTERNS?.length > 0) {
-        dropboxSignSearchTerms.push('"via Dropbox Sign"');     // "Name via Dropbox Sign" pattern
-        dropboxSignSearchTerms.push('"via HelloSign"');        // Legacy HelloSign pattern
-        dropboxSignSearchTerms.push("'Dropbox Sign' via");     // "'Dropbox Sign' via organization" pattern
-        dropboxSignSearchTerms.push("'HelloSign' via");        // "'HelloSign' via organization" pattern
-      }
-      
-      // Add reply-to based searches for better detection
-      if (CONFIG.DROPBOX_SIGN_INTEGRATION.REPLY_TO_PATTERNS?.length > 0) {
-        dropboxSignSearchTerms.push('from:hellosign.com');     // Reply-to domain search
-      }
-      
-      // Add subject-based searches
-      if (CONFIG.DROPBOX_SIGN_INTEGRATION.SUBJECT_PATTERNS?.length > 0) {
-        dropboxSignSearchTerms.push('subject:"You\'ve been copied on"');
-        dropboxSignSearchTerms.push('subject:"signed by"');
-        dropboxSignSearchTerms.push('subject:"has been completed"');
-        dropboxSignSearchTerms.push('subject:"You just signed"');
-      }
-      
-      if (dropboxSignSearchTerms.length > 0) {
-        const dropboxSignQuery = `(${dropboxSignSearchTerms.join(' OR ')})`;
-        searchQueries.push(dropboxSignQuery);
-        console.log(`Dropbox Sign detection enabled with ${dropboxSignSearchTerms.length} search terms`);
-      }
+    // Report a run that was stopped early by the time budget
+    const checkpoint = getProcessingCheckpoint();
+    if (checkpoint) {
+      console.log(`Resuming after checkpoint from ${checkpoint.stoppedAt} (${checkpoint.source}: ${checkpoint.threadsDone}/${checkpoint.threadsFound} threads done)`);
+      clearProcessingCheckpoint();
     }
     
-    let query = `(${searchQueries.join(' OR ')}) -label:${CONFIG.GMAIL_LABEL} -label:${CONFIG.GMAIL_SKIP_LABEL}`;
+    // Compile search query for contract management tool senders and signing providers
+    // 契約管理ツールの送信者と電子署名プロバイダーから検索クエリを生成
+    const querySpec = getProcessingQuerySpec();
+    querySpec.providers.forEach(provider => {
+      console.log(`${provider.TOOL_NAME} detection enabled with ${buildProviderSearchTerms(provider).length} search terms`);
+    });
+    
+    const query = compileGmailQuery(querySpec);
     
     // Remove recipient filtering - now using content-based duplicate detection
     console.log('Using content-based duplicate detection (no recipient filtering)');
@@ -300,70 +615,62 @@ function processEmails() {
     // Duplicate tracking will be handled via spreadsheet instead of Script Properties
     
     console.log(`Search query: ${query}`);
-    const threads = GmailApp.search(query, 0, CONFIG.MAX_EMAILS_PER_RUN * 3); // Get more threads to check individual messages
+    const searchLimit = CONFIG.MAX_EMAILS_PER_RUN * 3; // Get more threads to check individual messages
+    const threads = GmailApp.search(query, 0, searchLimit);
     
     console.log(`Found ${threads.length} email threads from contract management tools`);
     
     if (threads.length === 0) {
       console.log('No contract emails to process');
-      return;
     }
     
     let processedCount = 0;
     let errorCount = 0;
     let checkedCount = 0;
+    let threadsDone = 0;
+    let stoppedEarly = false;
     
-    // Process each thread and check individual messages
-    threads.forEach((thread, index) => {
-      try {
-        console.log(`Checking thread ${index + 1}/${threads.length}: ${thread.getFirstMessageSubject()}`);
-        
-        // Check all messages in thread for unprocessed ones
-        // スレッド内の全メッセージをチェックして未処理のものを検索
-        const messages = thread.getMessages();
-        let threadHasNewMessages = false;
-        
-        messages.forEach((message, msgIndex) => {
-          try {
-            checkedCount++;
-            
-            if (message.isInTrash()) {
-              console.log(`  Message ${msgIndex + 1} is in trash, skipping`);
-              return;
-            }
-            
-            // Check if this specific message was already processed
-            if (isMessageAlreadyProcessed(message)) {
-              console.log(`  Message ${msgIndex + 1} already processed, skipping`);
-              return;
-            }
-            
-            console.log(`  Processing new message ${msgIndex + 1}: ${message.getSubject()}`);
-            
-            if (processMessage(message)) {
-              processedCount++;
-              threadHasNewMessages = true;
-              
-              // Mark this specific message as processed
-              markMessageAsProcessed(message);
-            }
-            
-          } catch (msgError) {
-            console.error(`Error processing message ${msgIndex + 1}:`, msgError);
-            errorCount++;
-          }
-        });
-        
-        // Add thread label only if we processed new messages
-        if (threadHasNewMessages) {
-          addProcessedLabel(thread);
-        }
-        
-      } catch (error) {
-        console.error(`Error processing thread ${index + 1}:`, error);
-        errorCount++;
+    // Process each thread and check individual messages, stopping cleanly at the time budget
+    for (let index = 0; index < threads.length; index++) {
+      const thread = threads[index];
+      
+      if (isExecutionBudgetExceeded(startTime)) {
+        stoppedEarly = true;
+        break;
       }
-    });
+      
+      console.log(`Checking thread ${index + 1}/${threads.length}: ${thread.getFirstMessageSubject()}`);
+      
+      const result = processThreadMessages(thread, startTime);
+      checkedCount += result.checked;
+      processedCount += result.processed;
+      errorCount += result.errors;
+      
+      if (result.stopped) {
+        stoppedEarly = true;
+        break;
+      }
+      
+      threadsDone++;
+    }
+    
+    // Threads a team member tagged with the manual intake label (no sender/pattern checks)
+    if (!stoppedEarly) {
+      const intake = processManualIntake(startTime);
+      checkedCount += intake.checked;
+      processedCount += intake.processed;
+      errorCount += intake.errors;
+      stoppedEarly = intake.stopped;
+    }
+    
+    // Labelled threads are excluded above - re-check recent ones for late messages
+    if (!stoppedEarly && CONFIG.PROCESSED_RESCAN_DAYS > 0) {
+      const rescan = rescanProcessedThreads(startTime);
+      checkedCount += rescan.checked;
+      processedCount += rescan.processed;
+      errorCount += rescan.errors;
+      stoppedEarly = rescan.stopped;
+    }
     
     const endTime = new Date().getTime();
     const executionTime = endTime - startTime;
@@ -376,13 +683,283 @@ function processEmails() {
       sendErrorSummary(processedCount, errorCount, executionTime);
     }
     
+    if (stoppedEarly) {
+      console.log(`⏱️ Execution time budget (${CONFIG.EXECUTION_TIME_BUDGET_SECONDS}s) reached after ${threadsDone}/${threads.length} threads`);
+      saveProcessingCheckpoint({
+        source: 'processEmails',
+        threadsDone: threadsDone,
+        threadsFound: threads.length,
+        messagesProcessed: processedCount
+      });
+      scheduleContinuationTrigger();
+      return;
+    }
+    
+    // A full page means older threads were left behind - page through them oldest-first
+    // 検索結果が上限に達した場合は古いスレッドをバックログモードで順次処理
+    if (threads.length >= searchLimit && CONFIG.BACKLOG_AUTO_START && !getBacklogCursor()) {
+      console.log(`Search returned a full page (${searchLimit} threads) - starting backlog mode`);
+      startBacklogProcessing();
+    }
+    
+    if (getBacklogCursor()) {
+      processBacklogBatch(startTime);
+    }
+    
   } catch (error) {
     console.error('Critical error in processEmails:', error);
     sendErrorNotification(`Critical error in contract processor: ${error.message}`);
     throw error;
+  } finally {
+    releaseScriptLock(scriptLock);
+  }
+}
+
+/**
+ * Process all unprocessed messages in a thread
+ * スレッド内の未処理メッセージをすべて処理
+ * 
+ * When startTime is given the time budget is checked before each message, so a run never
+ * stops between saving a message and marking it processed.
+ * 
+ * @param {GmailThread} thread - Gmail thread
+ * @param {number} startTime - Run start time in ms (optional, enables the time budget)
+ * @param {Set} knownMessageIds - Processed/skipped message IDs from getTrackedMessageIds() (optional,
+ *                                replaces the per-message spreadsheet lookup)
+ * @returns {Object} - {checked, processed, errors, stopped}
+ */
+function processThreadMessages(thread, startTime = null, knownMessageIds = null) {
+  const result = { checked: 0, processed: 0, errors: 0, stopped: false };
+  
+  try {
+    // Check all messages in thread for unprocessed ones
+    // スレッド内の全メッセージをチェックして未処理のものを検索
+    const messages = thread.getMessages();
+    let threadHasNewMessages = false;
+    
+    messages.forEach((message, msgIndex) => {
+      if (result.stopped) {
+        return;
+      }
+      
+      if (startTime && isExecutionBudgetExceeded(startTime)) {
+        console.log(`  Time budget reached before message ${msgIndex + 1}, stopping`);
+        result.stopped = true;
+        return;
+      }
+      
+      try {
+        result.checked++;
+        
+        if (message.isInTrash()) {
+          console.log(`  Message ${msgIndex + 1} is in trash, skipping`);
+          return;
+        }
+        
+        // Check if this specific message was already processed
+        const alreadyHandled = knownMessageIds ? knownMessageIds.has(message.getId()) : isMessageAlreadyProcessed(message);
+        if (alreadyHandled) {
+          console.log(`  Message ${msgIndex + 1} already processed, skipping`);
+          return;
+        }
+        
+        console.log(`  Processing new message ${msgIndex + 1}: ${message.getSubject()}`);
+        
+        if (processMessage(message)) {
+          result.processed++;
+          threadHasNewMessages = true;
+          
+          // Mark this specific message as processed
+          markMessageAsProcessed(message);
+        }
+        
+        if (knownMessageIds) {
+          knownMessageIds.add(message.getId());
+        }
+        
+      } catch (msgError) {
+        console.error(`Error processing message ${msgIndex + 1}:`, msgError);
+        result.errors++;
+      }
+    });
+    
+    // Add thread label only if we processed new messages
+    // Skip it when stopped early - the label would hide the remaining messages from the next search
+    if (threadHasNewMessages && !result.stopped) {
+      addProcessedLabel(thread);
+    }
+    
+  } catch (error) {
+    console.error('Error processing thread:', error);
+    result.errors++;
+  }
+  
+  return result;
+}
+
+/**
+ * Build the re-scan queries, one per thread label the normal search excludes
+ * 通常検索で除外されるスレッドラベルごとに再チェック用クエリを生成
+ * 
+ * Gmail ANDs label: terms, so threads with the processed label and threads with only the skip
+ * label need separate queries.
+ * 
+ * @returns {Array<string>} - Gmail queries (empty when there is nothing to search for)
+ */
+function buildRescanQueries() {
+  return [CONFIG.GMAIL_LABEL, CONFIG.GMAIL_SKIP_LABEL]
+    .filter(label => label)
+    .map(label => compileGmailQuery(getProcessingQuerySpec({
+      includeLabels: [label],
+      excludeLabels: [],
+      newerThanDays: CONFIG.PROCESSED_RESCAN_DAYS
+    })))
+    .filter(query => query);
+}
+
+/**
+ * Check whether a thread has a message that is neither processed nor in the skip ledger
+ * スレッドに処理済みでもスキップ記録済みでもないメッセージがあるかを判定
+ * 
+ * @param {GmailThread} thread - Gmail thread
+ * @param {Set} knownMessageIds - Message IDs from getTrackedMessageIds()
+ * @returns {boolean} - true if the thread has an untracked message outside the trash
+ */
+function hasUntrackedMessages(thread, knownMessageIds) {
+  return thread.getMessages().some(message =>
+    !message.isInTrash() && !knownMessageIds.has(message.getId())
+  );
+}
+
+/**
+ * Re-check recently active threads that already carry the processed or skip label
+ * 処理済み・スキップラベル付きで最近更新されたスレッドを再チェック
+ * 
+ * Labels are applied per thread and the normal search excludes both, so a message that arrives
+ * later in the same thread (e.g. a second DocuSign envelope with the same subject, or the
+ * completion email in a thread whose first message was skipped) would never be found. Processed
+ * state is tracked per message in the spreadsheet; this re-scan covers labelled threads with
+ * activity in the last PROCESSED_RESCAN_DAYS days and processes only messages that are neither
+ * in the processed sheet nor in the skip ledger.
+ * 
+ * @param {number} startTime - Run start time in ms (optional, enables the time budget)
+ * @returns {Object} - {threads, checked, processed, errors, stopped}
+ */
+function rescanProcessedThreads(startTime = null) {
+  const result = { threads: 0, checked: 0, processed: 0, errors: 0, stopped: false };
+  
+  try {
+    const queries = buildRescanQueries();
+    const threads = [];
+    const seenThreadIds = new Set();
+    
+    // A thread can carry both labels - scan it once
+    queries.forEach(query => {
+      GmailApp.search(query, 0, CONFIG.MAX_EMAILS_PER_RUN * 3).forEach(thread => {
+        if (!seenThreadIds.has(thread.getId())) {
+          seenThreadIds.add(thread.getId());
+          threads.push(thread);
+        }
+      });
+    });
+    
+    if (threads.length === 0) {
+      return result;
+    }
+    
+    console.log(`Re-scan of labelled threads: ${queries.join(' | ')} (${threads.length} threads)`);
+    const knownMessageIds = getTrackedMessageIds();
+    
+    for (const thread of threads) {
+      if (startTime && isExecutionBudgetExceeded(startTime)) {
+        result.stopped = true;
+        break;
+      }
+      
+      // Most labelled threads have nothing new - avoid logging and processing them
+      if (!hasUntrackedMessages(thread, knownMessageIds)) {
+        continue;
+      }
+      
+      console.log(`New message in labelled thread: ${thread.getFirstMessageSubject()}`);
+      result.threads++;
+      
+      const threadResult = processThreadMessages(thread, startTime, knownMessageIds);
+      result.checked += threadResult.checked;
+      result.processed += threadResult.processed;
+      result.errors += threadResult.errors;
+      
+      if (threadResult.stopped) {
+        result.stopped = true;
+        break;
+      }
+    }
+    
+    if (result.threads > 0) {
+      console.log(`Re-scan processed ${result.processed} late message(s) in ${result.threads} labelled thread(s)`);
+    }
+    
+  } catch (error) {
+    console.error('Error re-scanning processed threads:', error);
+    result.errors++;
+  }
+  
+  return result;
+}
+
+/**
+ * Check whether the run has used up its execution time budget
+ * 実行時間の予算を使い切ったかを確認
+ * 
+ * @param {number} startTime - Run start time in ms
+ * @returns {boolean} - True when no new message should be started
+ */
+function isExecutionBudgetExceeded(startTime) {
+  return new Date().getTime() - startTime >= CONFIG.EXECUTION_TIME_BUDGET_SECONDS * 1000;
+}
+
+/**
+ * Load the checkpoint of a run that stopped at the time budget
+ * 時間予算で中断した実行のチェックポイントを読み込み
+ * 
+ * @returns {Object|null} - {source, stoppedAt, threadsDone, threadsFound, messagesProcessed} or null
+ */
+function getProcessingCheckpoint() {
+  try {
+    const value = getProperty(PROPERTY_KEYS.PROCESSING_CHECKPOINT, false);
+    return value ? JSON.parse(value) : null;
+  } catch (error) {
+    console.error('Invalid processing checkpoint, ignoring:', error);
+    return null;
+  }
+}
+
+/**
+ * Save a checkpoint when a run stops at the time budget
+ * 時間予算で中断した際にチェックポイントを保存
+ * 
+ * Processed messages are already tracked individually; the checkpoint only records
+ * where and why the run stopped for the next run and showConfiguration().
+ * 
+ * @param {Object} checkpoint - {source, threadsDone, threadsFound, messagesProcessed}
+ */
+function saveProcessingCheckpoint(checkpoint) {
+  try {
+    const value = Object.assign({ stoppedAt: new Date().toISOString() }, checkpoint);
+    setProperty(PROPERTY_KEYS.PROCESSING_CHECKPOINT, JSON.stringify(value));
+  } catch (error) {
+    console.error('Error saving processing checkpoint:', error);
   }
 }
 
+/**
+ * Remove the processing checkpoint
+ * 処理チェックポイントを削除
+ */
+function clearProcessingCheckpoint() {
+  PropertiesService.getScriptProperties().deleteProperty(PROPERTY_KEYS.PROCESSING_CHECKPOINT);
+}
+
 /**
  * Validate that all required configuration is present
  * 必要な設定がすべて存在することを確認
@@ -556,6 +1133,11 @@ function markMessageAsProcessed(message) {
  * @param {number} daysOld - Remove records older than this many days
  */
 function cleanupOldProcessedMessages(daysOld = 30) {
+  const scriptLock = acquireScriptLock('cleanupOldProcessedMessages');
+  if (!scriptLock) {
+    return 0;
+  }
+  
   try {
     console.log(`Cleaning up processed message records older than ${daysOld} days...`);
     
@@ -580,6 +1162,8 @@ function cleanupOldProcessedMessages(daysOld = 30) {
   } catch (error) {
     console.error('Error cleaning up old processed messages:', error);
     return 0;
+  } finally {
+    releaseScriptLock(scriptLock);
   }
 }
 
@@ -699,6 +1283,10 @@ function showConfiguration() {
   console.log('=== Current Configuration ===');
   
   try {
+    // Show the values this run would use, including the Settings sheet
+    const settings = loadRuntimeSettings();
+    console.log(`\nSettings source: ${settings.source === 'sheet' ? `${SETTINGS_CONFIG.TAB_NAME} (${Object.keys(settings.values).length} values, ${settings.errors.length} invalid)` : 'code defaults'}`);
+    
     // Display contract management tool emails
     console.log('\nContract Management Tool Emails:');
     const configuredEmails = getConfiguredSenderEmails();
@@ -726,6 +1314,9 @@ function showConfiguration() {
     const webhookUrl = getProperty('SLACK_WEBHOOK_URL', false);
     console.log(`\nSlack Configuration:`);
     console.log(`  Channel: ${slackChannel || 'NOT SET'}`);
+    if (CONFIG.SLACK_CHANNEL !== slackChannel) {
+      console.log(`  Channel in use: ${CONFIG.SLACK_CHANNEL}`);
+    }
     console.log(`  Webhook URL: ${webhookUrl ? '[SET]' : 'NOT SET'}`);
     
     // Storage configuration
@@ -735,42 +1326,40 @@ function showConfiguration() {
     console.log(`  Drive Folder ID: ${folderId || 'NOT SET'}`);
     console.log(`  Spreadsheet ID: ${spreadsheetId || 'NOT SET'}`);
     console.log(`  Spreadsheet Logging: ${CONFIG.ENABLE_SPREADSHEET_LOGGING ? 'ENABLED' : 'DISABLED'}`);
+    console.log(`  Drive layout: ${CONFIG.DRIVE_LAYOUT}`);
     
     // Pattern settings
     console.log(`\nPattern Settings:`);
     console.log(`  Multiple patterns enabled: ${CONFIG.SUBJECT_PATTERNS?.ENABLE_MULTIPLE_PATTERNS}`);
     console.log(`  Total patterns: ${CONFIG.SUBJECT_PATTERNS?.PATTERNS?.length || 0}`);
+    console.log(`  Exclusion patterns: ${CONFIG.SUBJECT_PATTERNS?.EXCLUDE_PATTERNS?.length || 0}`);
     console.log(`  Match mode: ${CONFIG.SUBJECT_PATTERNS?.MATCH_MODE}`);
     
-    // Docusign integration settings
-    console.log(`\nDocusign Integration:`);
-    console.log(`  Docusign detection: ${CONFIG.DOCUSIGN_INTEGRATION?.ENABLE ? 'ENABLED' : 'DISABLED'}`);
-    if (CONFIG.DOCUSIGN_INTEGRATION?.ENABLE) {
-      console.log(`  Sender patterns: ${CONFIG.DOCUSIGN_INTEGRATION.SENDER_PATTERNS?.length || 0}`);
-      console.log(`  Subject patterns: ${CONFIG.DOCUSIGN_INTEGRATION.SUBJECT_PATTERNS?.length || 0}`);
-      console.log(`  Detection mode: ${CONFIG.DOCUSIGN_INTEGRATION.DETECTION_MODE || 'sender_or_subject'}`);
-      console.log(`  PDF attachment required: ${CONFIG.DOCUSIGN_INTEGRATION.REQUIRE_PDF_ATTACHMENT ? 'YES' : 'NO'}`);
-      console.log(`  Processing: All Docusign emails (no recipient filtering)`);
-    }
-    
-    // Dropbox Sign integration settings
-    console.log(`\nDropbox Sign Integration:`);
-    console.log(`  Dropbox Sign detection: ${CONFIG.DROPBOX_SIGN_INTEGRATION?.ENABLE ? 'ENABLED' : 'DISABLED'}`);
-    if (CONFIG.DROPBOX_SIGN_INTEGRATION?.ENABLE) {
-      console.log(`  Sender patterns: ${CONFIG.DROPBOX_SIGN_INTEGRATION.SENDER_PATTERNS?.length || 0}`);
-      console.log(`  Subject patterns: ${CONFIG.DROPBOX_SIGN_INTEGRATION.SUBJECT_PATTERNS?.length || 0}`);
-      console.log(`  Reply-to patterns: ${CONFIG.DROPBOX_SIGN_INTEGRATION.REPLY_TO_PATTERNS?.length || 0}`);
-      console.log(`  Detection mode: ${CONFIG.DROPBOX_SIGN_INTEGRATION.DETECTION_MODE || 'sender_or_subject'}`);
-      console.log(`  PDF attachment required: ${CONFIG.DROPBOX_SIGN_INTEGRATION.REQUIRE_PDF_ATTACHMENT ? 'YES' : 'NO'}`);
-      console.log(`  Processing: All Dropbox Sign emails via organizational forwarding`);
-    }
+    // Signing provider integration settings
+    getSigningProviders(false).forEach(provider => {
+      console.log(`\n${provider.TOOL_NAME} Integration:`);
+      console.log(`  ${provider.TOOL_NAME} detection: ${provider.ENABLE ? 'ENABLED' : 'DISABLED'}`);
+      if (provider.ENABLE) {
+        logSigningProviderSummary(provider);
+      }
+    });
     
     // Processing settings
     console.log(`\nProcessing Settings:`);
     console.log(`  Max emails per run: ${CONFIG.MAX_EMAILS_PER_RUN}`);
     console.log(`  Trigger interval: ${CONFIG.TRIGGER_INTERVAL_MINUTES} minutes`);
+    console.log(`  Execution time budget: ${CONFIG.EXECUTION_TIME_BUDGET_SECONDS}s (continuation after ${CONFIG.CONTINUATION_DELAY_MINUTES} min)`);
+    console.log(`  Processed-thread re-scan: ${CONFIG.PROCESSED_RESCAN_DAYS > 0 ? `threads updated in the last ${CONFIG.PROCESSED_RESCAN_DAYS} days` : 'disabled'}`);
+
     console.log(`  Duplicate tracking: Spreadsheet-based (unlimited)`);
     
+    const checkpoint = getProcessingCheckpoint();
+    if (checkpoint) {
+      console.log(`  ⏱️ Last run stopped at the time budget: ${checkpoint.stoppedAt} (${checkpoint.source}: ${checkpoint.threadsDone}/${checkpoint.threadsFound} threads)`);
+    }
+    
+    showScriptLockStatus();
+    
     // Show processed message statistics from spreadsheet
     try {
       const stats = getProcessedMessageStats();
@@ -835,11 +1424,11 @@ function getConfiguredSenderEmails() {
 }
 
 /**
- * Detect message source type (sender-based, Docusign, or Dropbox Sign)
- * メッセージのソースタイプを検出（送信者ベース、Docusign、またはDropbox Sign）
+ * Detect message source type (sender-based or a registered signing provider)
+ * メッセージのソースタイプを検出（送信者ベース、または登録済み電子署名プロバイダー）
  * 
  * @param {GmailMessage} message - Gmail message object
- * @returns {Object} - {type: 'SENDER_BASED'|'DOCUSIGN'|'DROPBOX_SIGN', details: {...}}
+ * @returns {Object} - {type: 'SENDER_BASED'|<provider TYPE>|'FILTERED_OUT'|'EXCLUDED'|'UNKNOWN', details: {...}}
  */
 function detectMessageSource(message) {
   try {
@@ -848,17 +1437,13 @@ function detectMessageSource(message) {
     const to = message.getTo();
     const attachments = message.getAttachments();
     
-    // Get reply-to header for additional verification
-    let replyTo = '';
-    try {
-      const rawMessage = message.getRawContent();
-      const replyToMatch = rawMessage.match(/Reply-To: (.+)/i);
-      if (replyToMatch) {
-        replyTo = replyToMatch[1].trim();
-      }
-    } catch (error) {
-      console.log('Could not extract reply-to header, continuing without it');
-    }
+    // Reply-To and the relayed original sender from the parsed header section (see messageHeaders.js)
+    const headers = getMessageHeaders(message);
+    // Address only, so "Dropbox Sign <noreply@hellosign.com>" matches the $-anchored REPLY_TO_PATTERNS
+    const replyTo = getHeaderAddresses(headers, 'Reply-To')[0] || getHeaderValue(headers, 'Reply-To');
+    const relayedSender = getOriginalSenderHeader(headers);
+    // A provider sending on someone's behalf is matched on its own sender only (see forwardedMessage.js)
+    const originalSender = isProviderSendingOnBehalf(sender, relayedSender) ? '' : relayedSender;
     
     // Check if it's from a configured sender email (traditional contract tools)
     const configuredEmails = getConfiguredSenderEmails();
@@ -867,152 +1452,45 @@ function detectMessageSource(message) {
     );
     
     if (isSenderBased) {
-      return {
-        type: 'SENDER_BASED',
-        details: {
-          configuredSender: configuredEmails.find(email => 
-            sender.toLowerCase().includes(email.toLowerCase())
-          )
-        }
-      };
-    }
-    
-    // Check if it's a Docusign email (flexible sender and subject detection)
-    if (CONFIG.DOCUSIGN_INTEGRATION?.ENABLE) {
-      const senderPatterns = CONFIG.DOCUSIGN_INTEGRATION.SENDER_PATTERNS || [];
-      const subjectPatterns = CONFIG.DOCUSIGN_INTEGRATION.SUBJECT_PATTERNS || [];
-      const detectionMode = CONFIG.DOCUSIGN_INTEGRATION.DETECTION_MODE || 'sender_or_subject';
-      
-      // Test sender patterns
-      const senderMatch = senderPatterns.some(pattern => pattern.test(sender));
-      
-      // Test subject patterns
-      const subjectMatch = subjectPatterns.some(pattern => pattern.test(subject));
+      const configuredSender = configuredEmails.find(email => 
+        sender.toLowerCase().includes(email.toLowerCase())
+      );
       
-      let isDocusign = false;
-      let detectedBy = [];
-      
-      if (detectionMode === 'sender_or_subject') {
-        // Either sender OR subject must match
-        isDocusign = senderMatch || subjectMatch;
-      } else if (detectionMode === 'sender_and_subject') {
-        // Both sender AND subject must match
-        isDocusign = senderMatch && subjectMatch;
-      }
-      
-      if (senderMatch) detectedBy.push('sender_pattern');
-      if (subjectMatch) detectedBy.push('subject_pattern');
-      
-      if (isDocusign) {
-        // Additional verification: check for PDF attachment if required
-        if (CONFIG.DOCUSIGN_INTEGRATION.REQUIRE_PDF_ATTACHMENT) {
-          const hasPdfAttachment = attachments.some(attachment => 
-            attachment.getName().toLowerCase().endsWith('.pdf')
-          );
-          
-          if (!hasPdfAttachment) {
-            return {
-              type: 'FILTERED_OUT',
-              details: {
-                reason: 'Docusign email detected but no PDF attachment found',
-                senderMatch: senderMatch,
-                subjectMatch: subjectMatch,
-                attachmentCount: attachments.length,
-                detectedBy: detectedBy.join(', ')
-              }
-            };
-          }
-          
-          detectedBy.push('pdf_attachment_verified');
-        }
-        
+      // Global exclusions win over the configured sender (provider exclusions are checked in the registry)
+      const exclusion = checkExclusionPatterns(subject);
+      if (exclusion) {
         return {
-          type: 'DOCUSIGN',
+          type: 'EXCLUDED',
           details: {
-            detectedBy: detectedBy.join(', '),
-            senderMatch: senderMatch,
-            subjectMatch: subjectMatch,
-            detectionMode: detectionMode,
-            hasPdfAttachment: CONFIG.DOCUSIGN_INTEGRATION.REQUIRE_PDF_ATTACHMENT ? 
-              attachments.some(att => att.getName().toLowerCase().endsWith('.pdf')) : 'not_checked',
-            attachmentCount: attachments.length,
-            recipient: to
+            reason: `Subject matches ${exclusion.scope} exclusion pattern ${exclusion.excludedBy}`,
+            excludedBy: exclusion.excludedBy,
+            exclusionScope: exclusion.scope,
+            configuredSender: configuredSender
           }
         };
       }
-    }
-    
-    // Check if it's a Dropbox Sign/HelloSign email (flexible sender and subject detection)
-    if (CONFIG.DROPBOX_SIGN_INTEGRATION?.ENABLE) {
-      const senderPatterns = CONFIG.DROPBOX_SIGN_INTEGRATION.SENDER_PATTERNS || [];
-      const subjectPatterns = CONFIG.DROPBOX_SIGN_INTEGRATION.SUBJECT_PATTERNS || [];
-      const replyToPatterns = CONFIG.DROPBOX_SIGN_INTEGRATION.REPLY_TO_PATTERNS || [];
-      const detectionMode = CONFIG.DROPBOX_SIGN_INTEGRATION.DETECTION_MODE || 'sender_or_subject';
-      
-      // Test sender patterns
-      const senderMatch = senderPatterns.some(pattern => pattern.test(sender));
-      
-      // Test subject patterns
-      const subjectMatch = subjectPatterns.some(pattern => pattern.test(subject));
       
-      // Test reply-to patterns for additional verification
-      const replyToMatch = replyTo && replyToPatterns.some(pattern => pattern.test(replyTo));
-      
-      let isDropboxSign = false;
-      let detectedBy = [];
-      
-      if (detectionMode === 'sender_or_subject') {
-        // Either sender, subject, or reply-to must match
-        isDropboxSign = senderMatch || subjectMatch || replyToMatch;
-      } else if (detectionMode === 'sender_and_subject') {
-        // Both sender AND subject must match (reply-to is additional)
-        isDropboxSign = senderMatch && subjectMatch;
-      }
-      
-      if (senderMatch) detectedBy.push('sender_pattern');
-      if (subjectMatch) detectedBy.push('subject_pattern');
-      if (replyToMatch) detectedBy.push('reply_to_pattern');
-      
-      if (isDropboxSign) {
-        // Additional verification: check for PDF attachment if required
-        if (CONFIG.DROPBOX_SIGN_INTEGRATION.REQUIRE_PDF_ATTACHMENT) {
-          const hasPdfAttachment = attachments.some(attachment => 
-            attachment.getName().toLowerCase().endsWith('.pdf')
-          );
-          
-          if (!hasPdfAttachment) {
-            return {
-              type: 'FILTERED_OUT',
-              details: {
-                reason: 'Dropbox Sign email detected but no PDF attachment found (PDF required)',
-                senderMatch: senderMatch,
-                subjectMatch: subjectMatch,
-                replyToMatch: replyToMatch,
-                attachmentCount: attachments.length,
-                detectedBy: detectedBy.join(', ')
-              }
-            };
-          }
-          
-          detectedBy.push('pdf_attachment_verified');
+      return {
+        type: 'SENDER_BASED',
+        details: {
+          configuredSender: configuredSender
         }
-        
-        return {
-          type: 'DROPBOX_SIGN',
-          details: {
-            detectedBy: detectedBy.join(', '),
-            senderMatch: senderMatch,
-            subjectMatch: subjectMatch,
-            replyToMatch: replyToMatch,
-            detectionMode: detectionMode,
-            hasPdfAttachment: CONFIG.DROPBOX_SIGN_INTEGRATION.REQUIRE_PDF_ATTACHMENT ? 
-              attachments.some(att => att.getName().toLowerCase().endsWith('.pdf')) : 'not_checked',
-            attachmentCount: attachments.length,
-            recipient: to,
-            replyTo: replyTo
-          }
-        };
-      }
+      };
+    }
+    
+    // Check registered signing providers (Docusign, Dropbox Sign, ...) in registry order
+    // 登録済み電子署名プロバイダーを順番にチェック
+    const providerResult = detectSigningProvider({
+      sender: sender,
+      subject: subject,
+      replyTo: replyTo,
+      originalSender: originalSender,
+      recipient: to,
+      attachments: attachments
+    });
+    
+    if (providerResult) {
+      return providerResult;
     }
     
     return {
@@ -1065,6 +1543,20 @@ function generateContentDuplicateKey(sender, date, subject, pdfNames = []) {
   }
 }
 
+/**
+ * Generate envelope-based duplicate key for email
+ * メールのエンベロープIDベース重複キーを生成
+ * 
+ * Every copy of an envelope notification (e.g. one per team member) gets the same key regardless
+ * of recipient, timestamp or subject wording, so it is used ahead of generateContentDuplicateKey().
+ * 
+ * @param {Object} envelope - Result of getMessageEnvelopeId() ({providerType, envelopeId})
+ * @returns {string} - Duplicate detection key
+ */
+function generateEnvelopeDuplicateKey(envelope) {
+  return `ENVELOPE_${envelope.providerType}_${envelope.envelopeId}`;
+}
+
 /**
  * Test function for manual execution
  * 手動実行用のテスト関数
@@ -1281,25 +1773,11 @@ function debugDocusignEmails() {
     console.log(`Detection mode: ${CONFIG.DOCUSIGN_INTEGRATION.DETECTION_MODE || 'sender_or_subject'}`);
     console.log(`PDF attachment required: ${CONFIG.DOCUSIGN_INTEGRATION.REQUIRE_PDF_ATTACHMENT ? 'YES' : 'NO'}`);
     
-    // Build Docusign search query (same as in processEmails)
-    const docusignSearchTerms = [];
-    
-    // Add sender-based searches
-    if (CONFIG.DOCUSIGN_INTEGRATION.SENDER_PATTERNS?.length > 0) {
-      docusignSearchTerms.push('from:docusign.net');  // Domain-based search
-      docusignSearchTerms.push('"via Docusign"');     // Sender name pattern
-    }
-    
-    // Add subject-based searches
-    if (CONFIG.DOCUSIGN_INTEGRATION.SUBJECT_PATTERNS?.length > 0) {
-      docusignSearchTerms.push('subject:"Complete with Docusign"');
-      docusignSearchTerms.push('subject:"via Docusign"');
-      docusignSearchTerms.push('subject:"Completed:"');
-      docusignSearchTerms.push('subject:"has been completed"');
-      docusignSearchTerms.push('subject:"document signed"');
-    }
-    
-    let query = `(${docusignSearchTerms.join(' OR ')}) -label:${CONFIG.GMAIL_LABEL}`;
+    // Compile Docusign search query from the provider registry (same as in processEmails)
+    const query = compileGmailQuery({
+      providers: [CONFIG.DOCUSIGN_INTEGRATION],
+      excludeLabels: [CONFIG.GMAIL_LABEL]
+    });
     
     console.log(`Gmail search query: ${query}`);
     
@@ -1360,7 +1838,7 @@ function debugDocusignEmails() {
       console.log(`Details: ${JSON.stringify(messageSource.details)}`);
       
       // Test pattern matching
-      const patternResult = checkSubjectPattern(subject, messageSource.type);
+      const patternResult = checkSubjectPattern(subject, messageSource.type, isSenderVerifiedSource(messageSource));
       console.log(`Pattern match: ${patternResult.isMatch ? '✅ MATCHES' : '❌ NO MATCH'}`);
       
       if (patternResult.isMatch && patternResult.matchedPattern) {
@@ -1648,31 +2126,11 @@ function debugDropboxSignEmails() {
     console.log(`Detection mode: ${CONFIG.DROPBOX_SIGN_INTEGRATION.DETECTION_MODE || 'sender_or_subject'}`);
     console.log(`PDF attachment required: ${CONFIG.DROPBOX_SIGN_INTEGRATION.REQUIRE_PDF_ATTACHMENT ? 'YES' : 'NO'}`);
     
-    // Build Dropbox Sign search query (same as in processEmails)
-    const dropboxSignSearchTerms = [];
-    
-    // Add sender-based searches
-    if (CONFIG.DROPBOX_SIGN_INTEGRATION.SENDER_PATTERNS?.length > 0) {
-      dropboxSignSearchTerms.push('"via Dropbox Sign"');
-      dropboxSignSearchTerms.push('"via HelloSign"');
-      dropboxSignSearchTerms.push("'Dropbox Sign' via");
-      dropboxSignSearchTerms.push("'HelloSign' via");
-    }
-    
-    // Add reply-to based searches
-    if (CONFIG.DROPBOX_SIGN_INTEGRATION.REPLY_TO_PATTERNS?.length > 0) {
-      dropboxSignSearchTerms.push('from:hellosign.com');
-    }
-    
-    // Add subject-based searches
-    if (CONFIG.DROPBOX_SIGN_INTEGRATION.SUBJECT_PATTERNS?.length > 0) {
-      dropboxSignSearchTerms.push('subject:"You\'ve been copied on"');
-      dropboxSignSearchTerms.push('subject:"signed by"');
-      dropboxSignSearchTerms.push('subject:"has been completed"');
-      dropboxSignSearchTerms.push('subject:"You just signed"');
-    }
-    
-    let query = `(${dropboxSignSearchTerms.join(' OR ')}) -label:${CONFIG.GMAIL_LABEL}`;
+    // Compile Dropbox Sign search query from the provider registry (same as in processEmails)
+    const query = compileGmailQuery({
+      providers: [CONFIG.DROPBOX_SIGN_INTEGRATION],
+      excludeLabels: [CONFIG.GMAIL_LABEL]
+    });
     
     console.log(`Gmail search query: ${query}`);
     
@@ -1736,7 +2194,7 @@ function debugDropboxSignEmails() {
       console.log(`Details: ${JSON.stringify(messageSource.details)}`);
       
       // Test pattern matching
-      const patternResult = checkSubjectPattern(subject, messageSource.type);
+      const patternResult = checkSubjectPattern(subject, messageSource.type, isSenderVerifiedSource(messageSource));
       console.log(`Pattern match: ${patternResult.isMatch ? '✅ MATCHES' : '❌ NO MATCH'}`);
       
       if (patternResult.isMatch && patternResult.matchedPattern) {
@@ -1905,7 +2363,7 @@ function debugDropboxSignWorkflow() {
       
       // Step 5: Test subject pattern matching
       console.log('\nStep 5: Testing subject pattern matching...');
-      const patternResult = checkSubjectPattern(subject, messageSource.type);
+      const patternResult = checkSubjectPattern(subject, messageSource.type, isSenderVerifiedSource(messageSource));
       console.log(`Pattern match: ${patternResult.isMatch ? '✅ MATCHES' : '❌ NO MATCH'}`);
       
       if (patternResult.isMatch) {
@@ -1975,6 +2433,11 @@ function cleanupSpreadsheetOld(days = 30) {
  * @returns {number} Number of properties deleted
  */
 function clearAllProcessedMessages() {
+  const scriptLock = acquireScriptLock('clearAllProcessedMessages');
+  if (!scriptLock) {
+    return 0;
+  }
+  
   try {
     const properties = PropertiesService.getScriptProperties().getProperties();
     let count = 0;
@@ -2013,6 +2476,8 @@ function clearAllProcessedMessages() {
   } catch (error) {
     console.error('処理済みメッセージの削除中にエラー:', error);
     throw error;
+  } finally {
+    releaseScriptLock(scriptLock);
   }
 }
 
@@ -2024,6 +2489,11 @@ function clearAllProcessedMessages() {
  * @returns {number} Number of entries actually removed
  */
 function rotateProcessedMessages(removeCount = 10) {
+  const scriptLock = acquireScriptLock('rotateProcessedMessages');
+  if (!scriptLock) {
+    return 0;
+  }
+  
   try {
     const allProperties = PropertiesService.getScriptProperties().getProperties();
     const processedMessages = [];
@@ -2060,6 +2530,8 @@ function rotateProcessedMessages(removeCount = 10) {
   } catch (error) {
     console.error('Error rotating processed messages:', error);
     return 0;
+  } finally {
+    releaseScriptLock(scriptLock);
   }
 }
 
@@ -2209,6 +2681,24 @@ function showSkippedEmailStats() {
     // Display statistics
     console.log(`\nTotal skipped messages: ${stats.total}`);
     
+    // Skip reasons recorded in the ledger sheet
+    const ledger = getSkippedMessageStats();
+    if (ledger.total > 0) {
+      console.log(`\nSkip reasons (${SPREADSHEET_CONFIG.SKIPPED_TAB_NAME}, ${ledger.total} entries):`);
+      Object.entries(ledger.byReason)
+        .sort((a, b) => b[1] - a[1])
+        .forEach(([reason, count]) => {
+          console.log(`  ${reason}: ${count}`);
+        });
+      
+      console.log('\nBy detection type:');
+      Object.entries(ledger.byType)
+        .sort((a, b) => b[1] - a[1])
+        .forEach(([type, count]) => {
+          console.log(`  ${type}: ${count}`);
+        });
+    }
+    
     console.log('\nTop senders with skipped emails:');
     const sortedSenders = Object.entries(stats.bySender)
       .sort((a, b) => b[1] - a[1])
@@ -2227,6 +2717,7 @@ function showSkippedEmailStats() {
     console.log('\nTo manually review skipped emails:');
     console.log('  1. Go to Gmail');
     console.log(`  2. Search for: label:${CONFIG.GMAIL_SKIP_LABEL}`);
+    console.log(`     or open the ${SPREADSHEET_CONFIG.SKIPPED_TAB_NAME} sheet (reason code and patterns checked per message)`);
     console.log('  3. Review if any patterns need to be added');
     
   } catch (error) {
@@ -2408,6 +2899,11 @@ function testUserReportedMessageId() {
  * @param {boolean} dryRun - If true, only show what would be removed
  */
 function cleanupOldSkipLabels(daysOld = 30, dryRun = true) {
+  const scriptLock = acquireScriptLock('cleanupOldSkipLabels');
+  if (!scriptLock) {
+    return;
+  }
+  
   console.log(`=== Cleanup Skip Labels (${dryRun ? 'DRY RUN' : 'ACTUAL'}) ===`);
   
   try {
@@ -2448,7 +2944,168 @@ function cleanupOldSkipLabels(daysOld = 30, dryRun = true) {
     
   } catch (error) {
     console.error('Error cleaning up skip labels:', error);
+  } finally {
+    releaseScriptLock(scriptLock);
+  }
+}
+
+/**
+ * Re-evaluate skipped emails after pattern or provider changes
+ * パターンやプロバイダー変更後にスキップ済みメールを再評価
+ * 
+ * Threads with the skip label are excluded from the normal search forever. This re-runs
+ * detection and subject patterns on them and, when confirmed with dryRun: false, processes
+ * the newly matching messages through the normal pipeline. The skip label is replaced by the
+ * processed label only after a message of the thread was processed successfully.
+ * 
+ * @param {Object} options - Optional settings
+ * @param {number} options.days - Only threads newer than this many days (default: 30, ignored with after)
+ * @param {Date|string} options.after - Only threads after this date
+ * @param {Date|string} options.before - Only threads before this date
+ * @param {number} options.maxThreads - Skipped threads to examine (default: 100)
+ * @param {boolean} options.dryRun - Only list newly matching messages (default: true)
+ * @returns {Object|null} - {query, threads, matches, processed, errors, stopped}
+ */
+function reevaluateSkipped(options = {}) {
+  const dryRun = options.dryRun !== false;
+  const startTime = new Date().getTime();
+  
+  console.log(`=== Re-evaluate Skipped Emails (${dryRun ? 'DRY RUN' : 'ACTUAL'}) ===`);
+  
+  const scriptLock = dryRun ? null : acquireScriptLock('reevaluateSkipped');
+  if (!dryRun && !scriptLock) {
+    return null;
+  }
+  
+  try {
+    loadRuntimeSettings();
+    
+    const skipLabel = GmailApp.getUserLabelByName(CONFIG.GMAIL_SKIP_LABEL);
+    if (!skipLabel) {
+      console.log('No skip label found');
+      return null;
+    }
+    
+    const query = buildReevaluateSkippedQuery(options);
+    const threads = GmailApp.search(query, 0, Math.min(options.maxThreads || 100, 500));
+    console.log(`Search query: ${query}`);
+    console.log(`Skipped threads in window: ${threads.length}`);
+    
+    const result = { query: query, threads: threads.length, matches: [], processed: 0, errors: 0, stopped: false };
+    
+    for (let index = 0; index < threads.length; index++) {
+      const thread = threads[index];
+      
+      if (!dryRun && isExecutionBudgetExceeded(startTime)) {
+        result.stopped = true;
+        break;
+      }
+      
+      const matching = findNewlyMatchingMessages(thread);
+      if (matching.length === 0) {
+        continue;
+      }
+      
+      matching.forEach(item => {
+        // Lifecycle notices of filtered-out messages are processed without a pattern match
+        const patternMatch = item.evaluation.patternMatch;
+        const matchedPattern = patternMatch ? patternMatch.matchedPattern : item.evaluation.reason;
+        
+        result.matches.push({
+          messageId: item.message.getId(),
+          subject: item.message.getSubject(),
+          type: item.evaluation.messageSource.type,
+          matchedPattern: matchedPattern
+        });
+        console.log(`  ${dryRun ? 'Would process' : 'Processing'}: ${item.message.getSubject()}`);
+        console.log(`    Type: ${item.evaluation.messageSource.type} | Pattern: ${matchedPattern}`);
+      });
+      
+      if (dryRun) {
+        continue;
+      }
+      
+      let threadHasNewMessages = false;
+      matching.forEach(item => {
+        try {
+          if (processMessage(item.message, item.evaluation)) {
+            markMessageAsProcessed(item.message);
+            threadHasNewMessages = true;
+            result.processed++;
+          } else {
+            result.errors++;
+          }
+        } catch (error) {
+          console.error('Error reprocessing skipped message:', error);
+          result.errors++;
+        }
+      });
+      
+      // The skip label is swapped for the processed label only once a message went through, so a
+      // thread whose messages all failed keeps its skip label and is never left without a label
+      if (threadHasNewMessages) {
+        addProcessedLabel(thread);
+        thread.removeLabel(skipLabel);
+      }
+    }
+    
+    console.log(`\nNewly matching messages: ${result.matches.length}`);
+    if (!dryRun) {
+      console.log(`Processed: ${result.processed}, Errors: ${result.errors}`);
+    }
+    
+    if (result.stopped) {
+      console.log(`⏱️ Stopped at the execution time budget (${CONFIG.EXECUTION_TIME_BUDGET_SECONDS}s) - run again to continue`);
+    }
+    
+    if (dryRun && result.matches.length > 0) {
+      console.log('\nTo remove the skip label and process them, run: reevaluateSkipped({ dryRun: false })');
+    }
+    
+    return result;
+    
+  } catch (error) {
+    console.error('Error re-evaluating skipped emails:', error);
+    return null;
+  } finally {
+    releaseScriptLock(scriptLock);
+  }
+}
+
+/**
+ * Build the search query of reevaluateSkipped() (pure function)
+ * reevaluateSkipped()の検索クエリを生成（純粋関数）
+ * 
+ * @param {Object} options - {days, after, before} as for reevaluateSkipped()
+ * @returns {string} - Gmail search query over the skip label
+ */
+function buildReevaluateSkippedQuery(options = {}) {
+  const parts = [`label:${formatGmailLabel(CONFIG.GMAIL_SKIP_LABEL)}`];
+  if (options.after) {
+    parts.push(`after:${formatGmailDate(options.after)}`);
+  } else {
+    parts.push(`newer_than:${parseInt(options.days || 30, 10)}d`);
+  }
+  if (options.before) {
+    parts.push(`before:${formatGmailDate(options.before)}`);
   }
+  
+  return parts.join(' ');
 }
+
+/**
+ * Find the messages of a skipped thread that the current configuration would process
+ * スキップ済みスレッドのうち、現在の設定で処理対象となるメッセージを検索
+ * 
+ * @param {GmailThread} thread - Thread with the skip label
+ * @returns {Array<Object>} - [{message, evaluation}] for unprocessed messages that now match
+ */
+function findNewlyMatchingMessages(thread) {
+  return thread.getMessages()
+    .filter(message => !message.isInTrash() && !isMessageAlreadyProcessed(message))
+    .map(message => ({ message: message, evaluation: evaluateMessage(message) }))
+    .filter(item => item.evaluation.shouldProcess);
+}
+
 // Aliases for convenience
 const checkSkipped = showSkippedEmailStats;
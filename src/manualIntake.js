@@ -0,0 +1,246 @@
+/**
+ * Manual Intake Module
+ *
+ * Paper-signed contracts and PDFs that arrive by ordinary email never match a provider, so
+ * they would never reach the registry. A team member tags such a thread with the intake label
+ * (CONFIG.GMAIL_INTAKE_LABEL); every unprocessed message in it then goes through processMessage()
+ * without sender or subject pattern checks and is recorded with the tool "Manual". When the
+ * thread is done, the intake label is swapped for the processed label; a thread that keeps
+ * failing is moved to the intake error label instead (CONFIG.GMAIL_INTAKE_ERROR_LABEL).
+ */
+
+// === MANUAL INTAKE CONFIGURATION ===
+const MANUAL_INTAKE_CONFIG = {
+  SOURCE_TYPE: 'MANUAL',      // messageSource.type of intake messages
+  TOOL_NAME: 'Manual',        // 契約管理ツール column
+  MAX_THREADS_PER_RUN: 20,    // Intake threads handled per processEmails() run
+  MAX_ATTEMPTS: 3             // Failed runs before a thread moves to the intake error label
+};
+
+/**
+ * Build the evaluation of a manually tagged message (pure function)
+ * 手動取り込みラベル付きメッセージの判定結果を生成（純粋関数）
+ *
+ * Same shape as evaluateMessage(), so processMessage() runs its normal pipeline.
+ *
+ * @param {string} labelName - Intake label the thread carries
+ * @returns {Object} - {shouldProcess, reason, detail, messageSource, patternMatch, lifecycle}
+ */
+function buildManualEvaluation(labelName) {
+  return {
+    shouldProcess: true,
+    reason: 'MANUAL',
+    detail: `Manual intake via label ${labelName}`,
+    messageSource: {
+      type: MANUAL_INTAKE_CONFIG.SOURCE_TYPE,
+      details: {
+        detectedBy: 'intake_label',
+        label: labelName
+      }
+    },
+    patternMatch: {
+      isMatch: true,
+      excluded: false,
+      matchedPattern: `label:${labelName}`,
+      checkedPatterns: []
+    },
+    lifecycle: null
+  };
+}
+
+/**
+ * Check whether an evaluation comes from the manual intake label (pure function)
+ * 判定結果が手動取り込みラベルによるものかを判定（純粋関数）
+ *
+ * @param {Object} evaluation - Result of evaluateMessage() or buildManualEvaluation()
+ * @returns {boolean} - true for manual intake
+ */
+function isManualIntake(evaluation) {
+  return Boolean(evaluation && evaluation.messageSource && evaluation.messageSource.type === MANUAL_INTAKE_CONFIG.SOURCE_TYPE);
+}
+
+/**
+ * Process the threads tagged with the manual intake label
+ * 手動取り込みラベルが付いたスレッドを処理
+ *
+ * Messages already in the processed sheet are skipped. The intake label is replaced by
+ * CONFIG.GMAIL_LABEL once every message of a thread went through without error; otherwise it
+ * stays so the next run retries. After MANUAL_INTAKE_CONFIG.MAX_ATTEMPTS failed runs the thread
+ * gets CONFIG.GMAIL_INTAKE_ERROR_LABEL instead and is no longer retried.
+ *
+ * @param {number} startTime - Run start time in ms (optional, enables the time budget)
+ * @returns {Object} - {threads, checked, processed, errors, failed, stopped}
+ */
+function processManualIntake(startTime = null) {
+  const result = { threads: 0, checked: 0, processed: 0, errors: 0, failed: 0, stopped: false };
+  
+  try {
+    const intakeLabel = CONFIG.GMAIL_INTAKE_LABEL ? GmailApp.getUserLabelByName(CONFIG.GMAIL_INTAKE_LABEL) : null;
+    if (!intakeLabel) {
+      return result;
+    }
+    
+    const threads = GmailApp.search(`label:${formatGmailLabel(CONFIG.GMAIL_INTAKE_LABEL)}`, 0, MANUAL_INTAKE_CONFIG.MAX_THREADS_PER_RUN);
+    result.threads = threads.length;
+    console.log(`Manual intake: ${threads.length} threads labelled ${CONFIG.GMAIL_INTAKE_LABEL}`);
+    
+    const evaluation = buildManualEvaluation(CONFIG.GMAIL_INTAKE_LABEL);
+    const failures = getIntakeFailures();
+    let failuresChanged = false;
+    
+    for (let index = 0; index < threads.length; index++) {
+      const thread = threads[index];
+      let threadErrors = 0;
+      
+      if (startTime && isExecutionBudgetExceeded(startTime)) {
+        result.stopped = true;
+        break;
+      }
+      
+      console.log(`Manual intake thread ${index + 1}/${threads.length}: ${thread.getFirstMessageSubject()}`);
+      
+      thread.getMessages().forEach(message => {
+        if (result.stopped) {
+          return;
+        }
+        if (startTime && isExecutionBudgetExceeded(startTime)) {
+          result.stopped = true;
+          return;
+        }
+        
+        result.checked++;
+        if (message.isInTrash() || isMessageAlreadyProcessed(message)) {
+          return;
+        }
+        
+        try {
+          if (processMessage(message, evaluation)) {
+            result.processed++;
+            markMessageAsProcessed(message);
+          } else {
+            threadErrors++;
+          }
+        } catch (error) {
+          console.error(`Error processing manual intake message ${message.getId()}:`, error);
+          threadErrors++;
+        }
+      });
+      
+      result.errors += threadErrors;
+      
+      // A thread interrupted by the time budget is neither done nor a failed attempt
+      if (result.stopped) {
+        break;
+      }
+      
+      const threadId = thread.getId();
+      const hadFailures = threadId in failures;
+      const outcome = recordIntakeAttempt(failures, threadId, threadErrors === 0);
+      failuresChanged = failuresChanged || hadFailures || outcome !== 'done';
+      
+      // Swap the labels only for completed threads - the remaining messages are retried next run
+      if (outcome === 'done') {
+        thread.removeLabel(intakeLabel);
+        addProcessedLabel(thread);
+        console.log(`Removed ${CONFIG.GMAIL_INTAKE_LABEL} label after processing`);
+      } else if (outcome === 'error') {
+        const errorLabel = GmailApp.getUserLabelByName(CONFIG.GMAIL_INTAKE_ERROR_LABEL) ||
+                           GmailApp.createLabel(CONFIG.GMAIL_INTAKE_ERROR_LABEL);
+        thread.removeLabel(intakeLabel);
+        thread.addLabel(errorLabel);
+        result.failed++;
+        console.error(`Manual intake thread failed ${MANUAL_INTAKE_CONFIG.MAX_ATTEMPTS} times, moved to ${CONFIG.GMAIL_INTAKE_ERROR_LABEL}: ${thread.getFirstMessageSubject()}`);
+      }
+    }
+    
+    if (failuresChanged) {
+      saveIntakeFailures(failures);
+    }
+    
+  } catch (error) {
+    console.error('Error processing manual intake:', error);
+    result.errors++;
+  }
+  
+  return result;
+}
+
+/**
+ * Count a manual intake attempt of a thread (updates failures in place)
+ * 手動取り込みスレッドの処理結果を失敗回数に反映
+ *
+ * A successful thread is removed from the failure counts. A failed one is counted; once it
+ * reaches MANUAL_INTAKE_CONFIG.MAX_ATTEMPTS it is removed again and reported as 'error'.
+ *
+ * @param {Object} failures - Failed-run counts by thread ID (updated in place)
+ * @param {string} threadId - Gmail thread ID
+ * @param {boolean} succeeded - true if every message of the thread was processed
+ * @returns {string} - 'done', 'retry' or 'error'
+ */
+function recordIntakeAttempt(failures, threadId, succeeded) {
+  if (succeeded) {
+    delete failures[threadId];
+    return 'done';
+  }
+  
+  failures[threadId] = (failures[threadId] || 0) + 1;
+  if (failures[threadId] < MANUAL_INTAKE_CONFIG.MAX_ATTEMPTS) {
+    return 'retry';
+  }
+  
+  delete failures[threadId];
+  return 'error';
+}
+
+/**
+ * Load the failed-run counts of manual intake threads
+ * 手動取り込みスレッドの失敗回数を読み込み
+ *
+ * @returns {Object} - Failed-run counts by thread ID
+ */
+function getIntakeFailures() {
+  try {
+    const value = getProperty(PROPERTY_KEYS.INTAKE_FAILURES, false);
+    return value ? JSON.parse(value) : {};
+  } catch (error) {
+    console.error('Invalid intake failure counts, ignoring:', error);
+    return {};
+  }
+}
+
+/**
+ * Persist the failed-run counts of manual intake threads
+ * 手動取り込みスレッドの失敗回数を保存
+ *
+ * @param {Object} failures - Failed-run counts by thread ID
+ */
+function saveIntakeFailures(failures) {
+  if (Object.keys(failures).length === 0) {
+    PropertiesService.getScriptProperties().deleteProperty(PROPERTY_KEYS.INTAKE_FAILURES);
+    return;
+  }
+  setProperty(PROPERTY_KEYS.INTAKE_FAILURES, JSON.stringify(failures));
+}
+
+/**
+ * Create the manual intake label so team members can tag threads with it
+ * チームメンバーがスレッドに付けられるよう手動取り込みラベルを作成
+ *
+ * @returns {boolean} - true if the label exists or was created
+ */
+function setupManualIntakeLabel() {
+  try {
+    if (GmailApp.getUserLabelByName(CONFIG.GMAIL_INTAKE_LABEL)) {
+      console.log(`✓ Gmail label exists: ${CONFIG.GMAIL_INTAKE_LABEL}`);
+      return true;
+    }
+    
+    GmailApp.createLabel(CONFIG.GMAIL_INTAKE_LABEL);
+    console.log(`✓ Created Gmail label: ${CONFIG.GMAIL_INTAKE_LABEL}`);
+    return true;
+    
+  } catch (error) {
+    console.error('Error creating manual intake label:', error);
+    return false;
+  }
+}
@@ -0,0 +1,277 @@
+/**
+ * Message Headers Module
+ *
+ * Parses the header section of a raw RFC 5322 message (GmailMessage.getRawContent()) into a
+ * structured map. Folded header lines are unfolded, MIME encoded words (RFC 2047, e.g.
+ * =?UTF-8?B?...?= or =?ISO-2022-JP?B?...?=) are decoded, and headers that occur more than
+ * once (Received, Delivered-To, ...) keep every value. Only the header section is read, so
+ * text in the body can never be mistaken for a header. Used by provider detection
+ * (Reply-To, X-Original-Sender) and by forwarded-message unwrapping, which replaces the sender
+ * of relayed copies with X-Original-Sender so the content duplicate key sees the original.
+ */
+
+// === MESSAGE HEADERS CONFIGURATION ===
+const MESSAGE_HEADERS_CONFIG = {
+  // Headers set by Google Groups / organizational forwarding with the original sender
+  ORIGINAL_SENDER_HEADERS: ['x-original-sender', 'x-original-from'],
+  
+  ENCODED_WORD_PATTERN: /=\?([^?\s]+)\?([BbQq])\?([^?\s]*)\?=/g
+};
+
+/**
+ * Parse the header section of a raw message (pure function)
+ * 生メッセージのヘッダー部を解析（純粋関数）
+ *
+ * Header names are lower-cased. Every value is unfolded, decoded and trimmed; values of
+ * repeated headers are kept in order of appearance.
+ *
+ * @param {string} rawContent - Raw RFC 5322 message (headers, blank line, body)
+ * @returns {Object} - Map of lower-case header name → array of values, e.g. {'reply-to': ['...']}
+ */
+function parseMessageHeaders(rawContent) {
+  const headers = {};
+  if (!rawContent) return headers;
+  
+  // The header section ends at the first empty line
+  const separator = rawContent.search(/\r?\n\r?\n/);
+  const headerSection = separator === -1 ? rawContent : rawContent.substring(0, separator);
+  
+  // Unfolding: a line starting with whitespace continues the previous header (RFC 5322 2.2.3)
+  const unfolded = headerSection.replace(/\r?\n(?=[ \t])/g, '');
+  
+  unfolded.split(/\r?\n/).forEach(line => {
+    const colon = line.indexOf(':');
+    if (colon <= 0) return;
+    
+    const name = line.substring(0, colon).trim().toLowerCase();
+    // Field names are printable ASCII without spaces (skips mbox "From " lines and garbage)
+    if (!/^[!-9;-~]+$/.test(name)) return;
+    
+    const value = decodeMimeEncodedWords(line.substring(colon + 1).trim());
+    if (!headers[name]) {
+      headers[name] = [];
+    }
+    headers[name].push(value);
+  });
+  
+  return headers;
+}
+
+/**
+ * Decode MIME encoded words in a header value (RFC 2047)
+ * ヘッダー値のMIMEエンコードワードをデコード（RFC 2047）
+ *
+ * Adjacent encoded words in the same charset are decoded together, so a multi-byte character
+ * split across two words is still decoded correctly. A word in an unsupported charset is left
+ * as it is.
+ *
+ * @param {string} value - Header value, e.g. "=?UTF-8?B?5aWR57SE5pu4?= completed"
+ * @returns {string} - Decoded value
+ */
+function decodeMimeEncodedWords(value) {
+  if (!value || value.indexOf('=?') === -1) return value || '';
+  
+  const pattern = new RegExp(MESSAGE_HEADERS_CONFIG.ENCODED_WORD_PATTERN.source, 'g');
+  // Whitespace between two encoded words is not part of the text (RFC 2047 6.2)
+  const compacted = value.replace(/(\?=)\s+(?==\?[^?\s]+\?[BbQq]\?)/g, '$1');
+  
+  let result = '';
+  let lastIndex = 0;
+  let pending = null;   // {charset, bytes, raw} of the current run of encoded words
+  
+  const flush = () => {
+    if (!pending) return;
+    try {
+      result += Utilities.newBlob(pending.bytes).getDataAsString(pending.charset);
+    } catch (error) {
+      console.log(`Could not decode ${pending.charset} encoded word, keeping it as is`);
+      result += pending.raw;
+    }
+    pending = null;
+  };
+  
+  let match;
+  while ((match = pattern.exec(compacted)) !== null) {
+    if (match.index > lastIndex) {
+      flush();
+      result += compacted.substring(lastIndex, match.index);
+    }
+    
+    // RFC 2231 language suffix: =?UTF-8*ja?B?...?=
+    const charset = match[1].split('*')[0];
+    const bytes = match[2].toUpperCase() === 'B'
+      ? Utilities.base64Decode(match[3])
+      : decodeQuotedPrintableWord(match[3]);
+      
+    if (pending && pending.charset.toLowerCase() === charset.toLowerCase()) {
+      pending.bytes = pending.bytes.concat(bytes);
+      pending.raw += match[0];
+    } else {
+      flush();
+      pending = { charset: charset, bytes: bytes, raw: match[0] };
+    }
+    
+    lastIndex = pattern.lastIndex;
+  }
+  
+  flush();
+  return result + compacted.substring(lastIndex);
+}
+
+/**
+ * Decode the text of a Q-encoded word into bytes
+ * Qエンコードされたワードをバイト列にデコード
+ *
+ * @param {string} text - Encoded text, e.g. "Vertrag_=C3=BCber"
+ * @returns {Array<number>} - Signed bytes as used by Utilities.newBlob()
+ */
+function decodeQuotedPrintableWord(text) {
+  const bytes = [];
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text.charAt(i);
+    let byte;
+    
+    if (char === '_') {
+      byte = 0x20;
+    } else if (char === '=' && /^[0-9A-Fa-f]{2}$/.test(text.substr(i + 1, 2))) {
+      byte = parseInt(text.substr(i + 1, 2), 16);
+      i += 2;
+    } else {
+      byte = char.charCodeAt(0) & 0xFF;
+    }
+    
+    bytes.push(byte > 127 ? byte - 256 : byte);
+  }
+  
+  return bytes;
+}
+
+/**
+ * Split an address-list header value into addresses (pure function)
+ * アドレスリスト形式のヘッダー値をアドレスに分割（純粋関数）
+ *
+ * Commas inside quoted display names, angle brackets and comments do not split the list.
+ * Group syntax ("Legal: a@example.com, b@example.com;") is flattened.
+ *
+ * @param {string} value - e.g. '"Yamada, Taro" <taro@example.com>, legal@example.com'
+ * @returns {Array<Object>} - [{name, email}] with lower-case email
+ */
+function parseAddressList(value) {
+  if (!value) return [];
+  
+  const parts = [];
+  let current = '';
+  let inQuotes = false;
+  let angleDepth = 0;
+  let commentDepth = 0;
+  
+  for (let i = 0; i < value.length; i++) {
+    const char = value.charAt(i);
+    
+    if (char === '\\' && inQuotes) {
+      current += char + value.charAt(++i);
+      continue;
+    }
+    
+    if (char === '"' && commentDepth === 0) inQuotes = !inQuotes;
+    if (!inQuotes) {
+      if (char === '<') angleDepth++;
+      if (char === '>') angleDepth = Math.max(0, angleDepth - 1);
+      if (char === '(') commentDepth++;
+      if (char === ')') commentDepth = Math.max(0, commentDepth - 1);
+    }
+    
+    if ((char === ',' || char === ';') && !inQuotes && angleDepth === 0 && commentDepth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  
+  return parts
+    .map(part => part.trim().replace(/^[^"<@]*:\s*/, ''))   // group label "Legal:"
+    .map(part => {
+      const angle = part.match(/^(.*)<([^>]+)>/);
+      const email = (angle ? angle[2] : part.replace(/\([^)]*\)/g, '')).trim().toLowerCase();
+      const name = angle ? angle[1].trim().replace(/^"(.*)"$/, '$1').replace(/\\(.)/g, '$1') : '';
+      return { name: name, email: email };
+    })
+    .filter(address => address.email.indexOf('@') > 0);
+}
+
+/**
+ * Get the first value of a header
+ * ヘッダーの最初の値を取得
+ *
+ * @param {Object} headers - Map from parseMessageHeaders()
+ * @param {string} name - Header name (any case)
+ * @returns {string} - First value, or '' if the header is missing
+ */
+function getHeaderValue(headers, name) {
+  const values = getHeaderValues(headers, name);
+  return values.length > 0 ? values[0] : '';
+}
+
+/**
+ * Get every value of a header (repeated headers such as Received or Delivered-To)
+ * ヘッダーのすべての値を取得（Received・Delivered-Toなど複数回出現するヘッダー）
+ *
+ * @param {Object} headers - Map from parseMessageHeaders()
+ * @param {string} name - Header name (any case)
+ * @returns {Array<string>} - Values in order of appearance
+ */
+function getHeaderValues(headers, name) {
+  return (headers && headers[name.toLowerCase()]) || [];
+}
+
+/**
+ * Get the email addresses of an address header across all of its occurrences
+ * アドレスヘッダーの全出現分のメールアドレスを取得
+ *
+ * @param {Object} headers - Map from parseMessageHeaders()
+ * @param {string} name - Header name, e.g. 'To', 'Delivered-To', 'Reply-To'
+ * @returns {Array<string>} - Unique lower-case email addresses
+ */
+function getHeaderAddresses(headers, name) {
+  const emails = [];
+  
+  getHeaderValues(headers, name).forEach(value => {
+    parseAddressList(value).forEach(address => emails.push(address.email));
+  });
+  
+  return [...new Set(emails)];
+}
+
+/**
+ * Get the original sender set by Google Groups / organizational forwarding
+ * Googleグループ・組織の転送で設定された元の送信者を取得
+ *
+ * @param {Object} headers - Map from parseMessageHeaders()
+ * @returns {string} - Original sender, or '' if the message was not relayed
+ */
+function getOriginalSenderHeader(headers) {
+  for (const name of MESSAGE_HEADERS_CONFIG.ORIGINAL_SENDER_HEADERS) {
+    const value = getHeaderValue(headers, name);
+    if (value) return value;
+  }
+  return '';
+}
+
+/**
+ * Read and parse the headers of a Gmail message
+ * Gmailメッセージのヘッダーを取得・解析
+ *
+ * @param {GmailMessage} message - Gmail message object
+ * @returns {Object} - Map from parseMessageHeaders(), or {} if the raw content is unavailable
+ */
+function getMessageHeaders(message) {
+  try {
+    return parseMessageHeaders(message.getRawContent());
+  } catch (error) {
+    console.log('Could not read raw message headers, continuing without them');
+    return {};
+  }
+}
@@ -147,6 +147,11 @@ function showAllProperties() {
  * @returns {Object} Cleanup results
  */
 function cleanupProcessedMessages(daysOld = 7, dryRun = false) {
+  const scriptLock = acquireScriptLock('cleanupProcessedMessages');
+  if (!scriptLock) {
+    return null;
+  }
+  
   try {
     console.log(`=== ${dryRun ? 'DRY RUN: ' : ''}CLEANING UP PROCESSED MESSAGES ===`);
     console.log(`Target: Messages older than ${daysOld} days\n`);
@@ -234,6 +239,8 @@ function cleanupProcessedMessages(daysOld = 7, dryRun = false) {
   } catch (error) {
     console.error('Error cleaning up processed messages:', error);
     throw error;
+  } finally {
+    releaseScriptLock(scriptLock);
   }
 }
 
@@ -406,6 +413,11 @@ function getPropertyStats() {
  * 緊急プロパティ管理 - 制限近くで自動クリーンアップ
  */
 function emergencyCleanup() {
+  const scriptLock = acquireScriptLock('emergencyCleanup');
+  if (!scriptLock) {
+    return { cleaned: 0, message: 'Skipped: another run holds the script lock' };
+  }
+  
   try {
     console.log('=== EMERGENCY PROPERTY CLEANUP ===\n');
     
@@ -445,6 +457,8 @@ function emergencyCleanup() {
   } catch (error) {
     console.error('Error in emergency cleanup:', error);
     throw error;
+  } finally {
+    releaseScriptLock(scriptLock);
   }
 }
 
@@ -0,0 +1,556 @@
+/**
+ * Signing Provider Registry Module
+ *
+ * Resolves the e-signature provider descriptors declared in CONFIG (one *_INTEGRATION
+ * block per service) and drives source detection, subject pattern checks and contract
+ * tool labeling from them; gmailQuery.js compiles their SEARCH blocks. Adding a provider
+ * only requires a new descriptor in CONFIG and its key in CONFIG.SIGNING_PROVIDERS.
+ */
+
+/**
+ * Get all registered signing provider descriptors in detection order
+ * 登録済みの電子署名プロバイダー定義を検出順に取得
+ *
+ * @param {boolean} enabledOnly - Only return providers with ENABLE: true
+ * @returns {Array} - Array of provider descriptors
+ */
+function getSigningProviders(enabledOnly = true) {
+  const providerKeys = CONFIG.SIGNING_PROVIDERS || [];
+
+  return providerKeys
+    .map(key => CONFIG[key])
+    .filter(provider => provider && provider.TYPE)
+    .filter(provider => !enabledOnly || provider.ENABLE);
+}
+
+/**
+ * Get a signing provider descriptor by its message type
+ * メッセージタイプから電子署名プロバイダー定義を取得
+ *
+ * @param {string} type - Provider message type (e.g. 'DOCUSIGN', 'DROPBOX_SIGN')
+ * @param {boolean} enabledOnly - Only return the provider if it is enabled
+ * @returns {Object|null} - Provider descriptor or null
+ */
+function getSigningProvider(type, enabledOnly = true) {
+  return getSigningProviders(enabledOnly).find(provider => provider.TYPE === type) || null;
+}
+
+/**
+ * Check whether a message type belongs to a registered signing provider
+ * メッセージタイプが登録済みプロバイダーのものかを判定
+ *
+ * @param {string} type - Message type
+ * @returns {boolean} - true if the type is a registered provider
+ */
+function isSigningProviderType(type) {
+  return getSigningProvider(type, false) !== null;
+}
+
+/**
+ * Match a message against a single provider descriptor
+ * 単一のプロバイダー定義に対してメッセージを照合
+ *
+ * @param {Object} provider - Provider descriptor
+ * @param {Object} fields - {sender, subject, replyTo, originalSender, recipient, attachments}
+ * @returns {Object|null} - Detection result ({type, details}) or null if not matched
+ */
+function matchSigningProvider(provider, fields) {
+  const sender = fields.sender || '';
+  const subject = fields.subject || '';
+  const replyTo = fields.replyTo || '';
+  const originalSender = fields.originalSender || '';
+  const attachments = fields.attachments || [];
+
+  const senderPatterns = provider.SENDER_PATTERNS || [];
+  const subjectPatterns = provider.SUBJECT_PATTERNS || [];
+  const replyToPatterns = provider.REPLY_TO_PATTERNS || [];
+  const detectionMode = provider.DETECTION_MODE || 'sender_or_subject';
+
+  // Test sender, subject and reply-to patterns (a group-relayed message also matches on its original sender)
+  const senderMatch = senderPatterns.some(pattern =>
+    pattern.test(sender) || (Boolean(originalSender) && pattern.test(originalSender))
+  );
+  const replyToMatch = Boolean(replyTo) && replyToPatterns.some(pattern => pattern.test(replyTo));
+  const subjectMatch = getProviderSubjectPatterns(provider, senderMatch || replyToMatch).some(pattern => pattern.test(subject));
+
+  let isMatch = false;
+  const detectedBy = [];
+
+  if (detectionMode === 'sender_or_subject') {
+    // Either sender, subject, or reply-to must match
+    isMatch = senderMatch || subjectMatch || replyToMatch;
+  } else if (detectionMode === 'sender_and_subject') {
+    // Both sender AND subject must match (reply-to is additional)
+    isMatch = senderMatch && subjectMatch;
+  }
+
+  if (senderMatch) detectedBy.push('sender_pattern');
+  if (subjectMatch) detectedBy.push('subject_pattern');
+  if (replyToMatch) detectedBy.push('reply_to_pattern');
+
+  if (!isMatch) {
+    return null;
+  }
+
+  // Exclusions (provider and global) win over the inclusion patterns above
+  const exclusion = checkExclusionPatterns(subject, provider);
+  if (exclusion) {
+    return {
+      type: 'EXCLUDED',
+      details: {
+        reason: `${provider.TOOL_NAME} email matches ${exclusion.scope} exclusion pattern ${exclusion.excludedBy}`,
+        provider: provider.TYPE,
+        excludedBy: exclusion.excludedBy,
+        exclusionScope: exclusion.scope,
+        senderMatch: senderMatch,
+        subjectMatch: subjectMatch,
+        replyToMatch: replyToMatch,
+        detectedBy: detectedBy.join(', ')
+      }
+    };
+  }
+
+  // A ZIP archive counts: some tools deliver the signed PDFs and audit trail zipped
+  const hasPdfAttachment = attachments.some(attachment =>
+    ['pdf', 'archive'].includes(getAttachmentKind(attachment.getName()))
+  );
+
+  // Additional verification: check for PDF attachment if required
+  if (provider.REQUIRE_PDF_ATTACHMENT) {
+    if (!hasPdfAttachment) {
+      return {
+        type: 'FILTERED_OUT',
+        details: {
+          reason: `${provider.TOOL_NAME} email detected but no PDF attachment found (PDF required)`,
+          provider: provider.TYPE,
+          senderMatch: senderMatch,
+          subjectMatch: subjectMatch,
+          replyToMatch: replyToMatch,
+          attachmentCount: attachments.length,
+          detectedBy: detectedBy.join(', ')
+        }
+      };
+    }
+
+    detectedBy.push('pdf_attachment_verified');
+  }
+
+  return {
+    type: provider.TYPE,
+    details: {
+      detectedBy: detectedBy.join(', '),
+      senderMatch: senderMatch,
+      subjectMatch: subjectMatch,
+      replyToMatch: replyToMatch,
+      detectionMode: detectionMode,
+      hasPdfAttachment: provider.REQUIRE_PDF_ATTACHMENT ? hasPdfAttachment : 'not_checked',
+      attachmentCount: attachments.length,
+      recipient: fields.recipient || '',
+      replyTo: replyTo
+    }
+  };
+}
+
+/**
+ * Get the subject patterns of a provider
+ * プロバイダーの件名パターンを取得
+ *
+ * SENDER_VERIFIED_SUBJECT_PATTERNS are too generic to identify the provider on their own and
+ * only apply once the sender or reply-to matched.
+ *
+ * @param {Object} provider - Provider descriptor
+ * @param {boolean} senderVerified - true if the sender or reply-to matched the provider
+ * @returns {Array<RegExp>} - Subject patterns to test
+ */
+function getProviderSubjectPatterns(provider, senderVerified) {
+  const patterns = provider.SUBJECT_PATTERNS || [];
+  return senderVerified ? patterns.concat(provider.SENDER_VERIFIED_SUBJECT_PATTERNS || []) : patterns;
+}
+
+/**
+ * Check whether a detection result identified its provider by sender or reply-to
+ * 検出結果が送信者またはReply-Toでプロバイダーを特定したかを判定
+ *
+ * @param {Object} messageSource - Result of detectMessageSource()
+ * @returns {boolean} - true if the sender or reply-to matched
+ */
+function isSenderVerifiedSource(messageSource) {
+  const details = (messageSource && messageSource.details) || {};
+  return Boolean(details.senderMatch || details.replyToMatch);
+}
+
+/**
+ * Detect which enabled signing provider a message belongs to
+ * メッセージがどの電子署名プロバイダーのものかを検出
+ *
+ * A provider identified by sender or reply-to wins over one matched only by a generic subject
+ * (e.g. 「…」の締結が完了しました is used by several Japanese services).
+ *
+ * @param {Object} fields - {sender, subject, replyTo, originalSender, recipient, attachments}
+ * @returns {Object|null} - Best matching detection result or null
+ */
+function detectSigningProvider(fields) {
+  let subjectOnlyResult = null;
+
+  for (const provider of getSigningProviders()) {
+    const result = matchSigningProvider(provider, fields);
+    if (!result) continue;
+
+    if (result.details.senderMatch || result.details.replyToMatch) {
+      return result;
+    }
+
+    if (!subjectOnlyResult) {
+      subjectOnlyResult = result;
+    }
+  }
+
+  return subjectOnlyResult;
+}
+
+/**
+ * Check subject against a provider's subject patterns
+ * プロバイダーの件名パターンに対する件名チェック
+ *
+ * @param {string} subject - Email subject
+ * @param {string} type - Provider message type
+ * @param {boolean} senderVerified - Sender or reply-to matched the provider (see isSenderVerifiedSource)
+ * @returns {Object} - Detailed match result for the provider
+ */
+function checkProviderPatterns(subject, type, senderVerified = false) {
+  const provider = getSigningProvider(type, false);
+  const toolName = provider ? provider.TOOL_NAME : type;
+
+  try {
+    console.log(`Checking ${toolName}-specific patterns...`);
+
+    const patterns = provider ? getProviderSubjectPatterns(provider, senderVerified) : [];
+    const results = [];
+    const checkedPatterns = [];
+
+    for (let i = 0; i < patterns.length; i++) {
+      const pattern = patterns[i];
+      const patternString = pattern.toString();
+      checkedPatterns.push(patternString);
+
+      try {
+        const isMatch = pattern.test(subject);
+
+        results.push({
+          pattern: patternString,
+          isMatch: isMatch,
+          matchDetails: isMatch ? subject.match(pattern) : null
+        });
+
+        console.log(`${toolName} Pattern ${i + 1}: ${patternString} -> ${isMatch ? 'MATCH' : 'NO MATCH'}`);
+
+        // Return immediately on first match
+        if (isMatch) {
+          return {
+            isMatch: true,
+            matchedPattern: patternString,
+            checkedPatterns: checkedPatterns,
+            allResults: results,
+            messageType: type,
+            summary: {
+              totalPatterns: patterns.length,
+              matchedCount: 1,
+              finalResult: true
+            }
+          };
+        }
+
+      } catch (error) {
+        console.error(`Error testing ${toolName} pattern ${i + 1}:`, error);
+        results.push({
+          pattern: patternString,
+          isMatch: false,
+          error: error.message
+        });
+      }
+    }
+
+    // No matches found
+    return {
+      isMatch: false,
+      matchedPattern: null,
+      checkedPatterns: checkedPatterns,
+      allResults: results,
+      messageType: type,
+      summary: {
+        totalPatterns: patterns.length,
+        matchedCount: 0,
+        finalResult: false
+      }
+    };
+
+  } catch (error) {
+    console.error(`Error checking ${toolName} patterns:`, error);
+    return {
+      isMatch: false,
+      error: error.message,
+      checkedPatterns: [],
+      messageType: type
+    };
+  }
+}
+
+/**
+ * Parse a provider notification subject into document metadata
+ * プロバイダーの通知件名を契約書メタデータに分解
+ *
+ * When the message type is not a provider (e.g. SENDER_BASED via SENDER_EMAIL_*), providers whose
+ * SUBJECT_PATTERNS match the subject are tried instead so titles are still parsed.
+ *
+ * @param {string} subject - Email subject
+ * @param {string} type - Provider message type (optional)
+ * @returns {Object|null} - {providerType, title, event, managementNumber, documentName, counterparty} or null
+ */
+function parseProviderSubject(subject, type) {
+  if (!subject) return null;
+
+  // Forwarded/replied notifications keep the original subject after the prefix
+  const cleanSubject = subject.replace(/^(?:(?:Fwd?|Re|転送|返信)\s*[:：]\s*)+/i, '').trim();
+
+  const provider = getSigningProvider(type, false);
+  const candidates = provider ? [provider] : getSigningProviders(false).filter(entry =>
+    (entry.TITLE_PATTERNS || []).length > 0 &&
+    (entry.SUBJECT_PATTERNS || []).some(pattern => pattern.test(cleanSubject))
+  );
+
+  for (const candidate of candidates) {
+    const title = matchDocumentTitle(cleanSubject, candidate.TITLE_PATTERNS || []);
+    if (!title) continue;
+
+    const eventMatch = (candidate.EVENT_PATTERNS || []).find(entry => entry.PATTERN.test(cleanSubject));
+    const parts = candidate.TITLE_SEPARATOR ?
+      splitDocumentTitle(title, candidate.TITLE_SEPARATOR) :
+      { managementNumber: '', documentName: title, counterparty: '' };
+
+    return {
+      providerType: candidate.TYPE,
+      title: title,
+      event: eventMatch ? eventMatch.EVENT : null,
+      managementNumber: parts.managementNumber,
+      documentName: parts.documentName,
+      counterparty: parts.counterparty
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Extract the document title for the spreadsheet from a provider notification subject
+ * プロバイダーの通知件名からスプレッドシート用の契約書名を抽出
+ *
+ * @param {string} subject - Email subject
+ * @param {string} type - Provider message type
+ * @returns {string|null} - "[<管理番号>] <書類名>" or "<書類名>", null if not parsed
+ */
+function extractProviderDocumentTitle(subject, type) {
+  const parsed = parseProviderSubject(subject, type);
+  if (!parsed || !parsed.documentName) return null;
+
+  return parsed.managementNumber ?
+    `[${parsed.managementNumber}] ${parsed.documentName}` :
+    parsed.documentName;
+}
+
+/**
+ * Extract the provider's envelope/document ID from headers, body text and links (pure function)
+ * ヘッダー・本文・リンクからプロバイダーのエンベロープID／書類IDを抽出（純粋関数）
+ *
+ * ENVELOPE_ID_HEADERS are checked first, then ENVELOPE_ID_PATTERNS (capture group 1) against the
+ * plain-text and HTML body. When the type is not a provider, every provider is tried in order.
+ *
+ * @param {Object} sources - {headers (map from parseMessageHeaders), body, html}
+ * @param {string} type - Provider message type (optional)
+ * @returns {Object|null} - {providerType, envelopeId, foundIn: 'header'|'body'} or null
+ */
+function extractProviderEnvelopeId(sources, type) {
+  const provider = getSigningProvider(type, false);
+  const candidates = provider ? [provider] : getSigningProviders(false);
+  const texts = [sources.body || '', sources.html || ''];
+
+  for (const candidate of candidates) {
+    for (const name of candidate.ENVELOPE_ID_HEADERS || []) {
+      const value = getHeaderValue(sources.headers || {}, name);
+      if (value) {
+        return { providerType: candidate.TYPE, envelopeId: normalizeEnvelopeId(value), foundIn: 'header' };
+      }
+    }
+
+    for (const pattern of candidate.ENVELOPE_ID_PATTERNS || []) {
+      for (const text of texts) {
+        const match = text.match(pattern);
+        if (match && match[1]) {
+          return { providerType: candidate.TYPE, envelopeId: normalizeEnvelopeId(match[1]), foundIn: 'body' };
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Normalize an envelope/document ID so every copy of a notification yields the same value
+ * 通知のどのコピーからも同じ値になるようエンベロープIDを正規化
+ *
+ * IDs are upper-cased; 32-digit hex IDs (GUIDs with or without hyphens) get canonical hyphens.
+ *
+ * @param {string} id - ID as found in the message
+ * @returns {string} - Normalized ID
+ */
+function normalizeEnvelopeId(id) {
+  const compact = id.trim().replace(/-/g, '').toUpperCase();
+
+  if (/^[0-9A-F]{32}$/.test(compact)) {
+    return compact.replace(/^(.{8})(.{4})(.{4})(.{4})(.{12})$/, '$1-$2-$3-$4-$5');
+  }
+
+  return id.trim().toUpperCase();
+}
+
+/**
+ * Read the envelope/document ID of a Gmail message
+ * GmailメッセージのエンベロープID／書類IDを取得
+ *
+ * @param {GmailMessage} message - Gmail message object
+ * @param {string} type - Provider message type
+ * @returns {Object|null} - Result of extractProviderEnvelopeId(), null if none or on error
+ */
+function getMessageEnvelopeId(message, type) {
+  try {
+    return extractProviderEnvelopeId({
+      headers: getMessageHeaders(message),
+      body: message.getPlainBody(),
+      html: message.getBody ? message.getBody() : ''
+    }, type);
+  } catch (error) {
+    console.error('Error extracting envelope ID:', error);
+    return null;
+  }
+}
+
+/**
+ * Return capture group 1 of the first matching title pattern
+ * 最初に一致したタイトルパターンのキャプチャを返す
+ *
+ * @param {string} subject - Email subject (prefixes already removed)
+ * @param {Array} patterns - TITLE_PATTERNS of a provider
+ * @returns {string|null} - Title without surrounding quotes or null
+ */
+function matchDocumentTitle(subject, patterns) {
+  for (const pattern of patterns) {
+    const match = subject.match(pattern);
+    if (match && match[1]) {
+      // Strip surrounding quotes/brackets used by Japanese and English notifications
+      const title = match[1].trim().replace(/^["“「『]+|["”」』]+$/g, '').trim();
+      if (title) {
+        return title;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Split a "<管理番号>_<書類名>_<相手方>" style title into its parts
+ * 「管理番号_書類名_相手方」形式のタイトルを分解
+ *
+ * Segments are classified rather than taken by position because titles are typed by hand:
+ * a leading segment with digits and no spaces is the management number, a segment naming a
+ * company (株式会社, Inc., 様 ...) is the counterparty, and the rest is the document name.
+ *
+ * @param {string} title - Document title
+ * @param {string} separator - Segment separator
+ * @returns {Object} - {managementNumber, documentName, counterparty}
+ */
+function splitDocumentTitle(title, separator) {
+  const companyPattern = /株式会社|有限会社|合同会社|一般社団法人|様|Inc\.?|Corp\.?|Co\.,?\s*Ltd|Ltd\.?|LLC/i;
+  const documentPattern = /契約|覚書|合意|同意|発注|注文|申込|規約|念書|誓約|NDA|Agreement|Contract|Order/i;
+  const managementNumberPattern = /^[A-Za-z]{0,10}[-#]?\d[\w-]*$/;
+
+  const segments = title.split(separator).map(segment => segment.trim()).filter(segment => segment);
+
+  let managementNumber = '';
+  if (segments.length > 1 && managementNumberPattern.test(segments[0])) {
+    managementNumber = segments.shift();
+  }
+
+  let counterparty = '';
+  if (segments.length > 1) {
+    // Prefer a company-like segment that does not also name the document type
+    let index = segments.findIndex(segment => companyPattern.test(segment) && !documentPattern.test(segment));
+    if (index === -1) {
+      index = segments.findIndex((segment, i) => i > 0 && companyPattern.test(segment));
+    }
+    if (index !== -1) {
+      counterparty = segments.splice(index, 1)[0];
+    }
+  }
+
+  // Prefer the segment naming the document type, otherwise the longest remaining one
+  let documentName = segments.find(segment => documentPattern.test(segment)) ||
+    segments.reduce((longest, segment) => segment.length > longest.length ? segment : longest, '');
+
+  // Counterparty in trailing parentheses: "機密保持契約書（ExampleCompany株式会社様）"
+  if (!counterparty) {
+    const parenMatch = documentName.match(/[（(]([^（）()]+)[）)]\s*$/);
+    if (parenMatch && companyPattern.test(parenMatch[1])) {
+      counterparty = parenMatch[1];
+      documentName = documentName.slice(0, parenMatch.index).trim();
+    }
+  }
+
+  return {
+    managementNumber: managementNumber,
+    documentName: documentName,
+    counterparty: counterparty.replace(/\s*様$/, '').trim()
+  };
+}
+
+/**
+ * Resolve the contract tool name for a sender using the provider registry
+ * プロバイダーレジストリを使って送信者から契約管理ツール名を解決
+ *
+ * @param {string} sender - Sender field (may include display name)
+ * @returns {string|null} - Tool name or null if no provider matches
+ */
+function getProviderToolName(sender) {
+  if (!sender) return null;
+
+  // Tool labels are useful even when detection for a provider is disabled
+  for (const provider of getSigningProviders(false)) {
+    // Explicit label overrides first (e.g. legacy HelloSign branding)
+    const labelMatch = (provider.TOOL_NAME_PATTERNS || []).find(entry => entry.PATTERN.test(sender));
+    if (labelMatch) {
+      return labelMatch.NAME;
+    }
+
+    if ((provider.SENDER_PATTERNS || []).some(pattern => pattern.test(sender))) {
+      return provider.TOOL_NAME;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Log a provider descriptor summary (used by showConfiguration and debug helpers)
+ * プロバイダー定義の概要をログ出力
+ *
+ * @param {Object} provider - Provider descriptor
+ */
+function logSigningProviderSummary(provider) {
+  console.log(`  Sender patterns: ${provider.SENDER_PATTERNS?.length || 0}`);
+  console.log(`  Subject patterns: ${provider.SUBJECT_PATTERNS?.length || 0}`);
+  console.log(`  Exclusion patterns: ${provider.EXCLUDE_PATTERNS?.length || 0}`);
+  console.log(`  Reply-to patterns: ${provider.REPLY_TO_PATTERNS?.length || 0}`);
+  console.log(`  Search terms: ${buildProviderSearchTerms(provider).length}`);
+  console.log(`  Detection mode: ${provider.DETECTION_MODE || 'sender_or_subject'}`);
+  console.log(`  PDF attachment required: ${provider.REQUIRE_PDF_ATTACHMENT ? 'YES' : 'NO'}`);
+}
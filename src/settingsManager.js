@@ -0,0 +1,431 @@
+/**
+ * Settings Sheet Module
+ *
+ * Lets non-developers change subject patterns, provider toggles and a few processing options
+ * from a 設定_Settings tab in the tracking spreadsheet instead of editing CONFIG and pushing
+ * with clasp. The tab is read once per run into a snapshot that is overlaid on CONFIG; rows
+ * that are blank, unknown or fail validation (e.g. a broken regex) are reported and the code
+ * default in CONFIG is kept.
+ *
+ * Sheet layout: one setting per row (key | value | description). List settings such as
+ * SUBJECT_PATTERN take one row per entry and replace the whole code default list. Provider
+ * settings are prefixed with the provider TYPE, e.g. CLOUDSIGN.ENABLE or DOCUSIGN.SUBJECT_PATTERN.
+ */
+
+// === SETTINGS SHEET CONFIGURATION ===
+const SETTINGS_CONFIG = {
+  TAB_NAME: '設定_Settings',
+  HEADERS: [
+    '設定キー',          // A: Setting key
+    '値',               // B: Value (regex as /pattern/flags)
+    '説明'              // C: Description (ignored)
+  ],
+  
+  // Global settings: sheet key → CONFIG path and value type
+  SETTINGS: {
+    MAX_EMAILS_PER_RUN: { PATH: 'MAX_EMAILS_PER_RUN', TYPE: 'integer', MIN: 1, MAX: 100, DESCRIPTION: '一回の実行で処理する最大メール数' },
+    PROCESSED_RESCAN_DAYS: { PATH: 'PROCESSED_RESCAN_DAYS', TYPE: 'integer', MIN: 0, MAX: 90, DESCRIPTION: '処理済みスレッドの新着メッセージを再チェックする日数（0: 無効）' },
+    SLACK_CHANNEL: { PATH: 'SLACK_CHANNEL', TYPE: 'string', PATTERN: /^[#@]?[^\s#@,]{1,80}$/, DESCRIPTION: '通知先Slackチャンネル（空欄: Script PropertiesのSLACK_CHANNEL）' },
+    FETCH_DOCUMENT_LINKS: { PATH: 'FETCH_DOCUMENT_LINKS', TYPE: 'boolean', DESCRIPTION: 'PDF添付がない場合にダウンロードリンクから署名済みPDFを取得' },
+    EXPAND_ZIP_ATTACHMENTS: { PATH: 'EXPAND_ZIP_ATTACHMENTS', TYPE: 'boolean', DESCRIPTION: 'ZIP添付を展開して中の契約書を保存' },
+    CONVERT_TO_PDF: { PATH: 'CONVERT_TO_PDF', TYPE: 'boolean', DESCRIPTION: 'docx/xlsx等の契約書をPDFに変換したコピーも保存' },
+    AUDIT_OCR_FIRST_PAGE: { PATH: 'AUDIT_DOCUMENTS.OCR_FIRST_PAGE', TYPE: 'boolean', DESCRIPTION: '完了証明書・監査証跡の判定に1ページ目のOCRを使用' },
+    AUDIT_FILENAME_PATTERN: { PATH: 'AUDIT_DOCUMENTS.FILENAME_PATTERNS', TYPE: 'regex_list', DESCRIPTION: '完了証明書・監査証跡のファイル名パターン（1行1パターン）' },
+    AUDIT_CONTENT_PATTERN: { PATH: 'AUDIT_DOCUMENTS.CONTENT_PATTERNS', TYPE: 'regex_list', DESCRIPTION: '完了証明書・監査証跡の1ページ目のテキストパターン（1行1パターン）' },
+    DRIVE_LAYOUT: { PATH: 'DRIVE_LAYOUT', TYPE: 'enum', VALUES: ['flat', 'year_month', 'contract_folder'], DESCRIPTION: 'PDF保存先: flat / year_month (YYYY/MM) / contract_folder (YYYYMMDD_件名)' },
+    SUBJECT_MATCH_MODE: { PATH: 'SUBJECT_PATTERNS.MATCH_MODE', TYPE: 'enum', VALUES: ['any', 'all'], DESCRIPTION: '件名パターンの一致条件' },
+    SUBJECT_PATTERN: { PATH: 'SUBJECT_PATTERNS.PATTERNS', TYPE: 'regex_list', DESCRIPTION: '契約メール件名パターン（1行1パターン）' },
+    EXCLUDE_PATTERN: { PATH: 'SUBJECT_PATTERNS.EXCLUDE_PATTERNS', TYPE: 'regex_list', DESCRIPTION: '全送信元共通の除外パターン（包含パターンより先に判定）' }
+  },
+  
+  // Per-provider settings, keyed as <TYPE>.<KEY> (path is relative to the provider descriptor)
+  PROVIDER_SETTINGS: {
+    ENABLE: { PATH: 'ENABLE', TYPE: 'boolean', DESCRIPTION: '検出の有効/無効' },
+    SENDER_PATTERN: { PATH: 'SENDER_PATTERNS', TYPE: 'regex_list', DESCRIPTION: '送信者パターン（1行1パターン）' },
+    SUBJECT_PATTERN: { PATH: 'SUBJECT_PATTERNS', TYPE: 'regex_list', DESCRIPTION: '件名パターン（1行1パターン）' },
+    EXCLUDE_PATTERN: { PATH: 'EXCLUDE_PATTERNS', TYPE: 'regex_list', DESCRIPTION: '除外パターン（1行1パターン、包含パターンより先に判定）' },
+    DOWNLOAD_LINK_PATTERN: { PATH: 'DOWNLOAD_LINK_PATTERNS', TYPE: 'regex_list', DESCRIPTION: 'PDF添付がない場合に取得するダウンロードリンク（キャプチャグループ1がURL）' }
+  }
+};
+
+// Snapshot applied to CONFIG in this execution, and the code defaults it replaced (by path)
+let activeSettingsSnapshot = null;
+const settingsCodeDefaults = {};
+
+/**
+ * Load the Settings sheet once per run and apply it to CONFIG
+ * 設定シートを実行ごとに一度読み込みCONFIGに反映
+ *
+ * @param {boolean} forceReload - Re-read the sheet even if this run already loaded it
+ * @returns {Object} - Applied snapshot {source, loadedAt, values, errors}
+ */
+function loadRuntimeSettings(forceReload = false) {
+  if (activeSettingsSnapshot && !forceReload) {
+    return activeSettingsSnapshot;
+  }
+  
+  const snapshot = readSettingsSnapshot();
+  applySettingsSnapshot(snapshot);
+  activeSettingsSnapshot = snapshot;
+  
+  if (snapshot.source === 'sheet') {
+    console.log(`Settings: ${Object.keys(snapshot.values).length} values from ${SETTINGS_CONFIG.TAB_NAME}`);
+  }
+  
+  if (snapshot.errors.length > 0) {
+    console.warn(`⚠️ ${snapshot.errors.length} invalid setting(s) ignored - code defaults used (run validateSettingsSheet() for details)`);
+  }
+  
+  return snapshot;
+}
+
+/**
+ * Read and validate the Settings sheet without applying it
+ * 設定シートを読み込み検証（CONFIGへの反映なし）
+ *
+ * @returns {Object} - Snapshot {source: 'sheet'|'defaults', loadedAt, values, errors}
+ */
+function readSettingsSnapshot() {
+  const snapshot = {
+    source: 'defaults',
+    loadedAt: new Date().toISOString(),
+    values: {},
+    errors: []
+  };
+  
+  try {
+    const spreadsheetId = getProperty('SPREADSHEET_ID', false);
+    if (!spreadsheetId) {
+      return snapshot;
+    }
+    
+    const sheet = SpreadsheetApp.openById(spreadsheetId).getSheetByName(SETTINGS_CONFIG.TAB_NAME);
+    if (!sheet || sheet.getLastRow() < 2) {
+      return snapshot;
+    }
+    
+    const rows = sheet.getRange(2, 1, sheet.getLastRow() - 1, 2).getValues();
+    const parsed = parseSettingsRows(rows, 2);
+    
+    snapshot.source = 'sheet';
+    snapshot.values = parsed.values;
+    snapshot.errors = parsed.errors;
+    
+  } catch (error) {
+    console.error('Error reading settings sheet, using code defaults:', error);
+    snapshot.errors.push({ row: null, key: '', value: '', message: error.message });
+  }
+  
+  return snapshot;
+}
+
+/**
+ * Parse and validate Settings sheet rows (pure - no spreadsheet access)
+ * 設定シートの行を解析・検証（スプレッドシートにアクセスしない）
+ *
+ * Blank keys, keys starting with # and blank values are ignored. A list setting replaces the
+ * code default only if at least one of its rows is valid.
+ *
+ * @param {Array} rows - [key, value] rows
+ * @param {number} firstRowNumber - Sheet row number of rows[0] (for error messages)
+ * @returns {Object} - {values: {configPath: value}, errors: [{row, key, value, message}]}
+ */
+function parseSettingsRows(rows, firstRowNumber = 2) {
+  const values = {};
+  const errors = [];
+  
+  rows.forEach((row, index) => {
+    const key = String(row[0] === null || row[0] === undefined ? '' : row[0]).trim();
+    const raw = row[1];
+    
+    if (!key || key.startsWith('#') || raw === '' || raw === null || raw === undefined) {
+      return;
+    }
+    
+    const error = message => errors.push({ row: firstRowNumber + index, key: key, value: String(raw), message: message });
+    
+    const setting = resolveSettingKey(key);
+    if (setting.error) {
+      error(setting.error);
+      return;
+    }
+    
+    try {
+      const value = parseSettingValue(setting.definition, raw);
+      
+      if (setting.definition.TYPE === 'regex_list') {
+        values[setting.path] = (values[setting.path] || []).concat([value]);
+      } else {
+        values[setting.path] = value;
+      }
+    } catch (parseError) {
+      error(parseError.message);
+    }
+  });
+  
+  return { values: values, errors: errors };
+}
+
+/**
+ * Resolve a sheet key to its CONFIG path and definition
+ * 設定キーをCONFIGのパスと定義に変換
+ *
+ * @param {string} key - Sheet key, e.g. 'MAX_EMAILS_PER_RUN' or 'CLOUDSIGN.ENABLE'
+ * @returns {Object} - {path, definition} or {error}
+ */
+function resolveSettingKey(key) {
+  const normalizedKey = key.toUpperCase();
+  
+  if (SETTINGS_CONFIG.SETTINGS[normalizedKey]) {
+    const definition = SETTINGS_CONFIG.SETTINGS[normalizedKey];
+    return { path: definition.PATH, definition: definition };
+  }
+  
+  const separator = normalizedKey.indexOf('.');
+  if (separator > 0) {
+    const type = normalizedKey.substring(0, separator);
+    const definition = SETTINGS_CONFIG.PROVIDER_SETTINGS[normalizedKey.substring(separator + 1)];
+    const providerKey = (CONFIG.SIGNING_PROVIDERS || []).find(name => CONFIG[name] && CONFIG[name].TYPE === type);
+    
+    if (!providerKey) {
+      return { error: `Unknown provider type: ${type}` };
+    }
+    if (!definition) {
+      return { error: `Unknown provider setting (available: ${Object.keys(SETTINGS_CONFIG.PROVIDER_SETTINGS).join(', ')})` };
+    }
+    
+    return { path: `${providerKey}.${definition.PATH}`, definition: definition };
+  }
+  
+  return { error: 'Unknown setting' };
+}
+
+/**
+ * Convert a cell value according to a setting definition
+ * 設定定義に従ってセルの値を変換
+ *
+ * @param {Object} definition - Entry from SETTINGS_CONFIG
+ * @param {*} raw - Cell value (Sheets returns numbers and booleans as such)
+ * @returns {*} - Parsed value
+ * @throws {Error} - When the value is invalid
+ */
+function parseSettingValue(definition, raw) {
+  const text = String(raw).trim();
+  
+  switch (definition.TYPE) {
+    case 'integer': {
+      const number = Number(text);
+      if (!Number.isInteger(number) || number < definition.MIN || number > definition.MAX) {
+        throw new Error(`Expected an integer between ${definition.MIN} and ${definition.MAX}`);
+      }
+      return number;
+    }
+    
+    case 'boolean': {
+      if (raw === true || /^(true|yes|on|1)$/i.test(text)) return true;
+      if (raw === false || /^(false|no|off|0)$/i.test(text)) return false;
+      throw new Error('Expected TRUE or FALSE');
+    }
+    
+    case 'enum': {
+      const value = definition.VALUES.find(option => option.toLowerCase() === text.toLowerCase());
+      if (!value) {
+        throw new Error(`Expected one of: ${definition.VALUES.join(', ')}`);
+      }
+      return value;
+    }
+    
+    case 'regex_list':
+      return parseSettingsRegex(text);
+      
+    default:
+      if (definition.PATTERN && !definition.PATTERN.test(text)) {
+        throw new Error(`Invalid value (expected ${definition.PATTERN})`);
+      }
+      return text;
+  }
+}
+
+/**
+ * Parse a regex cell: "/pattern/flags" or a bare pattern without flags
+ * 正規表現セルを解析（"/pattern/flags" またはフラグなしのパターン）
+ *
+ * @param {string} text - Cell text
+ * @returns {RegExp} - Compiled pattern
+ * @throws {Error} - On invalid syntax or the stateful g/y flags
+ */
+function parseSettingsRegex(text) {
+  const literal = text.match(/^\/(.+)\/([a-z]*)$/);
+  const source = literal ? literal[1] : text;
+  const flags = literal ? literal[2] : '';
+  
+  // test() with g/y keeps lastIndex between messages and silently misses matches
+  if (/[gy]/.test(flags)) {
+    throw new Error('Flags g and y are not supported');
+  }
+  
+  // new RegExp() throws a SyntaxError ("Invalid regular expression: ...") on bad syntax
+  return new RegExp(source, flags);
+}
+
+/**
+ * Overlay a snapshot on CONFIG, restoring code defaults for settings it does not contain
+ * スナップショットをCONFIGに反映（含まれない設定はコードのデフォルトに戻す）
+ *
+ * @param {Object} snapshot - Snapshot from readSettingsSnapshot()
+ */
+function applySettingsSnapshot(snapshot) {
+  Object.keys(settingsCodeDefaults).forEach(path => {
+    setConfigValue(path, settingsCodeDefaults[path]);
+  });
+  
+  Object.keys(snapshot.values).forEach(path => {
+    if (!(path in settingsCodeDefaults)) {
+      settingsCodeDefaults[path] = getConfigValue(path);
+    }
+    setConfigValue(path, snapshot.values[path]);
+  });
+}
+
+/**
+ * Read a dotted CONFIG path, e.g. 'SUBJECT_PATTERNS.MATCH_MODE'
+ * ドット区切りのCONFIGパスの値を取得
+ *
+ * @param {string} path - Dotted path
+ * @returns {*} - Value or undefined
+ */
+function getConfigValue(path) {
+  return path.split('.').reduce((object, key) => (object ? object[key] : undefined), CONFIG);
+}
+
+/**
+ * Write a dotted CONFIG path
+ * ドット区切りのCONFIGパスに値を設定
+ *
+ * @param {string} path - Dotted path
+ * @param {*} value - Value to set
+ */
+function setConfigValue(path, value) {
+  const keys = path.split('.');
+  const parent = keys.slice(0, -1).reduce((object, key) => object[key], CONFIG);
+  parent[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Create the Settings sheet pre-filled with the current code defaults (manual execution)
+ * 現在のコードのデフォルト値で設定シートを作成（手動実行用）
+ *
+ * @returns {string|null} - Sheet URL, or null if no spreadsheet is configured
+ */
+function setupSettingsSheet() {
+  console.log('=== SETUP SETTINGS SHEET ===');
+  
+  try {
+    const spreadsheetId = getProperty('SPREADSHEET_ID', false);
+    if (!spreadsheetId) {
+      console.log('No spreadsheet configured - run initializeContractSpreadsheet() first');
+      return null;
+    }
+    
+    const spreadsheet = SpreadsheetApp.openById(spreadsheetId);
+    let sheet = spreadsheet.getSheetByName(SETTINGS_CONFIG.TAB_NAME);
+    
+    if (sheet) {
+      console.log(`${SETTINGS_CONFIG.TAB_NAME} already exists - edit it directly or delete it to re-seed`);
+      return `${spreadsheet.getUrl()}#gid=${sheet.getSheetId()}`;
+    }
+    
+    // Seed from code defaults, not from a snapshot applied earlier in this run
+    applySettingsSnapshot({ values: {} });
+    activeSettingsSnapshot = null;
+    
+    sheet = spreadsheet.insertSheet(SETTINGS_CONFIG.TAB_NAME);
+    
+    const headers = SETTINGS_CONFIG.HEADERS;
+    const rows = buildDefaultSettingsRows();
+    sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+    
+    // Keep regex and channel cells as plain text
+    sheet.getRange(2, 2, rows.length, 1).setNumberFormat('@');
+    sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+    
+    const headerRange = sheet.getRange(1, 1, 1, headers.length);
+    headerRange.setFontWeight('bold');
+    headerRange.setBackground('#E6F4EA'); // Light green for editable settings
+    
+    sheet.setColumnWidth(1, 220); // Key
+    sheet.setColumnWidth(2, 420); // Value
+    sheet.setColumnWidth(3, 360); // Description
+    sheet.setFrozenRows(1);
+    
+    const url = `${spreadsheet.getUrl()}#gid=${sheet.getSheetId()}`;
+    console.log(`Settings sheet created with ${rows.length} rows: ${url}`);
+    return url;
+    
+  } catch (error) {
+    console.error('Error setting up settings sheet:', error);
+    return null;
+  }
+}
+
+/**
+ * Build the seed rows for the Settings sheet from the current CONFIG
+ * 現在のCONFIGから設定シートの初期行を生成
+ *
+ * @returns {Array} - [key, value, description] rows
+ */
+function buildDefaultSettingsRows() {
+  const rows = [];
+  
+  const addRows = (key, definition, value) => {
+    if (definition.TYPE === 'regex_list') {
+      (value || []).forEach(pattern => rows.push([key, String(pattern), definition.DESCRIPTION]));
+    } else {
+      rows.push([key, value === undefined || value === null ? '' : value, definition.DESCRIPTION]);
+    }
+  };
+  
+  Object.keys(SETTINGS_CONFIG.SETTINGS).forEach(key => {
+    const definition = SETTINGS_CONFIG.SETTINGS[key];
+    
+    // Leave the channel blank so the SLACK_CHANNEL Script Property keeps working
+    addRows(key, definition, key === 'SLACK_CHANNEL' ? '' : getConfigValue(definition.PATH));
+  });
+  
+  getSigningProviders(false).forEach(provider => {
+    Object.keys(SETTINGS_CONFIG.PROVIDER_SETTINGS).forEach(key => {
+      const definition = SETTINGS_CONFIG.PROVIDER_SETTINGS[key];
+      addRows(`${provider.TYPE}.${key}`, definition, provider[definition.PATH]);
+    });
+  });
+  
+  return rows;
+}
+
+/**
+ * Validate the Settings sheet and show what would be applied (manual execution)
+ * 設定シートを検証し、反映される値を表示（手動実行用）
+ *
+ * @returns {Object} - Snapshot from readSettingsSnapshot()
+ */
+function validateSettingsSheet() {
+  console.log('=== VALIDATE SETTINGS SHEET ===');
+  
+  const snapshot = readSettingsSnapshot();
+  
+  if (snapshot.source === 'defaults') {
+    console.log(`No ${SETTINGS_CONFIG.TAB_NAME} tab - code defaults in CONFIG are used (run setupSettingsSheet() to create it)`);
+  }
+  
+  Object.keys(snapshot.values).forEach(path => {
+    const value = snapshot.values[path];
+    console.log(`✓ ${path}: ${Array.isArray(value) ? `${value.length} pattern(s)` : value}`);
+  });
+  
+  snapshot.errors.forEach(error => {
+    console.log(`❌ Row ${error.row || '-'} ${error.key} = "${error.value}": ${error.message}`);
+  });
+  
+  console.log(`\n${Object.keys(snapshot.values).length} valid settings, ${snapshot.errors.length} invalid rows (code defaults used for those)`);
+  return snapshot;
+}
@@ -0,0 +1,276 @@
+/**
+ * Simulation Mode Module
+ *
+ * Runs the decision part of the pipeline - detection, subject patterns, duplicate checks and
+ * metadata extraction - without labels, Drive files, spreadsheet rows or Slack posts, and
+ * reports what processEmails() would do with each message. Use it before changing patterns
+ * in CONFIG. The report goes to the log and optionally to a scratch sheet.
+ */
+
+// === SIMULATION CONFIGURATION ===
+const SIMULATION_CONFIG = {
+  TAB_NAME: 'シミュレーション_Simulation',  // Scratch sheet, cleared on every simulation
+  HEADERS: [
+    '受信日時',           // A: Receipt Date
+    '判定',              // B: Decision (PROCESS / SKIP / ALREADY_PROCESSED)
+    '理由',              // C: Reason code
+    '詳細',              // D: Detail
+    '検出タイプ',          // E: Detected source type
+    '契約管理ツール',      // F: Contract Management Tool
+    '契約タイプ',          // G: Contract Type
+    '契約相手',          // H: Contract Party
+    '契約書名',          // I: Document Title
+    '重複キー',          // J: Envelope or content duplicate key
+    '重複元',            // K: Existing Drive URL when the PDFs are a duplicate
+    '件名',              // L: Subject
+    '送信者',            // M: Sender
+    'メッセージID'       // N: Message ID
+  ]
+};
+
+/**
+ * Simulate processEmails() without side effects (manual execution)
+ * 副作用なしでprocessEmails()の動作をシミュレーション（手動実行用）
+ *
+ * Examples:
+ *   simulateProcessing();                                   // same search as processEmails()
+ *   simulateProcessing({ includeProcessed: true, after: '2024/01/01', toSheet: true });
+ *
+ * @param {Object} options - Optional settings
+ * @param {Date|string} options.after - Only include threads after this date
+ * @param {Date|string} options.before - Only include threads before this date
+ * @param {boolean} options.includeProcessed - Also search threads with the processed/skip labels
+ * @param {number} options.maxThreads - Threads to examine (default: MAX_EMAILS_PER_RUN * 3)
+ * @param {boolean} options.toSheet - Also write the report to the scratch sheet
+ * @returns {Object|null} - {query, decisions, counts}
+ */
+function simulateProcessing(options = {}) {
+  console.log('=== PROCESSING SIMULATION (no changes will be made) ===');
+  
+  try {
+    loadRuntimeSettings();
+    
+    const overrides = {};
+    if (options.after) overrides.after = options.after;
+    if (options.before) overrides.before = options.before;
+    if (options.includeProcessed) overrides.excludeLabels = [];
+    
+    const query = compileGmailQuery(getProcessingQuerySpec(overrides));
+    if (!query) {
+      console.log('No senders or signing providers configured - nothing to search for');
+      return null;
+    }
+    
+    console.log(`Search query: ${query}`);
+    
+    const maxThreads = Math.min(options.maxThreads || CONFIG.MAX_EMAILS_PER_RUN * 3, 500);
+    const threads = GmailApp.search(query, 0, maxThreads);
+    console.log(`Found ${threads.length} threads\n`);
+    
+    const decisions = [];
+    threads.forEach(thread => {
+      thread.getMessages().forEach(message => {
+        if (message.isInTrash()) {
+          return;
+        }
+        
+        const decision = simulateMessage(message);
+        decisions.push(decision);
+        logSimulationDecision(decision);
+      });
+    });
+    
+    const counts = { PROCESS: 0, SKIP: 0, ALREADY_PROCESSED: 0, ERROR: 0 };
+    decisions.forEach(decision => {
+      counts[decision.decision] = (counts[decision.decision] || 0) + 1;
+    });
+    
+    console.log('\n=== SIMULATION SUMMARY ===');
+    console.log(`Messages: ${decisions.length}`);
+    console.log(`Would process: ${counts.PROCESS} (PDF duplicates: ${decisions.filter(d => d.duplicateOf).length})`);
+    console.log(`Would skip: ${counts.SKIP}`);
+    console.log(`Already processed: ${counts.ALREADY_PROCESSED}`);
+    if (counts.ERROR > 0) {
+      console.log(`Errors: ${counts.ERROR}`);
+    }
+    
+    if (options.toSheet) {
+      writeSimulationReport(decisions);
+    }
+    
+    return { query: query, decisions: decisions, counts: counts };
+    
+  } catch (error) {
+    console.error('Error in processing simulation:', error);
+    return null;
+  }
+}
+
+/**
+ * Decide what processEmails() would do with one message (read-only)
+ * 1件のメッセージに対するprocessEmails()の判定を算出（読み取りのみ）
+ *
+ * @param {GmailMessage} message - Gmail message object
+ * @returns {Object} - Decision record (see SIMULATION_CONFIG.HEADERS)
+ */
+function simulateMessage(message) {
+  // Same forwarded-mail handling as processMessage()
+  message = unwrapForwardedMessage(message);
+  
+  const decision = {
+    date: message.getDate(),
+    messageId: message.getId(),
+    sender: message.getFrom(),
+    subject: message.getSubject(),
+    decision: 'SKIP',
+    reason: '',
+    detail: '',
+    sourceType: '',
+    contractTool: '',
+    contractType: '',
+    contractParty: '',
+    documentTitle: '',
+    contentKey: '',
+    duplicateOf: ''
+  };
+  
+  try {
+    if (isMessageAlreadyProcessed(message)) {
+      decision.decision = 'ALREADY_PROCESSED';
+      decision.reason = 'ALREADY_PROCESSED';
+      decision.detail = 'Message ID found in the processed messages sheet';
+      return decision;
+    }
+    
+    const evaluation = evaluateMessage(message);
+    decision.sourceType = evaluation.messageSource.type;
+    decision.reason = evaluation.reason;
+    decision.detail = evaluation.detail;
+    
+    if (!evaluation.shouldProcess) {
+      return decision;
+    }
+    
+    decision.decision = 'PROCESS';
+    
+    // Lifecycle notifications only update the envelope status sheet
+    if (evaluation.reason === 'LIFECYCLE') {
+      decision.contractTool = evaluation.lifecycle.toolName;
+      decision.documentTitle = evaluation.lifecycle.documentName;
+      return decision;
+    }
+    
+    // Same metadata as addEmailRecord()
+    const body = message.getPlainBody();
+    decision.contractTool = extractContractTool(decision.sender);
+    decision.contractType = extractContractType(decision.subject, body);
+    decision.contractParty = extractContractParty(decision.subject, body);
+    decision.documentTitle = extractProviderDocumentTitle(decision.subject, decision.sourceType) || '';
+    
+    // Same duplicate check as processAttachments() (envelope ID first, then content hash)
+    const envelope = getMessageEnvelopeId(message, decision.sourceType);
+    const documentNames = expandArchiveAttachments(message.getAttachments())
+      .map(attachment => attachment.getName())
+      .filter(name => isStoredDocumentName(name));
+      
+    if (documentNames.length > 0) {
+      decision.contentKey = envelope ?
+        generateEnvelopeDuplicateKey(envelope) :
+        generateContentDuplicateKey(decision.sender, decision.date, decision.subject, documentNames);
+      const duplicateInfo = checkContentDuplicate(decision.contentKey);
+      if (duplicateInfo.isDuplicate) {
+        decision.duplicateOf = duplicateInfo.existingUrl || decision.contentKey;
+      }
+    }
+    
+  } catch (error) {
+    console.error('Error simulating message:', error);
+    decision.decision = 'ERROR';
+    decision.reason = 'ERROR';
+    decision.detail = error.message;
+  }
+  
+  return decision;
+}
+
+/**
+ * Print one simulation decision
+ * シミュレーション判定を1件表示
+ *
+ * @param {Object} decision - Decision record from simulateMessage()
+ */
+function logSimulationDecision(decision) {
+  const icon = { PROCESS: '✅', SKIP: '⏭️', ALREADY_PROCESSED: '♻️', ERROR: '❌' }[decision.decision] || '•';
+  
+  console.log(`${icon} ${decision.decision} [${decision.reason}] ${decision.subject}`);
+  console.log(`   From: ${decision.sender} | Type: ${decision.sourceType || '-'}`);
+  
+  if (decision.decision === 'PROCESS' && decision.reason !== 'LIFECYCLE') {
+    console.log(`   Tool: ${decision.contractTool} | Contract type: ${decision.contractType} | Party: ${decision.contractParty}`);
+    if (decision.documentTitle) {
+      console.log(`   Document title: ${decision.documentTitle}`);
+    }
+    if (decision.duplicateOf) {
+      console.log(`   PDFs are a duplicate of ${decision.contentKey} (${decision.duplicateOf}) - would not be saved again`);
+    }
+  } else if (decision.detail) {
+    console.log(`   ${decision.detail}`);
+  }
+}
+
+/**
+ * Write the simulation report to the scratch sheet in the tracking spreadsheet
+ * シミュレーション結果を管理スプレッドシートの作業用シートに書き込み
+ *
+ * @param {Array} decisions - Decision records from simulateMessage()
+ * @returns {string|null} - Sheet URL, or null if no spreadsheet is configured
+ */
+function writeSimulationReport(decisions) {
+  try {
+    const spreadsheetId = getProperty('SPREADSHEET_ID', false);
+    if (!spreadsheetId) {
+      console.log('No spreadsheet configured - report written to the log only');
+      return null;
+    }
+    
+    const spreadsheet = SpreadsheetApp.openById(spreadsheetId);
+    const sheet = spreadsheet.getSheetByName(SIMULATION_CONFIG.TAB_NAME) ||
+                  spreadsheet.insertSheet(SIMULATION_CONFIG.TAB_NAME);
+                  
+    sheet.clear();
+    
+    const headers = SIMULATION_CONFIG.HEADERS;
+    sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+    sheet.getRange(1, 1, 1, headers.length).setFontWeight('bold').setBackground('#EDE7F6');
+    sheet.setFrozenRows(1);
+    
+    const rows = decisions.map(decision => [
+      Utilities.formatDate(decision.date, 'JST', SPREADSHEET_CONFIG.DATE_FORMAT),
+      decision.decision,
+      decision.reason,
+      decision.detail,
+      decision.sourceType,
+      decision.contractTool,
+      decision.contractType,
+      decision.contractParty,
+      decision.documentTitle,
+      decision.contentKey,
+      decision.duplicateOf,
+      decision.subject,
+      decision.sender,
+      decision.messageId
+    ]);
+    
+    if (rows.length > 0) {
+      sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+    }
+    
+    const url = `${spreadsheet.getUrl()}#gid=${sheet.getSheetId()}`;
+    console.log(`Simulation report written to ${SIMULATION_CONFIG.TAB_NAME}: ${url}`);
+    return url;
+    
+  } catch (error) {
+    console.error('Error writing simulation report:', error);
+    return null;
+  }
+}
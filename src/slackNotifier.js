@@ -15,6 +15,8 @@
  * @param {Date} emailData.date - Email date
  * @param {string} emailData.body - Email body (truncated)
  * @param {Array} emailData.attachments - Attachment info array
+ * @param {string} emailData.title - Message title instead of "新着メール: <subject>" (optional)
+ * @param {string} emailData.contractTool - Contract tool, e.g. "Manual" or "Upload" (optional, default: from the sender)
  */
 function sendSlackNotification(emailData) {
   const startTime = new Date().getTime();
@@ -95,7 +97,8 @@ function buildAttachmentText(attachments) {
       // Include folder information if available
       const folderInfo = att.folderPath ? ` in ${att.folderPath}` : '';
       const folderLink = att.folderUrl ? ` | <${att.folderUrl}|📁 Folder>` : '';
-      return `• ✅ ${att.originalName} (${formatFileSize(att.size)})${folderInfo} - <${att.driveUrl}|📄 File>${folderLink}`;
+      const roleLabel = att.documentRole === 'audit' ? ' [監査証跡]' : '';
+      return `• ✅ ${att.originalName}${roleLabel} (${formatFileSize(att.size)})${folderInfo} - <${att.driveUrl}|📄 File>${folderLink}`;
     }
   });
   
@@ -129,7 +132,7 @@ function buildSlackMessage(emailData, attachmentText) {
     icon_emoji: ':email:',
     attachments: [{
       color: messageColor,
-      title: `📧 新着メール: ${emailData.subject}`,
+      title: emailData.title || `📧 新着メール: ${emailData.subject}`,
       title_link: `mailto:${emailData.sender}`,
       fields: [
         {
@@ -142,6 +145,16 @@ function buildSlackMessage(emailData, attachmentText) {
           value: Utilities.formatDate(emailData.date, 'JST', 'yyyy/MM/dd HH:mm:ss'),
           short: true
         },
+        {
+          title: '🛠️ 契約管理ツール',
+          value: emailData.contractTool || extractContractTool(emailData.sender),
+          short: true
+        },
+        ...(emailData.forwardedBy ? [{
+          title: '↪️ 転送者',
+          value: emailData.forwardedBy,
+          short: true
+        }] : []),
         {
           title: '📝 本文（抜粋）',
           value: emailData.body || '_本文なし_',
@@ -10,6 +10,7 @@ const SPREADSHEET_CONFIG = {
   NAME: '契約管理_Contract_Tracking',
   TAB_NAME: '契約一覧_Contract_List',
   PROCESSED_TAB_NAME: '処理済みメッセージ_Processed_Messages', // New tab for processed message tracking
+  SKIPPED_TAB_NAME: 'スキップ_Skipped_Messages', // Ledger of skip decisions (why a message was not processed)
   HEADERS: [
     '受信日時',           // A: Receipt Date
     '契約管理ツール',      // B: Contract Management Tool
@@ -24,7 +25,15 @@ const SPREADSHEET_CONFIG = {
     'Slack通知済み',     // K: Slack Notified
     '本文要約',          // L: Body Summary
     'メッセージID',      // M: Message ID
-    'エラーログ'         // N: Error Log
+    'エラーログ',        // N: Error Log
+    '契約書名',          // O: Document Title (agreement name parsed from provider subject)
+    '転送者',            // P: Forwarded By (colleague who forwarded the original email)
+    '転送日時',          // Q: Forwarded At
+    'エンベロープID',     // R: Envelope/Document ID (DocuSign envelope, Dropbox Sign request, CloudSign document)
+    'ファイル形式',        // S: File Types (PDF, DOCX, PDF (DOCX) for converted copies, ...)
+    '監査証跡リンク',      // T: Certificate of Completion / Audit Trail Links (stored in the audit/ subfolder)
+    '契約開始日',          // U: Effective Date (upload form)
+    '担当者'              // V: Owner (upload form)
   ],
   PROCESSED_HEADERS: [
     '処理日時',          // A: Processing Date
@@ -44,6 +53,17 @@ const SPREADSHEET_CONFIG = {
     'DriveフォルダURL',    // G: Drive Folder URL
     '初回保存日時'      // H: First Save Date
   ],
+  SKIPPED_HEADERS: [
+    '記録日時',          // A: Recorded At
+    'メッセージID',      // B: Message ID
+    '受信日時',           // C: Receipt Date
+    '送信者',            // D: Sender
+    '件名',              // E: Subject
+    '検出タイプ',          // F: Detection Type (FILTERED_OUT, UNKNOWN, DOCUSIGN, ...)
+    '理由コード',          // G: Reason Code (FILTERED_OUT, EXCLUDED, UNKNOWN, ERROR, SUBJECT_MISMATCH)
+    '確認パターン',        // H: Patterns Checked
+    '詳細'               // I: Detail
+  ],
   MAX_BODY_LENGTH: 1000,  // Maximum characters for body summary (longer for contracts)
   DATE_FORMAT: 'yyyy/MM/dd HH:mm:ss'
 };
@@ -305,6 +325,212 @@ function createOrGetContentDuplicateSheet(spreadsheet) {
   }
 }
 
+/**
+ * Create or get the skipped messages ledger sheet
+ * スキップしたメッセージの記録シートを作成または取得
+ * 
+ * @param {Spreadsheet} spreadsheet - The main spreadsheet object
+ * @returns {Sheet} - The skipped messages sheet
+ */
+function createOrGetSkippedSheet(spreadsheet) {
+  try {
+    let skippedSheet = spreadsheet.getSheetByName(SPREADSHEET_CONFIG.SKIPPED_TAB_NAME);
+    
+    if (!skippedSheet) {
+      console.log('Creating skipped messages ledger sheet...');
+      skippedSheet = spreadsheet.insertSheet(SPREADSHEET_CONFIG.SKIPPED_TAB_NAME);
+      
+      // Set headers
+      const headers = SPREADSHEET_CONFIG.SKIPPED_HEADERS;
+      skippedSheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+      
+      // Format header row
+      const headerRange = skippedSheet.getRange(1, 1, 1, headers.length);
+      headerRange.setFontWeight('bold');
+      headerRange.setBackground('#FCE8E6'); // Light red for skip decisions
+      
+      // Set column widths for better readability
+      skippedSheet.setColumnWidth(1, 150); // Recorded At
+      skippedSheet.setColumnWidth(2, 200); // Message ID
+      skippedSheet.setColumnWidth(3, 150); // Receipt Date
+      skippedSheet.setColumnWidth(4, 200); // Sender
+      skippedSheet.setColumnWidth(5, 300); // Subject
+      skippedSheet.setColumnWidth(6, 130); // Detection Type
+      skippedSheet.setColumnWidth(7, 150); // Reason Code
+      skippedSheet.setColumnWidth(8, 300); // Patterns Checked
+      skippedSheet.setColumnWidth(9, 300); // Detail
+      
+      // Freeze header row
+      skippedSheet.setFrozenRows(1);
+      
+      console.log('Skipped messages ledger sheet created');
+    }
+    
+    return skippedSheet;
+    
+  } catch (error) {
+    console.error('Error creating/getting skipped messages sheet:', error);
+    throw error;
+  }
+}
+
+/**
+ * Record why a message was skipped in the ledger sheet
+ * メッセージをスキップした理由を記録シートに追加
+ * 
+ * A message that is already in the ledger is not added again, so backfill re-runs and re-scans
+ * keep one row per message.
+ * 
+ * @param {GmailMessage} message - Gmail message object
+ * @param {Object} evaluation - Result of evaluateMessage()
+ * @param {Set} knownMessageIds - Message IDs already recorded, e.g. from getTrackedMessageIds() (optional, read from the ledger otherwise)
+ * @returns {boolean} - Success status (true if the message is in the ledger)
+ */
+function recordSkippedMessage(message, evaluation, knownMessageIds = null) {
+  try {
+    const spreadsheetId = getProperty('SPREADSHEET_ID', false);
+    if (!spreadsheetId || !CONFIG.ENABLE_SPREADSHEET_LOGGING) {
+      return false;
+    }
+    
+    const spreadsheet = SpreadsheetApp.openById(spreadsheetId);
+    const skippedSheet = createOrGetSkippedSheet(spreadsheet);
+    const messageId = message.getId();
+    
+    const recordedIds = knownMessageIds || getSkippedLedgerMessageIds(skippedSheet);
+    if (recordedIds.has(messageId)) {
+      console.log(`Skip already recorded in ${SPREADSHEET_CONFIG.SKIPPED_TAB_NAME}: ${messageId}`);
+      return true;
+    }
+    
+    const checkedPatterns = evaluation.patternMatch && evaluation.patternMatch.checkedPatterns
+      ? evaluation.patternMatch.checkedPatterns.join('\n')
+      : '';
+    
+    skippedSheet.appendRow([
+      Utilities.formatDate(new Date(), 'JST', SPREADSHEET_CONFIG.DATE_FORMAT),   // A: 記録日時
+      messageId,                                                                // B: メッセージID
+      Utilities.formatDate(message.getDate(), 'JST', SPREADSHEET_CONFIG.DATE_FORMAT), // C: 受信日時
+      message.getFrom(),                                                        // D: 送信者
+      message.getSubject(),                                                     // E: 件名
+      evaluation.messageSource.type,                                            // F: 検出タイプ
+      evaluation.reason,                                                        // G: 理由コード
+      checkedPatterns,                                                          // H: 確認パターン
+      evaluation.detail || ''                                                   // I: 詳細
+    ]);
+    
+    recordedIds.add(messageId);
+    console.log(`Skip recorded in ${SPREADSHEET_CONFIG.SKIPPED_TAB_NAME}: ${evaluation.reason}`);
+    return true;
+    
+  } catch (error) {
+    console.error('Error recording skipped message:', error);
+    return false;
+  }
+}
+
+/**
+ * Get the message IDs recorded in the skip ledger
+ * スキップ記録シートに記録済みのメッセージIDを取得
+ * 
+ * @param {Sheet} skippedSheet - Sheet from createOrGetSkippedSheet()
+ * @returns {Set} - Message IDs (column B)
+ */
+function getSkippedLedgerMessageIds(skippedSheet) {
+  if (skippedSheet.getLastRow() <= 1) {
+    return new Set();
+  }
+  
+  return new Set(skippedSheet.getRange(2, 2, skippedSheet.getLastRow() - 1, 1).getValues().map(row => row[0]));
+}
+
+/**
+ * Get skip statistics from the ledger sheet
+ * 記録シートからスキップ統計を取得
+ * 
+ * @param {number} recentCount - Number of most recent entries to return
+ * @returns {Object} - {total, byReason, byType, recent}
+ */
+function getSkippedMessageStats(recentCount = 5) {
+  const stats = { total: 0, byReason: {}, byType: {}, recent: [] };
+  
+  try {
+    const spreadsheetId = getProperty('SPREADSHEET_ID', false);
+    if (!spreadsheetId) {
+      return stats;
+    }
+    
+    const spreadsheet = SpreadsheetApp.openById(spreadsheetId);
+    const skippedSheet = spreadsheet.getSheetByName(SPREADSHEET_CONFIG.SKIPPED_TAB_NAME);
+    if (!skippedSheet || skippedSheet.getLastRow() <= 1) {
+      return stats;
+    }
+    
+    const data = skippedSheet.getRange(2, 1, skippedSheet.getLastRow() - 1, SPREADSHEET_CONFIG.SKIPPED_HEADERS.length).getValues();
+    
+    data.forEach(row => {
+      stats.total++;
+      stats.byType[row[5]] = (stats.byType[row[5]] || 0) + 1;
+      stats.byReason[row[6]] = (stats.byReason[row[6]] || 0) + 1;
+    });
+    
+    stats.recent = data.slice(-recentCount).reverse().map(row => ({
+      recordedAt: row[0],
+      messageId: row[1],
+      sender: row[3],
+      subject: row[4],
+      type: row[5],
+      reason: row[6]
+    }));
+    
+    return stats;
+    
+  } catch (error) {
+    console.error('Error getting skipped message stats:', error);
+    return stats;
+  }
+}
+
+/**
+ * Get the IDs of all messages already handled, from the processed sheet and the skip ledger
+ * 処理済みシートとスキップ記録から、処理済み・スキップ済みの全メッセージIDを取得
+ * 
+ * Reads each sheet once, so a thread re-scan can check many messages without a sheet read
+ * per message.
+ * 
+ * @returns {Set} - Message IDs (empty if no spreadsheet is configured)
+ */
+function getTrackedMessageIds() {
+  const messageIds = new Set();
+  
+  try {
+    const spreadsheetId = getProperty('SPREADSHEET_ID', false);
+    if (!spreadsheetId) {
+      return messageIds;
+    }
+    
+    const spreadsheet = SpreadsheetApp.openById(spreadsheetId);
+    const sheets = [
+      createOrGetProcessedSheet(spreadsheet),                               // Column B: Message ID
+      spreadsheet.getSheetByName(SPREADSHEET_CONFIG.SKIPPED_TAB_NAME)       // Column B: Message ID
+    ];
+    
+    sheets.forEach(sheet => {
+      if (!sheet || sheet.getLastRow() <= 1) {
+        return;
+      }
+      
+      sheet.getRange(2, 2, sheet.getLastRow() - 1, 1).getValues()
+        .forEach(row => messageIds.add(row[0]));
+    });
+    
+  } catch (error) {
+    console.error('Error reading tracked message IDs:', error);
+  }
+  
+  return messageIds;
+}
+
 /**
  * Check if a message has already been processed by checking the spreadsheet
  * スプレッドシートでメッセージが既に処理済みかどうかをチェック
@@ -402,6 +628,11 @@ function markMessageProcessedInSpreadsheet(messageId, subject, sender, contentKe
  * @returns {number} Number of entries removed
  */
 function cleanupOldProcessedEntriesFromSpreadsheet(daysOld = 30) {
+  const scriptLock = acquireScriptLock('cleanupOldProcessedEntriesFromSpreadsheet');
+  if (!scriptLock) {
+    return 0;
+  }
+  
   try {
     console.log(`Cleaning up processed entries older than ${daysOld} days from spreadsheet...`);
     
@@ -443,6 +674,8 @@ function cleanupOldProcessedEntriesFromSpreadsheet(daysOld = 30) {
   } catch (error) {
     console.error('Error cleaning up old processed entries from spreadsheet:', error);
     return 0;
+  } finally {
+    releaseScriptLock(scriptLock);
   }
 }
 
@@ -597,6 +830,14 @@ function setupSheetHeaders(sheet) {
     sheet.setColumnWidth(12, 400); // 本文要約 - Body Summary
     sheet.setColumnWidth(13, 200); // メッセージID - Message ID
     sheet.setColumnWidth(14, 300); // エラーログ - Error Log
+    sheet.setColumnWidth(15, 300); // 契約書名 - Document Title
+    sheet.setColumnWidth(16, 250); // 転送者 - Forwarded By
+    sheet.setColumnWidth(17, 150); // 転送日時 - Forwarded At
+    sheet.setColumnWidth(18, 300); // エンベロープID - Envelope/Document ID
+    sheet.setColumnWidth(19, 120); // ファイル形式 - File Types
+    sheet.setColumnWidth(20, 300); // 監査証跡リンク - Audit Trail Links
+    sheet.setColumnWidth(21, 120); // 契約開始日 - Effective Date
+    sheet.setColumnWidth(22, 200); // 担当者 - Owner
     
     console.log('Headers setup completed');
     
@@ -628,19 +869,27 @@ function addEmailRecord(emailData) {
     // Prepare contract tracking row data
     const rowData = [
       Utilities.formatDate(emailData.date, 'JST', SPREADSHEET_CONFIG.DATE_FORMAT),  // A: 受信日時
-      extractContractTool(emailData.sender),                                          // B: 契約管理ツール
+      emailData.contractTool || extractContractTool(emailData.sender),               // B: 契約管理ツール
       emailData.sender,                                                               // C: 送信者メール
       emailData.recipient || '',                                                      // D: 受信メール
       emailData.subject,                                                              // E: 件名
-      extractContractType(emailData.subject, emailData.body),                        // F: 契約タイプ
-      extractContractParty(emailData.subject, emailData.body),                       // G: 契約相手
+      emailData.contractType || extractContractType(emailData.subject, emailData.body),    // F: 契約タイプ
+      emailData.contractParty || extractContractParty(emailData.subject, emailData.body),  // G: 契約相手
       emailData.pdfFilename || '',                                                    // H: PDFファイル名
       emailData.pdfDirectLinks || '',                                                 // I: PDF直接リンク
       emailData.status || 'Processing',                                              // J: 処理状態
       emailData.slackNotified ? 'Yes' : 'No',                                        // K: Slack通知済み
       truncateBody(emailData.body),                                                   // L: 本文要約
       emailData.messageId,                                                            // M: メッセージID
-      emailData.error || ''                                                           // N: エラーログ
+      emailData.error || '',                                                          // N: エラーログ
+      emailData.documentTitle || '',                                                  // O: 契約書名
+      emailData.forwardedBy || '',                                                    // P: 転送者
+      emailData.forwardedAt ? Utilities.formatDate(emailData.forwardedAt, 'JST', SPREADSHEET_CONFIG.DATE_FORMAT) : '',  // Q: 転送日時
+      emailData.envelopeId || '',                                                     // R: エンベロープID
+      emailData.fileTypes || '',                                                      // S: ファイル形式
+      emailData.auditLinks || '',                                                     // T: 監査証跡リンク
+      emailData.effectiveDate || '',                                                  // U: 契約開始日
+      emailData.owner || ''                                                           // V: 担当者
     ];
     
     // Append row
@@ -720,6 +969,9 @@ function updateRecordStatus(messageId, updates) {
       if (updates.status === 'Success') {
         statusCell.setBackground('#d4edda');
         statusCell.setFontColor('#155724');
+      } else if (updates.status === 'Document Pending') {
+        statusCell.setBackground('#fff3cd');
+        statusCell.setFontColor('#856404');
       } else if (updates.status === 'Error') {
         statusCell.setBackground('#f8d7da');
         statusCell.setFontColor('#721c24');
@@ -734,6 +986,14 @@ function updateRecordStatus(messageId, updates) {
       sheet.getRange(rowIndex, 8).setValue(updates.pdfFilename);  // Column H: PDF Filename
     }
     
+    if (updates.fileTypes !== undefined) {
+      sheet.getRange(rowIndex, 19).setValue(updates.fileTypes);  // Column S: File Types
+    }
+    
+    if (updates.auditLinks !== undefined) {
+      sheet.getRange(rowIndex, 20).setValue(updates.auditLinks);  // Column T: Audit Trail Links
+    }
+    
     if (updates.slackNotified !== undefined) {
       sheet.getRange(rowIndex, 11).setValue(updates.slackNotified ? 'Yes' : 'No');  // Column K: Slack Notified
     }
@@ -756,54 +1016,125 @@ function updateRecordStatus(messageId, updates) {
   }
 }
 
+/**
+ * Map a contract sheet row to a record (pure function)
+ * 契約一覧シートの行をレコードに変換（純粋関数）
+ * 
+ * @param {Array} row - Row values (columns A-V)
+ * @param {number} rowNumber - 1-based sheet row number
+ * @returns {Object} - Record data
+ */
+function buildContractRecord(row, rowNumber) {
+  return {
+    row: rowNumber,
+    date: row[0],              // A: 受信日時
+    contractTool: row[1],      // B: 契約管理ツール
+    sender: row[2],            // C: 送信者メール
+    recipient: row[3],         // D: 受信メール
+    subject: row[4],           // E: 件名
+    contractType: row[5],      // F: 契約タイプ
+    contractParty: row[6],     // G: 契約相手
+    pdfFilename: row[7],       // H: PDFファイル名
+    pdfDirectLinks: row[8],    // I: PDF直接リンク
+    status: row[9],            // J: 処理状態
+    slackNotified: row[10] === 'Yes',  // K: Slack通知済み
+    bodySummary: row[11],      // L: 本文要約
+    messageId: row[12],        // M: メッセージID
+    errorLog: row[13],         // N: エラーログ
+    documentTitle: row[14] || '',  // O: 契約書名
+    forwardedBy: row[15] || '',    // P: 転送者
+    forwardedAt: row[16] || '',    // Q: 転送日時
+    envelopeId: row[17] || '',     // R: エンベロープID
+    fileTypes: row[18] || '',      // S: ファイル形式
+    auditLinks: row[19] || '',     // T: 監査証跡リンク
+    effectiveDate: row[20] || '',  // U: 契約開始日
+    owner: row[21] || ''           // V: 担当者
+  };
+}
+
+/**
+ * Read every record of the contract sheet
+ * 契約一覧シートの全レコードを取得
+ * 
+ * Read failures are not caught, so API callers can tell an unreadable sheet from an empty one.
+ * 
+ * @returns {Array<Object>} - Records in sheet order (empty if the sheet is missing)
+ * @throws {Error} - When the spreadsheet cannot be read
+ */
+function getContractRecords() {
+  const spreadsheetId = getProperty('SPREADSHEET_ID');
+  const spreadsheet = SpreadsheetApp.openById(spreadsheetId);
+  const sheet = spreadsheet.getSheetByName(SPREADSHEET_CONFIG.TAB_NAME);
+  
+  if (!sheet) {
+    return [];
+  }
+  
+  return sheet.getDataRange().getValues()
+    .slice(1)  // Skip header row
+    .map((row, index) => buildContractRecord(row, index + 2));
+}
+
 /**
  * Search for record by message ID
  * メッセージIDでレコードを検索
  * 
+ * Read failures are not caught, so a missing record (null) is never confused with an unreadable sheet.
+ * 
  * @param {string} messageId - Gmail message ID
  * @returns {Object|null} - Record data or null
+ * @throws {Error} - When the spreadsheet cannot be read
  */
 function searchRecordByMessageId(messageId) {
-  try {
-    const spreadsheetId = getProperty('SPREADSHEET_ID');
-    const spreadsheet = SpreadsheetApp.openById(spreadsheetId);
-    const sheet = spreadsheet.getSheetByName(SPREADSHEET_CONFIG.TAB_NAME);
-    
-    if (!sheet) {
-      return null;
-    }
-    
-    const dataRange = sheet.getDataRange();
-    const values = dataRange.getValues();
-    
-    for (let i = 1; i < values.length; i++) {  // Skip header row
-      if (values[i][12] === messageId) {  // Column M (index 12) is Message ID in new format
-        return {
-          row: i + 1,
-          date: values[i][0],              // A: 受信日時
-          contractTool: values[i][1],      // B: 契約管理ツール
-          sender: values[i][2],            // C: 送信者メール
-          recipient: values[i][3],         // D: 受信メール
-          subject: values[i][4],           // E: 件名
-          contractType: values[i][5],      // F: 契約タイプ
-          contractParty: values[i][6],     // G: 契約相手
-          pdfFilename: values[i][7],       // H: PDFファイル名
-          pdfDirectLinks: values[i][8],    // I: PDF直接リンク
-          status: values[i][9],            // J: 処理状態
-          slackNotified: values[i][10] === 'Yes',  // K: Slack通知済み
-          bodySummary: values[i][11],      // L: 本文要約
-          messageId: values[i][12],        // M: メッセージID
-          errorLog: values[i][13]          // N: エラーログ
-        };
-      }
-    }
-    
+  const spreadsheetId = getProperty('SPREADSHEET_ID');
+  const spreadsheet = SpreadsheetApp.openById(spreadsheetId);
+  const sheet = spreadsheet.getSheetByName(SPREADSHEET_CONFIG.TAB_NAME);
+  
+  if (!sheet) {
     return null;
-    
-  } catch (error) {
-    console.error('Error searching for record:', error);
+  }
+  
+  const dataRange = sheet.getDataRange();
+  const values = dataRange.getValues();
+  
+  for (let i = 1; i < values.length; i++) {  // Skip header row
+    if (values[i][12] === messageId) {  // Column M (index 12) is Message ID in new format
+      return buildContractRecord(values[i], i + 1);
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Find the contract record of a provider envelope / document ID (pure function)
+ * プロバイダーのエンベロープID・文書IDに対応する契約レコードを検索（純粋関数）
+ * 
+ * The first row of an envelope wins: it holds the Drive links, later copies only "Duplicate".
+ * 
+ * @param {Array<Object>} records - Records from getContractRecords()
+ * @param {string} envelopeId - Envelope/document ID (normalized before comparing)
+ * @returns {Object|null} - Record or null
+ */
+function findRecordByEnvelopeId(records, envelopeId) {
+  const key = envelopeId ? normalizeEnvelopeId(String(envelopeId)) : '';
+  if (!key) {
     return null;
   }
+  
+  return records.find(record => record.envelopeId && String(record.envelopeId) === key) || null;
+}
+
+/**
+ * Search for record by envelope ID
+ * エンベロープIDでレコードを検索
+ * 
+ * @param {string} envelopeId - Envelope/document ID (エンベロープID column)
+ * @returns {Object|null} - Record data or null
+ * @throws {Error} - When the spreadsheet cannot be read
+ */
+function searchRecordByEnvelopeId(envelopeId) {
+  return findRecordByEnvelopeId(getContractRecords(), envelopeId);
 }
 
 /**
@@ -1586,11 +1917,9 @@ function extractContractTool(senderEmail) {
     if (email.includes('contracttool9')) return 'Contract Tool 9';
     if (email.includes('contracttool10')) return 'Contract Tool 10';
     
-    // Check for Dropbox Sign/HelloSign patterns in sender field
-    if (email.includes('via dropbox sign') || email.includes("'dropbox sign' via")) return 'Dropbox Sign';
-    if (email.includes('via hellosign') || email.includes("'hellosign' via")) return 'HelloSign';
-    if (email.includes('hellosign.com')) return 'HelloSign/Dropbox Sign';
-    if (email.includes('docusign')) return 'DocuSign';
+    // Check registered signing providers (Docusign, Dropbox Sign/HelloSign, ...)
+    const providerToolName = getProviderToolName(senderEmail);
+    if (providerToolName) return providerToolName;
     
     // Extract domain for unknown tools
     const domain = email.split('@')[1];
@@ -1658,11 +1987,10 @@ function extractContractParty(subject, body) {
   try {
     const text = `${subject} ${body}`;
     
-    // CloudSign specific patterns - extract from subject like "Company1_覚書Company2"
-    const cloudSignMatch = subject.match(/^「?([^_」]+)_[^_]+_?([^」]+)?」?の合意締結が完了しました$/);
-    if (cloudSignMatch) {
-      // Return the first company name found
-      return cloudSignMatch[1].trim();
+    // Provider title parsing - e.g. CloudSign 「<管理番号>_<書類名>_<相手方>」 subjects
+    const parsedSubject = parseProviderSubject(subject);
+    if (parsedSubject && parsedSubject.counterparty) {
+      return parsedSubject.counterparty;
     }
     
     // Common patterns for company names
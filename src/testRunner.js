@@ -430,6 +430,9 @@ function quickHealthCheck() {
     const triggers = getTriggerInfo();
     console.log(`✓ Active triggers: ${triggers.length}`);
     
+    console.log('Checking script lock...');
+    showScriptLockStatus();
+    
     console.log('✅ Health check PASSED - System operational');
     
   } catch (error) {
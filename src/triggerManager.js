@@ -72,6 +72,9 @@ function deleteExistingTriggers() {
       console.log('✓ No existing triggers found');
     }
     
+    // Pending one-off continuation runs belong to the same schedule
+    deleteContinuationTriggers();
+    
     // Clear trigger tracking properties
     try {
       PropertiesService.getScriptProperties().deleteProperty('TRIGGER_ID');
@@ -198,6 +201,78 @@ function checkTriggerHealth() {
   }
 }
 
+/**
+ * Schedule a one-off continuation run after the time budget was reached
+ * 時間予算到達後の一回限りの継続実行をスケジュール
+ * 
+ * Uses a separate handler so getTriggerInfo() and checkTriggerHealth() keep seeing
+ * exactly one recurring processEmails trigger.
+ * 
+ * @returns {boolean} - True if a continuation trigger is scheduled
+ */
+function scheduleContinuationTrigger() {
+  try {
+    const existing = ScriptApp.getProjectTriggers()
+      .filter(trigger => trigger.getHandlerFunction() === 'continueProcessEmails');
+    
+    if (existing.length > 0) {
+      console.log('Continuation trigger already scheduled');
+      return true;
+    }
+    
+    const trigger = ScriptApp.newTrigger('continueProcessEmails')
+      .timeBased()
+      .after(CONFIG.CONTINUATION_DELAY_MINUTES * 60 * 1000)
+      .create();
+    
+    console.log(`✓ Continuation trigger scheduled in ${CONFIG.CONTINUATION_DELAY_MINUTES} minute(s): ${trigger.getUniqueId()}`);
+    return true;
+    
+  } catch (error) {
+    console.error('Error scheduling continuation trigger:', error);
+    // Not critical - the recurring trigger picks up the remaining work
+    return false;
+  }
+}
+
+/**
+ * Continuation trigger handler - remove the one-off trigger and resume processing
+ * 継続トリガーのハンドラー - 一回限りのトリガーを削除して処理を再開
+ */
+function continueProcessEmails() {
+  deleteContinuationTriggers();
+  processEmails();
+}
+
+/**
+ * Delete one-off continuation triggers
+ * 一回限りの継続トリガーを削除
+ * 
+ * @returns {number} - Number of deleted triggers
+ */
+function deleteContinuationTriggers() {
+  try {
+    let deletedCount = 0;
+    
+    ScriptApp.getProjectTriggers().forEach(trigger => {
+      if (trigger.getHandlerFunction() === 'continueProcessEmails') {
+        ScriptApp.deleteTrigger(trigger);
+        deletedCount++;
+      }
+    });
+    
+    if (deletedCount > 0) {
+      console.log(`✓ Deleted ${deletedCount} continuation trigger(s)`);
+    }
+    
+    return deletedCount;
+    
+  } catch (error) {
+    console.error('Error deleting continuation triggers:', error);
+    return 0;
+  }
+}
+
 /**
  * Send trigger status notification to Slack
  * トリガー状態の通知をSlackに送信
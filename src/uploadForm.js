@@ -0,0 +1,330 @@
+/**
+ * Upload Form Module
+ *
+ * HtmlService web app for contracts signed outside any e-sign tool (e.g. scanned wet-ink
+ * contracts from the offices). doGet() serves the form; the browser reads the PDF and posts it
+ * base64-encoded with the contract details to doPost(). The PDF is stored through
+ * processAttachments() (same DRIVE_LAYOUT and duplicate check as email), recorded in the
+ * contract list with the tool "Upload" and announced through sendSlackNotification().
+ *
+ * Deploy with Deploy > New deployment > Web app (see webapp in appsscript.json). The same
+ * deployment serves the read-only contract API (contractApi.js).
+ */
+
+// === UPLOAD FORM CONFIGURATION ===
+const UPLOAD_FORM_CONFIG = {
+  TITLE: '契約書アップロード / Contract Upload',
+  TOOL_NAME: 'Upload',                 // 契約管理ツール column
+  MESSAGE_ID_PREFIX: 'UPLOAD_',        // メッセージID column (uploads have no Gmail message)
+  MAX_FILE_BYTES: 10 * 1024 * 1024,    // Larger files are rejected (the form posts base64)
+  LOCK_WAIT_SECONDS: 3,                // Short wait for the script lock - the user is waiting for the page
+  
+  // Suggestions for the contract type field (same names as extractContractType())
+  CONTRACT_TYPES: [
+    '業務委託契約', '秘密保持契約', '売買契約', '賃貸借契約', 'サービス契約',
+    'パートナー契約', 'ライセンス契約', '雇用契約', '覚書', '個別契約', '一般契約'
+  ]
+};
+
+/**
+ * Web app GET: serve the upload form, or the contract API for requests with an api parameter
+ * WebアプリのGET: アップロードフォームを表示（apiパラメータ付きは契約APIへ）
+ *
+ * @param {Object} e - Web app event
+ * @returns {HtmlOutput|TextOutput} - Upload form page or API JSON
+ */
+function doGet(e) {
+  if (e && e.parameter && e.parameter.api) {
+    return serveContractApi(e);
+  }
+  
+  return HtmlService.createHtmlOutput(buildUploadFormHtml(ScriptApp.getService().getUrl()))
+    .setTitle(UPLOAD_FORM_CONFIG.TITLE);
+}
+
+/**
+ * Web app POST: store and record an uploaded contract
+ * WebアプリのPOST: アップロードされた契約書を保存・記録
+ *
+ * @param {Object} e - Web app event (e.parameter holds the form fields)
+ * @returns {HtmlOutput} - Result page
+ */
+function doPost(e) {
+  const submission = parseUploadSubmission((e && e.parameter) || {});
+  
+  const result = submission.errors.length > 0 ?
+    { success: false, error: submission.errors.join(' / ') } :
+    processContractUpload(submission.upload, Session.getActiveUser().getEmail() || 'unknown');
+    
+  return HtmlService.createHtmlOutput(buildUploadResultHtml(result, ScriptApp.getService().getUrl()))
+    .setTitle(UPLOAD_FORM_CONFIG.TITLE);
+}
+
+/**
+ * Validate the posted form fields
+ * 送信されたフォーム項目を検証
+ *
+ * @param {Object} parameter - e.parameter: fileName, fileData (base64), counterparty, contractType, effectiveDate, owner, notes
+ * @returns {Object} - {upload: {fileName, bytes, counterparty, contractType, effectiveDate, owner, notes}, errors: Array<string>}
+ */
+function parseUploadSubmission(parameter) {
+  const field = name => String(parameter[name] || '').trim();
+  const errors = [];
+  
+  const upload = {
+    fileName: field('fileName').replace(/[\\/:*?"<>|]/g, '_'),
+    bytes: [],
+    counterparty: field('counterparty'),
+    contractType: field('contractType'),
+    effectiveDate: field('effectiveDate'),
+    owner: field('owner'),
+    notes: field('notes')
+  };
+  
+  try {
+    upload.bytes = field('fileData') ? Utilities.base64Decode(field('fileData')) : [];
+  } catch (error) {
+    errors.push('ファイルを読み取れません');
+  }
+  
+  if (!/\.pdf$/i.test(upload.fileName) || upload.bytes.length === 0) {
+    errors.push('PDFファイルを選択してください');
+  } else if (!isPdfContent(upload.bytes)) {
+    errors.push('PDFファイルではありません');
+  } else if (upload.bytes.length > UPLOAD_FORM_CONFIG.MAX_FILE_BYTES) {
+    errors.push(`ファイルサイズが上限（${formatFileSize(UPLOAD_FORM_CONFIG.MAX_FILE_BYTES)}）を超えています`);
+  }
+  
+  if (!upload.counterparty) errors.push('契約相手を入力してください');
+  if (!upload.contractType) errors.push('契約タイプを入力してください');
+  if (!upload.owner) errors.push('担当者を入力してください');
+  
+  const dateMatch = upload.effectiveDate.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const effectiveDate = dateMatch ? new Date(Number(dateMatch[1]), Number(dateMatch[2]) - 1, Number(dateMatch[3])) : null;
+  if (!effectiveDate || effectiveDate.getMonth() !== Number(dateMatch[2]) - 1) {
+    errors.push('契約開始日をYYYY-MM-DD形式で入力してください');
+  } else {
+    upload.effectiveDate = `${dateMatch[1]}/${dateMatch[2]}/${dateMatch[3]}`;
+  }
+  
+  return { upload: upload, errors: errors };
+}
+
+/**
+ * Store an uploaded contract, record it in the contract list and notify Slack
+ * アップロードされた契約書を保存し、契約一覧に記録してSlackに通知
+ *
+ * @param {Object} upload - Validated upload from parseUploadSubmission()
+ * @param {string} uploadedBy - Email address of the uploading user
+ * @returns {Object} - {success, messageId, status, attachments} or {success: false, error, retry}
+ */
+function processContractUpload(upload, uploadedBy) {
+  // A processEmails() run can hold the lock for minutes - don't keep the browser waiting
+  const scriptLock = acquireScriptLock('processContractUpload', UPLOAD_FORM_CONFIG.LOCK_WAIT_SECONDS);
+  if (!scriptLock) {
+    return {
+      success: false,
+      retry: true,
+      error: 'メール処理の実行中です。1〜2分後にもう一度アップロードしてください / Email processing is running, please upload again in a minute or two'
+    };
+  }
+  
+  try {
+    console.log(`--- Processing Upload: ${upload.fileName} (${uploadedBy}) ---`);
+    
+    const date = new Date();
+    const subject = `${upload.counterparty}_${upload.contractType}`;
+    const messageId = `${UPLOAD_FORM_CONFIG.MESSAGE_ID_PREFIX}${Utilities.getUuid()}`;
+    const body = [
+      `契約相手: ${upload.counterparty}`,
+      `契約タイプ: ${upload.contractType}`,
+      `契約開始日: ${upload.effectiveDate}`,
+      `担当者: ${upload.owner}`,
+      upload.notes
+    ].filter(Boolean).join('\n');
+    
+    // Same interface as GmailAttachment for processAttachments()
+    const attachment = {
+      getName: () => upload.fileName,
+      getSize: () => upload.bytes.length,
+      copyBlob: () => Utilities.newBlob(upload.bytes, 'application/pdf', upload.fileName)
+    };
+    const attachmentInfo = processAttachments([attachment], subject, date, uploadedBy);
+    const status = hasStoredAgreement(attachmentInfo) ? 'Success' : 'Error';
+    
+    if (CONFIG.ENABLE_SPREADSHEET_LOGGING) {
+      addEmailRecord(Object.assign({
+        date: date,
+        sender: uploadedBy,
+        recipient: '',
+        subject: subject,
+        contractTool: UPLOAD_FORM_CONFIG.TOOL_NAME,
+        contractType: upload.contractType,
+        contractParty: upload.counterparty,
+        documentTitle: upload.fileName.replace(/\.pdf$/i, ''),
+        effectiveDate: upload.effectiveDate,
+        owner: upload.owner,
+        body: body,
+        messageId: messageId,
+        attachmentCount: 1,
+        status: status,
+        slackNotified: false,
+        error: status === 'Error' ? attachmentInfo.map(att => att.error || att.skipped).filter(Boolean).join(', ') : null
+      }, summarizeStoredDocuments(attachmentInfo)));
+    }
+    
+    let slackNotified = false;
+    try {
+      sendSlackNotification({
+        title: `📤 契約書アップロード: ${subject}`,
+        subject: subject,
+        sender: uploadedBy,
+        date: date,
+        contractTool: UPLOAD_FORM_CONFIG.TOOL_NAME,
+        body: formatEmailBody(body),
+        attachments: attachmentInfo
+      });
+      slackNotified = true;
+    } catch (error) {
+      console.error('Error sending Slack notification for upload:', error);
+    }
+    
+    if (CONFIG.ENABLE_SPREADSHEET_LOGGING && slackNotified) {
+      updateRecordStatus(messageId, { slackNotified: true });
+    }
+    
+    return { success: status === 'Success', messageId: messageId, status: status, attachments: attachmentInfo };
+    
+  } catch (error) {
+    console.error('Error processing contract upload:', error);
+    return { success: false, error: error.message };
+    
+  } finally {
+    releaseScriptLock(scriptLock);
+  }
+}
+
+/**
+ * Escape text for HTML output (pure function)
+ * HTML出力用にテキストをエスケープ（純粋関数）
+ *
+ * @param {string} text - Raw text
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+  return String(text === undefined || text === null ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Build the upload form page (pure function)
+ * アップロードフォームのHTMLを生成（純粋関数）
+ *
+ * The file input has no name: the script reads the PDF and submits it as base64 in the
+ * hidden fileData field, because doPost() does not receive multipart file uploads.
+ *
+ * @param {string} actionUrl - Web app URL the form posts to
+ * @returns {string} - HTML page
+ */
+function buildUploadFormHtml(actionUrl) {
+  const typeOptions = UPLOAD_FORM_CONFIG.CONTRACT_TYPES
+    .map(type => `<option value="${escapeHtml(type)}">`)
+    .join('');
+    
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <base target="_top">
+  <meta charset="utf-8">
+  <style>
+    body { font-family: sans-serif; max-width: 560px; margin: 24px auto; }
+    label { display: block; margin-top: 12px; font-weight: bold; }
+    input, textarea { width: 100%; box-sizing: border-box; padding: 6px; }
+    button { margin-top: 16px; padding: 8px 24px; }
+    #message { color: #721c24; margin-top: 12px; }
+  </style>
+</head>
+<body>
+  <h2>${escapeHtml(UPLOAD_FORM_CONFIG.TITLE)}</h2>
+  <form id="uploadForm" method="post" action="${escapeHtml(actionUrl)}">
+    <label>PDF *</label>
+    <input type="file" id="file" accept="application/pdf,.pdf" required>
+    <label>契約相手 / Counterparty *</label>
+    <input type="text" name="counterparty" required>
+    <label>契約タイプ / Contract type *</label>
+    <input type="text" name="contractType" list="contractTypes" required>
+    <datalist id="contractTypes">${typeOptions}</datalist>
+    <label>契約開始日 / Effective date *</label>
+    <input type="date" name="effectiveDate" required>
+    <label>担当者 / Owner *</label>
+    <input type="text" name="owner" required>
+    <label>メモ / Notes</label>
+    <textarea name="notes" rows="3"></textarea>
+    <input type="hidden" name="fileName">
+    <input type="hidden" name="fileData">
+    <button type="submit" id="submitButton">アップロード / Upload</button>
+    <div id="message"></div>
+  </form>
+  <script>
+    document.getElementById('uploadForm').addEventListener('submit', function(event) {
+      event.preventDefault();
+      var form = this;
+      var file = document.getElementById('file').files[0];
+      if (!file) return;
+      if (file.size > ${UPLOAD_FORM_CONFIG.MAX_FILE_BYTES}) {
+        document.getElementById('message').textContent = 'ファイルサイズが上限を超えています';
+        return;
+      }
+      var reader = new FileReader();
+      reader.onload = function() {
+        form.fileName.value = file.name;
+        form.fileData.value = String(reader.result).split(',')[1];
+        document.getElementById('submitButton').disabled = true;
+        form.submit();
+      };
+      reader.readAsDataURL(file);
+    });
+  </script>
+</body>
+</html>`;
+}
+
+/**
+ * Build the result page shown after an upload (pure function)
+ * アップロード後の結果ページのHTMLを生成（純粋関数）
+ *
+ * @param {Object} result - Result of processContractUpload() or a validation error
+ * @param {string} actionUrl - Web app URL for the "upload another" link
+ * @returns {string} - HTML page
+ */
+function buildUploadResultHtml(result, actionUrl) {
+  const stored = (result.attachments || []).find(att => att.pdfDirectUrl);
+  let text;
+  
+  if (result.success && stored && stored.isDuplicate) {
+    text = `<p>✅ この契約書は登録済みです: <a href="${escapeHtml(stored.pdfDirectUrl)}">既存のファイル</a></p>`;
+  } else if (result.success && stored) {
+    text = `<p>✅ 登録しました: <a href="${escapeHtml(stored.pdfDirectUrl)}">${escapeHtml(stored.savedName)}</a></p>`;
+  } else if (result.retry) {
+    text = `<p>⏳ ${escapeHtml(result.error)}</p>`;
+  } else {
+    text = `<p>❌ 登録できませんでした: ${escapeHtml(result.error || result.status)}</p>`;
+  }
+  
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <base target="_top">
+  <meta charset="utf-8">
+</head>
+<body style="font-family: sans-serif; max-width: 560px; margin: 24px auto;">
+  <h2>${escapeHtml(UPLOAD_FORM_CONFIG.TITLE)}</h2>
+  ${text}
+  <p><a href="${escapeHtml(actionUrl)}">別の契約書をアップロード / Upload another contract</a></p>
+</body>
+</html>`;
+}
@@ -0,0 +1,118 @@
+/**
+ * Test file for ZIP expansion and allow-listed contract formats (offline - no Drive writes)
+ * ZIP展開と許可された契約書形式のテストファイル（オフライン - Driveへの書き込みなし）
+ */
+
+/**
+ * Create an attachment-like object around a blob
+ * Blobを添付ファイル相当のオブジェクトで包む
+ *
+ * @param {Blob} blob - Attachment content
+ * @param {string} name - Attachment file name
+ * @returns {Object} - Object with getName(), getSize() and copyBlob() like GmailAttachment
+ */
+function createTestAttachment(blob, name) {
+  return {
+    getName: () => name,
+    getSize: () => blob.getBytes().length,
+    copyBlob: () => blob
+  };
+}
+
+/**
+ * Test getAttachmentKind() and getAttachmentFileType()
+ * getAttachmentKind()とgetAttachmentFileType()をテスト
+ */
+function testAttachmentClassification() {
+  console.log('=== TESTING Attachment Classification ===');
+  
+  try {
+    const testCases = [
+      { name: 'Signed.PDF', expected: 'pdf' },
+      { name: 'documents.zip', expected: 'archive' },
+      { name: 'Agreement_v3.docx', expected: 'contract_format' },
+      { name: 'Price list.XLSX', expected: 'contract_format' },
+      { name: 'logo.png', expected: 'other' },
+      { name: 'README', expected: 'other' }
+    ];
+    
+    const assertions = testCases.map(testCase => {
+      const kind = getAttachmentKind(testCase.name);
+      return { name: `${testCase.name} → ${kind}`, passed: kind === testCase.expected };
+    });
+    assertions.push({ name: 'File type labels', passed: getAttachmentFileType('Agreement_v3.docx') === 'DOCX' && getAttachmentFileType('Signed.PDF') === 'PDF' });
+    
+    checkAssertions(assertions, 'classification case(s)');
+    
+    console.log('\n✅ Attachment classification test completed successfully');
+    
+  } catch (error) {
+    console.error('❌ Attachment classification test failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Test expandArchiveAttachments() with an archive built by Utilities.zip
+ * Utilities.zipで作成したアーカイブに対するexpandArchiveAttachments()をテスト
+ */
+function testExpandArchiveAttachments() {
+  console.log('\n=== TESTING ZIP Expansion ===');
+  
+  try {
+    const archive = Utilities.zip([
+      Utilities.newBlob('%PDF-1.7 signed', 'application/pdf', 'Envelope/NDA - signed.pdf'),
+      Utilities.newBlob('%PDF-1.7 audit', 'application/pdf', 'Envelope/Summary.pdf'),
+      Utilities.newBlob('metadata', 'application/octet-stream', '__MACOSX/Envelope/._Summary.pdf'),
+      Utilities.newBlob('PK', 'application/zip', 'Envelope/older.zip')
+    ], 'Envelope.zip');
+    
+    const expanded = expandArchiveAttachments([
+      createTestAttachment(archive, 'Envelope.zip'),
+      createTestAttachment(Utilities.newBlob('docx', 'application/octet-stream', 'Cover.docx'), 'Cover.docx'),
+      createTestAttachment(Utilities.newBlob('not a zip', 'application/zip', 'broken.zip'), 'broken.zip')
+    ]);
+    const names = expanded.map(attachment => attachment.getName());
+    const signed = expanded.find(attachment => attachment.getName() === 'NDA - signed.pdf');
+    
+    const assertions = [
+      { name: 'PDFs inside the archive replace it (folders flattened)', passed: names.indexOf('NDA - signed.pdf') === 0 && names.indexOf('Summary.pdf') === 1 },
+      { name: 'OS metadata and nested archives left out', passed: !names.some(name => name.indexOf('._') === 0 || name === 'older.zip') },
+      { name: 'Other attachments kept in order', passed: names[2] === 'Cover.docx' },
+      { name: 'Unpacked file keeps content and archive name', passed: signed && signed.getSize() === 15 && signed.getSourceArchive() === 'Envelope.zip' },
+      { name: 'Broken archive kept as it is', passed: names.length === 4 && names[3] === 'broken.zip' },
+      { name: 'Only documents are stored', passed: names.filter(name => isStoredDocumentName(name)).length === 3 }
+    ];
+    
+    checkAssertions(assertions, 'ZIP expansion assertion(s)');
+    
+    console.log('\n✅ ZIP expansion test completed successfully');
+    
+  } catch (error) {
+    console.error('❌ ZIP expansion test failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Run all attachment format tests
+ * すべての添付ファイル形式テストを実行
+ */
+function runAttachmentFormatTests() {
+  console.log('=== RUNNING ALL ATTACHMENT FORMAT TESTS ===\n');
+  
+  try {
+    // Test 1: Classification by extension
+    testAttachmentClassification();
+    console.log('\n' + '='.repeat(50) + '\n');
+    
+    // Test 2: ZIP expansion
+    testExpandArchiveAttachments();
+    
+    console.log('\n✅ ALL ATTACHMENT FORMAT TESTS COMPLETED SUCCESSFULLY');
+    
+  } catch (error) {
+    console.error('\n❌ ATTACHMENT FORMAT TESTS FAILED:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,111 @@
+/**
+ * Test file for the historical backfill
+ * 過去分の取り込み（バックフィル）のテストファイル
+ */
+
+/**
+ * Test buildBackfillQuerySpec() (offline - no GmailApp calls)
+ * buildBackfillQuerySpec()をテスト（オフライン - GmailAppを使用しない）
+ */
+function testBackfillQuerySpec() {
+  console.log('=== TESTING Backfill Query Spec ===');
+  
+  try {
+    const all = buildBackfillQuerySpec('2024/01/01', '2024/07/01', null);
+    const cloudSign = buildBackfillQuerySpec('2024/01/01', null, 'CLOUDSIGN');
+    
+    const assertions = [
+      { name: 'Processed and skip labels not excluded', passed: all.excludeLabels.length === 0 },
+      { name: 'Date range kept', passed: all.after === '2024/01/01' && all.before === '2024/07/01' },
+      { name: 'Open end defaults to now', passed: cloudSign.before instanceof Date },
+      { name: 'Provider filter drops configured senders', passed: cloudSign.senders.length === 0 && cloudSign.providers.length === 1 && cloudSign.providers[0].TYPE === 'CLOUDSIGN' },
+      { name: 'Unknown provider rejected', passed: buildBackfillQuerySpec('2024/01/01', null, 'NO_SUCH_TOOL') === null }
+    ];
+    
+    checkAssertions(assertions, 'backfill query assertion(s)');
+    
+    console.log('\n✅ Backfill query spec test completed successfully');
+    
+  } catch (error) {
+    console.error('❌ Backfill query spec test failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Test that recording the same skipped message twice adds one ledger row (uses the spreadsheet)
+ * 同じスキップメッセージを2回記録しても記録シートが1行だけになることをテスト（スプレッドシートを使用）
+ */
+function testSkipLedgerDeduplication() {
+  console.log('\n=== TESTING Skip Ledger Deduplication ===');
+  
+  try {
+    const spreadsheetId = getProperty('SPREADSHEET_ID', false);
+    if (!spreadsheetId || !CONFIG.ENABLE_SPREADSHEET_LOGGING) {
+      console.log('⚠️  No spreadsheet logging configured - skipping ledger test');
+      return;
+    }
+    
+    const messageId = `backfill-test-${new Date().getTime()}`;
+    const message = {
+      getId: () => messageId,
+      getDate: () => new Date(),
+      getFrom: () => 'test@example.com',
+      getSubject: () => 'Backfill ledger test'
+    };
+    const evaluation = {
+      messageSource: { type: 'UNKNOWN' },
+      reason: 'SUBJECT_MISMATCH',
+      detail: 'Backfill ledger test'
+    };
+    
+    // Second call without known IDs reads the ledger, third call uses the set of a backfill run
+    recordSkippedMessage(message, evaluation);
+    recordSkippedMessage(message, evaluation);
+    recordSkippedMessage(message, evaluation, getTrackedMessageIds());
+    
+    const skippedSheet = SpreadsheetApp.openById(spreadsheetId).getSheetByName(SPREADSHEET_CONFIG.SKIPPED_TAB_NAME);
+    const ids = skippedSheet.getRange(2, 2, skippedSheet.getLastRow() - 1, 1).getValues().map(row => row[0]);
+    const rows = ids.filter(id => id === messageId).length;
+    
+    // Remove the test row again
+    const index = ids.indexOf(messageId);
+    if (index !== -1) {
+      skippedSheet.deleteRow(index + 2);
+    }
+    
+    console.log(`Ledger rows for ${messageId}: ${rows} ${rows === 1 ? '✓' : '❌'}`);
+    if (rows !== 1) {
+      throw new Error(`Expected one ledger row, found ${rows}`);
+    }
+    
+    console.log('\n✅ Skip ledger deduplication test completed successfully');
+    
+  } catch (error) {
+    console.error('❌ Skip ledger deduplication test failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Run all backfill tests
+ * すべてのバックフィルテストを実行
+ */
+function runBackfillTests() {
+  console.log('=== RUNNING ALL BACKFILL TESTS ===\n');
+  
+  try {
+    // Test 1: Query specification
+    testBackfillQuerySpec();
+    console.log('\n' + '='.repeat(50) + '\n');
+    
+    // Test 2: Skip ledger on re-runs
+    testSkipLedgerDeduplication();
+    
+    console.log('\n✅ ALL BACKFILL TESTS COMPLETED SUCCESSFULLY');
+    
+  } catch (error) {
+    console.error('\n❌ BACKFILL TESTS FAILED:', error);
+    throw error;
+  }
+}
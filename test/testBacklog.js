@@ -0,0 +1,61 @@
+/**
+ * Test file for resumable backlog processing (offline - no GmailApp calls)
+ * 再開可能なバックログ処理のテストファイル（オフライン - GmailAppを使用しない）
+ */
+
+/**
+ * Test the backlog query, batch windows and progress text
+ * バックログのクエリ・バッチ範囲・進捗表示をテスト
+ */
+function testBacklogCursor() {
+  console.log('=== TESTING Backlog Cursor ===');
+  
+  try {
+    const perRun = Math.min(CONFIG.BACKLOG_THREADS_PER_RUN, BACKLOG_CONFIG.MAX_PAGE_SIZE);
+    const total = perRun * 2 + 7;
+    
+    const first = getBacklogBatchWindow({ total: total, position: 0 });
+    const second = getBacklogBatchWindow({ total: total, position: perRun });
+    const last = getBacklogBatchWindow({ total: total, position: perRun * 2 });
+    const done = getBacklogBatchWindow({ total: total, position: total });
+    
+    const spec = buildBacklogQuerySpec({ after: '2024/01/01' });
+    const query = compileGmailQuery(spec);
+    
+    const assertions = [
+      { name: 'No label exclusions in the backlog query', passed: spec.excludeLabels.length === 0 && query.indexOf('-label:') === -1 },
+      { name: 'Upper bound frozen at start', passed: spec.before instanceof Date && spec.after === '2024/01/01' },
+      { name: 'First batch takes the oldest threads (end of the list)', passed: first.size === perRun && first.start === total - perRun },
+      { name: 'Next batch moves toward newer threads', passed: second.size === perRun && second.start === total - perRun * 2 },
+      { name: 'Last batch is partial and starts at 0', passed: last.size === 7 && last.start === 0 },
+      { name: 'Finished backlog fetches nothing', passed: done.size === 0 && done.start === 0 },
+      { name: 'Progress text', passed: formatBacklogProgress({ total: 3900, position: 1240 }) === 'Backlog progress: 1,240 of 3,900 threads (31.8%)' }
+    ];
+    
+    checkAssertions(assertions, 'backlog assertion(s)');
+    
+    console.log('\n✅ Backlog cursor test completed successfully');
+    
+  } catch (error) {
+    console.error('❌ Backlog cursor test failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Run all backlog tests
+ * すべてのバックログテストを実行
+ */
+function runBacklogTests() {
+  console.log('=== RUNNING ALL BACKLOG TESTS ===\n');
+  
+  try {
+    testBacklogCursor();
+    
+    console.log('\n✅ ALL BACKLOG TESTS COMPLETED SUCCESSFULLY');
+    
+  } catch (error) {
+    console.error('\n❌ BACKLOG TESTS FAILED:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,133 @@
+/**
+ * Test file for signed-document retrieval from download links (offline - stand-in for UrlFetchApp)
+ * ダウンロードリンクからの署名済み書類取得のテストファイル（オフライン - UrlFetchAppの代替を使用）
+ */
+
+/**
+ * Create a stand-in for UrlFetchApp that serves fixed responses by URL
+ * URLごとに固定レスポンスを返すUrlFetchAppの代替を作成
+ *
+ * @param {Object} routes - URL → {code, contentType, body, headers}
+ * @returns {Object} - Object with fetch(url, params) like UrlFetchApp; fetched URLs in .requests
+ */
+function createUrlFetchStandIn(routes) {
+  const toBytes = text => text.split('').map(char => char.charCodeAt(0) & 0xFF);
+  const requests = [];
+  
+  return {
+    requests: requests,
+    fetch: (url, params) => {
+      requests.push({ url: url, params: params });
+      const route = routes[url] || { code: 404, contentType: 'text/html', body: 'Not Found' };
+      
+      return {
+        getResponseCode: () => route.code,
+        getHeaders: () => route.headers || {},
+        getBlob: () => ({
+          getBytes: () => toBytes(route.body),
+          getContentType: () => route.contentType
+        })
+      };
+    }
+  };
+}
+
+/**
+ * Test extractDocumentLinks() and the PDF check
+ * extractDocumentLinks()とPDF判定をテスト
+ */
+function testExtractDocumentLinks() {
+  console.log('=== TESTING Document Link Extraction ===');
+  
+  try {
+    const html = '<a href="https://app.hellosign.com/attachment/downloadCopy/guid/abc123?x=1&amp;y=2">Download</a>' +
+      '<a href="https://app.hellosign.com/home/manage">Manage</a>';
+    const links = extractDocumentLinks(['', html], 'DROPBOX_SIGN');
+    const toBytes = text => text.split('').map(char => char.charCodeAt(0));
+    
+    const assertions = [
+      { name: 'Download link found, &amp; decoded', passed: links.length === 1 && links[0] === 'https://app.hellosign.com/attachment/downloadCopy/guid/abc123?x=1&y=2' },
+      { name: 'Same link in text and HTML is fetched once', passed: extractDocumentLinks([links[0], html], 'DROPBOX_SIGN').length === 1 },
+      { name: 'Providers without DOWNLOAD_LINK_PATTERNS give no links', passed: extractDocumentLinks([html], 'DOCUSIGN').length === 0 },
+      { name: 'PDF signature is recognized', passed: isPdfContent(toBytes('%PDF-1.7\n...')) },
+      { name: 'HTML login page is not a PDF', passed: !isPdfContent(toBytes('<!DOCTYPE html>')) },
+      { name: 'File name from Content-Disposition filename*', passed: getLinkedDocumentName({ 'content-disposition': "attachment; filename*=UTF-8''%E5%A5%91%E7%B4%84%E6%9B%B8.pdf" }, 'https://x/y', 'fallback') === '契約書.pdf' },
+      { name: 'Fallback file name gets .pdf', passed: getLinkedDocumentName({}, 'https://x/download', 'Service Agreement') === 'Service Agreement.pdf' }
+    ];
+    
+    checkAssertions(assertions, 'document link assertion(s)');
+    
+    console.log('\n✅ Document link extraction test completed successfully');
+    
+  } catch (error) {
+    console.error('❌ Document link extraction test failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Test retrieveLinkedDocuments() against the UrlFetchApp stand-in
+ * UrlFetchAppの代替に対するretrieveLinkedDocuments()をテスト
+ */
+function testRetrieveLinkedDocuments() {
+  console.log('\n=== TESTING Linked Document Retrieval ===');
+  
+  try {
+    const pdfUrl = 'https://app.hellosign.com/attachment/downloadCopy/guid/signed';
+    const loginUrl = 'https://app.hellosign.com/attachment/downloadCopy/guid/login';
+    const goneUrl = 'https://app.hellosign.com/attachment/downloadCopy/guid/expired';
+    
+    const standIn = createUrlFetchStandIn({
+      [pdfUrl]: { code: 200, contentType: 'application/pdf', body: '%PDF-1.4\nsigned', headers: { 'Content-Disposition': 'attachment; filename="NDA - signed.pdf"' } },
+      [loginUrl]: { code: 200, contentType: 'text/html', body: '<html>Sign in</html>' },
+      [goneUrl]: { code: 410, contentType: 'text/html', body: 'Gone' }
+    });
+    
+    const message = {
+      getPlainBody: () => `Download: ${pdfUrl}\nLogin copy: ${loginUrl}\nOld copy: ${goneUrl}`,
+      getBody: () => ''
+    };
+    
+    const result = retrieveLinkedDocuments(message, 'DROPBOX_SIGN', 'NDA', standIn);
+    const attachment = result.attachments[0];
+    
+    const assertions = [
+      { name: 'All links fetched with muteHttpExceptions', passed: standIn.requests.length === 3 && standIn.requests.every(request => request.params.muteHttpExceptions) },
+      { name: 'Only the PDF is kept', passed: result.attachments.length === 1 && attachment.getName() === 'NDA - signed.pdf' },
+      { name: 'Attachment interface for processAttachments()', passed: attachment.getSize() === 15 && attachment.getSourceUrl() === pdfUrl },
+      { name: 'HTML response rejected as not a PDF', passed: result.errors.some(entry => entry.url === loginUrl && entry.error.indexOf('Not a PDF') === 0) },
+      { name: 'HTTP error reported', passed: result.errors.some(entry => entry.url === goneUrl && entry.error === 'HTTP 410') }
+    ];
+    
+    checkAssertions(assertions, 'linked document assertion(s)');
+    
+    console.log('\n✅ Linked document retrieval test completed successfully');
+    
+  } catch (error) {
+    console.error('❌ Linked document retrieval test failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Run all document link tests
+ * すべてのダウンロードリンクテストを実行
+ */
+function runDocumentLinkTests() {
+  console.log('=== RUNNING ALL DOCUMENT LINK TESTS ===\n');
+  
+  try {
+    // Test 1: Link extraction and validation helpers
+    testExtractDocumentLinks();
+    console.log('\n' + '='.repeat(50) + '\n');
+    
+    // Test 2: Retrieval through the UrlFetchApp stand-in
+    testRetrieveLinkedDocuments();
+    
+    console.log('\n✅ ALL DOCUMENT LINK TESTS COMPLETED SUCCESSFULLY');
+    
+  } catch (error) {
+    console.error('\n❌ DOCUMENT LINK TESTS FAILED:', error);
+    throw error;
+  }
+}
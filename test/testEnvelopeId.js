@@ -0,0 +1,121 @@
+/**
+ * Test file for envelope/document ID extraction (offline - no GmailApp calls)
+ * エンベロープID／書類ID抽出のテストファイル（オフライン - GmailAppを使用しない）
+ */
+
+/**
+ * Test extractProviderEnvelopeId() for DocuSign, Dropbox Sign and CloudSign
+ * DocuSign・Dropbox Sign・クラウドサインに対するextractProviderEnvelopeId()をテスト
+ */
+function testExtractEnvelopeId() {
+  console.log('=== TESTING Envelope ID Extraction ===');
+  
+  try {
+    const testCases = [
+      {
+        name: 'DocuSign footer',
+        type: 'DOCUSIGN',
+        sources: { body: 'All parties have completed.\n\nEnvelope Id: 3f2504e04f8911d39a0c0305e82c3301' },
+        expected: '3F2504E0-4F89-11D3-9A0C-0305E82C3301'
+      },
+      {
+        name: 'DocuSign link in HTML',
+        type: 'DOCUSIGN',
+        sources: { body: '', html: '<a href="https://na3.docusign.net/Member/EmailStart.aspx?a=1&amp;envelopeId=3F2504E0-4F89-11D3-9A0C-0305E82C3301">View</a>' },
+        expected: '3F2504E0-4F89-11D3-9A0C-0305E82C3301'
+      },
+      {
+        name: 'Dropbox Sign link',
+        type: 'DROPBOX_SIGN',
+        sources: { body: 'View: https://app.hellosign.com/home/manage?guid=x&signature_request_id=fa5c8a0b0f492d768749333ad6fcc214c111e967' },
+        expected: 'FA5C8A0B0F492D768749333AD6FCC214C111E967'
+      },
+      {
+        name: 'CloudSign document link',
+        type: 'CLOUDSIGN',
+        sources: { body: 'https://www.cloudsign.jp/documents/7c9e6679-7425-40de-944b-e07fc1f90ae7' },
+        expected: '7C9E6679-7425-40DE-944B-E07FC1F90AE7'
+      },
+      {
+        name: 'Sender-based message tries every provider',
+        type: 'SENDER_BASED',
+        sources: { body: '書類ID: 7c9e6679-7425-40de-944b-e07fc1f90ae7' },
+        expected: '7C9E6679-7425-40DE-944B-E07FC1F90AE7'
+      },
+      {
+        name: 'No ID in the message',
+        type: 'DOCUSIGN',
+        sources: { body: 'Completed: NDA.pdf' },
+        expected: null
+      }
+    ];
+    
+    const assertions = testCases.map(testCase => {
+      const envelope = extractProviderEnvelopeId(testCase.sources, testCase.type);
+      const envelopeId = envelope ? envelope.envelopeId : null;
+      return { name: `${testCase.name} → ${envelopeId}`, passed: envelopeId === testCase.expected };
+    });
+    
+    checkAssertions(assertions, 'envelope ID case(s)');
+    
+    console.log('\n✅ Envelope ID extraction test completed successfully');
+    
+  } catch (error) {
+    console.error('❌ Envelope ID extraction test failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Test that copies of one envelope get the same duplicate key
+ * 同じエンベロープのコピーが同じ重複キーになることをテスト
+ */
+function testEnvelopeDuplicateKey() {
+  console.log('\n=== TESTING Envelope Duplicate Key ===');
+  
+  try {
+    // The same envelope as received by two team members: different wording of the ID
+    const copyA = extractProviderEnvelopeId({ body: 'Envelope Id: 3F2504E04F8911D39A0C0305E82C3301' }, 'DOCUSIGN');
+    const copyB = extractProviderEnvelopeId({ html: '?envelopeId=3f2504e0-4f89-11d3-9a0c-0305e82c3301' }, 'DOCUSIGN');
+    
+    const keyA = generateEnvelopeDuplicateKey(copyA);
+    const keyB = generateEnvelopeDuplicateKey(copyB);
+    const passed = keyA === keyB && keyA === 'ENVELOPE_DOCUSIGN_3F2504E0-4F89-11D3-9A0C-0305E82C3301';
+    
+    console.log(`Copy A: ${keyA}`);
+    console.log(`Copy B: ${keyB} ${passed ? '✓' : '❌'}`);
+    
+    if (!passed) {
+      throw new Error('Copies of one envelope produced different duplicate keys');
+    }
+    
+    console.log('\n✅ Envelope duplicate key test completed successfully');
+    
+  } catch (error) {
+    console.error('❌ Envelope duplicate key test failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Run all envelope ID tests
+ * すべてのエンベロープIDテストを実行
+ */
+function runEnvelopeIdTests() {
+  console.log('=== RUNNING ALL ENVELOPE ID TESTS ===\n');
+  
+  try {
+    // Test 1: Per-provider extraction
+    testExtractEnvelopeId();
+    console.log('\n' + '='.repeat(50) + '\n');
+    
+    // Test 2: Duplicate key for copies
+    testEnvelopeDuplicateKey();
+    
+    console.log('\n✅ ALL ENVELOPE ID TESTS COMPLETED SUCCESSFULLY');
+    
+  } catch (error) {
+    console.error('\n❌ ENVELOPE ID TESTS FAILED:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,66 @@
+/**
+ * Test file for the execution time budget (offline - no GmailApp calls)
+ * 実行時間予算のテストファイル（オフライン - GmailAppを使用しない）
+ */
+
+/**
+ * Test isExecutionBudgetExceeded() and the per-message stop in processThreadMessages()
+ * isExecutionBudgetExceeded()とprocessThreadMessages()のメッセージ単位の中断をテスト
+ */
+function testExecutionBudget() {
+  console.log('=== TESTING Execution Time Budget ===');
+  
+  try {
+    const budgetMs = CONFIG.EXECUTION_TIME_BUDGET_SECONDS * 1000;
+    const now = new Date().getTime();
+    
+    // Every message is already known, so processThreadMessages() has nothing to process or label
+    const thread = {
+      getMessages: () => ['budget-1', 'budget-2', 'budget-3'].map(id => ({
+        getId: () => id,
+        getSubject: () => id,
+        isInTrash: () => false
+      }))
+    };
+    const knownMessageIds = () => new Set(['budget-1', 'budget-2', 'budget-3']);
+    
+    const fresh = processThreadMessages(thread, now, knownMessageIds());
+    const exhausted = processThreadMessages(thread, now - budgetMs, knownMessageIds());
+    const unlimited = processThreadMessages(thread, null, knownMessageIds());
+    
+    const assertions = [
+      { name: 'Budget left at the start of a run', passed: !isExecutionBudgetExceeded(now) },
+      { name: 'Budget used up after EXECUTION_TIME_BUDGET_SECONDS', passed: isExecutionBudgetExceeded(now - budgetMs) },
+      { name: 'Budget leaves headroom below the 6-minute limit', passed: CONFIG.EXECUTION_TIME_BUDGET_SECONDS > 0 && CONFIG.EXECUTION_TIME_BUDGET_SECONDS < 360 },
+      { name: 'Thread checked completely within the budget', passed: fresh.checked === 3 && !fresh.stopped },
+      { name: 'Stops before the first message when the budget is used up', passed: exhausted.checked === 0 && exhausted.stopped },
+      { name: 'No startTime means no budget', passed: unlimited.checked === 3 && !unlimited.stopped }
+    ];
+    
+    checkAssertions(assertions, 'execution budget assertion(s)');
+    
+    console.log('\n✅ Execution time budget test completed successfully');
+    
+  } catch (error) {
+    console.error('❌ Execution time budget test failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Run all execution time budget tests
+ * すべての実行時間予算テストを実行
+ */
+function runExecutionBudgetTests() {
+  console.log('=== RUNNING ALL EXECUTION BUDGET TESTS ===\n');
+  
+  try {
+    testExecutionBudget();
+    
+    console.log('\n✅ ALL EXECUTION BUDGET TESTS COMPLETED SUCCESSFULLY');
+    
+  } catch (error) {
+    console.error('\n❌ EXECUTION BUDGET TESTS FAILED:', error);
+    throw error;
+  }
+}
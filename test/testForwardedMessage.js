@@ -0,0 +1,239 @@
+/**
+ * Test file for forwarded-email unwrapping (offline - no GmailApp calls)
+ * 転送メールの展開のテストファイル（オフライン - GmailAppを使用しない）
+ */
+
+/**
+ * Test parseForwardedHeaders() for English and Japanese forward formats
+ * 英語・日本語の転送形式に対するparseForwardedHeaders()をテスト
+ */
+function testParseForwardedHeaders() {
+  console.log('=== TESTING Forwarded Header Parsing ===');
+  
+  try {
+    const testCases = [
+      {
+        name: 'Gmail (English)',
+        body: 'FYI\n\n---------- Forwarded message ---------\nFrom: Docusign NA3 System <dse_na3@docusign.net>\nDate: Mon, Jan 6, 2025 at 10:00 AM\nSubject: Completed: Complete with Docusign: NDA.pdf\nTo: <legal@example.com>\n\nAll parties have completed.',
+        expectedFrom: 'Docusign NA3 System <dse_na3@docusign.net>',
+        expectedSubject: 'Completed: Complete with Docusign: NDA.pdf',
+        expectedDate: '2025-01-06T01:00:00.000Z'
+      },
+      {
+        name: 'Japanese client',
+        body: '確認お願いします。\n\n-------- 転送メッセージ --------\n差出人: クラウドサイン <noreply@cloudsign.jp>\n日付: 2025年1月6日(月) 午後3:05\n件名: 「業務委託契約書」の合意締結が完了しました\n宛先: legal@example.com\n',
+        expectedFrom: 'クラウドサイン <noreply@cloudsign.jp>',
+        expectedSubject: '「業務委託契約書」の合意締結が完了しました',
+        expectedDate: '2025-01-06T06:05:00.000Z'
+      },
+      {
+        name: 'Quoted Outlook forward',
+        subject: 'FW: 【GMOサイン】「覚書」の締結が完了しました',
+        body: '> -----Original Message-----\n> *From:* GMO Sign <noreply@gmosign.com>\n> *Sent:* 2025/01/06 10:00\n> *Subject:* 【GMOサイン】「覚書」の締結が完了しました\n',
+        expectedFrom: 'GMO Sign <noreply@gmosign.com>',
+        expectedSubject: '【GMOサイン】「覚書」の締結が完了しました',
+        expectedDate: '2025-01-06T01:00:00.000Z'
+      },
+      {
+        name: 'Outlook reply quote',
+        subject: 'RE: 契約書の件',
+        body: 'Thanks, looks good.\n\n-----Original Message-----\nFrom: Docusign <dse@docusign.net>\nSent: 2025/01/06 10:00\nSubject: Completed: NDA.pdf\n',
+        expectedFrom: null
+      },
+      {
+        name: 'Not forwarded',
+        body: 'From: someone in the body text\nSubject: not a forward',
+        expectedFrom: null
+      }
+    ];
+    
+    const assertions = testCases.map(testCase => {
+      const headers = parseForwardedHeaders(testCase.body, testCase.subject);
+      const from = headers ? headers.from : null;
+      const passed = from === testCase.expectedFrom &&
+        (!headers || (headers.subject === testCase.expectedSubject &&
+          headers.date && headers.date.toISOString() === testCase.expectedDate));
+          
+      return { name: `${testCase.name} (from: ${from})`, passed: passed };
+    });
+    
+    // Unrecognizable dates must not parse to a far-off year
+    ['x', 'Monday', '10:00', 'Jan 6 10:00'].forEach(text => {
+      assertions.push({ name: `Date "${text}" not parsed`, passed: parseForwardedDate(text) === null });
+    });
+    
+    checkAssertions(assertions, 'forwarded header case(s)');
+    
+    console.log('\n✅ Forwarded header parsing test completed successfully');
+    
+  } catch (error) {
+    console.error('❌ Forwarded header parsing test failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Test that a forwarded provider email is evaluated on the original sender and subject
+ * 転送された契約管理ツールのメールが転送元の送信者・件名で判定されることをテスト
+ */
+function testForwardedEvaluation() {
+  console.log('\n=== TESTING Forwarded Message Evaluation ===');
+  
+  try {
+    const forwarded = {
+      getId: () => 'fwd-1',
+      getFrom: () => 'Taro Yamada <taro@example.com>',
+      getDate: () => new Date('2025-01-07T00:00:00Z'),
+      getSubject: () => 'Fwd: 締結済み',
+      getTo: () => 'legal@example.com',
+      getPlainBody: () => '---------- Forwarded message ---------\nFrom: Docusign <dse@docusign.net>\nDate: Mon, Jan 6, 2025 at 10:00 AM\nSubject: Completed: Complete with Docusign: 契約書.pdf\nTo: <taro@example.com>\n',
+      getBody: () => '',
+      getAttachments: () => [{ getName: () => '契約書.pdf' }],
+      getRawContent: () => ''
+    };
+    
+    const unwrapped = unwrapForwardedMessage(forwarded);
+    const evaluation = evaluateMessage(forwarded);
+    
+    const assertions = [
+      { name: 'Original sender is used', passed: unwrapped.getFrom() === 'Docusign <dse@docusign.net>' },
+      { name: 'Forwarder is kept', passed: unwrapped.getForwardedBy().from === 'Taro Yamada <taro@example.com>' },
+      { name: 'Unwrapping twice returns the same wrapper', passed: unwrapForwardedMessage(unwrapped) === unwrapped },
+      { name: 'Evaluated as a DocuSign message', passed: evaluation.reason === 'MATCHED' && evaluation.messageSource.type === 'DOCUSIGN' }
+    ];
+    
+    checkAssertions(assertions, 'forwarded evaluation assertion(s)');
+    
+    console.log('\n✅ Forwarded message evaluation test completed successfully');
+    
+  } catch (error) {
+    console.error('❌ Forwarded message evaluation test failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Test that a copy relayed by a Google Group is unwrapped to its X-Original-Sender
+ * Googleグループで中継されたメールがX-Original-Senderに展開されることをテスト
+ */
+function testRelayedMessage() {
+  console.log('\n=== TESTING Relayed Message Unwrapping ===');
+  
+  try {
+    const createMessage = (from, rawHeaders) => ({
+      getId: () => 'relay-1',
+      getFrom: () => from,
+      getDate: () => new Date('2025-01-06T01:00:00Z'),
+      getSubject: () => 'Completed: Complete with Docusign: NDA.pdf',
+      getTo: () => 'legal@example.com',
+      getPlainBody: () => 'All parties have completed.',
+      getRawContent: () => rawHeaders + '\r\n\r\nAll parties have completed.'
+    });
+    
+    const relayed = unwrapForwardedMessage(createMessage(
+      "'Docusign NA3 System' via Legal <legal-group@example.com>",
+      'From: \'Docusign NA3 System\' via Legal <legal-group@example.com>\r\nX-Original-Sender: dse_na3@docusign.net'
+    ));
+    const direct = createMessage(
+      'Docusign NA3 System <dse_na3@docusign.net>',
+      'From: Docusign NA3 System <dse_na3@docusign.net>\r\nX-Original-Sender: dse_na3@docusign.net'
+    );
+    
+    const assertions = [
+      { name: 'Original sender from X-Original-Sender', passed: relayed.getFrom() === 'dse_na3@docusign.net' },
+      { name: 'Relay kept as forwarder', passed: relayed.getForwardedBy().from === "'Docusign NA3 System' via Legal <legal-group@example.com>" },
+      { name: 'Subject and date unchanged', passed: relayed.getSubject() === direct.getSubject() && relayed.getDate().getTime() === direct.getDate().getTime() },
+      { name: 'Sender not rewritten: message unchanged', passed: unwrapForwardedMessage(direct) === direct }
+    ];
+    
+    checkAssertions(assertions, 'relayed message assertion(s)');
+    
+    console.log('\n✅ Relayed message unwrapping test completed successfully');
+    
+  } catch (error) {
+    console.error('❌ Relayed message unwrapping test failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Test that a provider sending on someone's behalf ("Name via Dropbox Sign") is not unwrapped
+ * 代理送信するプロバイダー（"Name via Dropbox Sign"）が展開されないことをテスト
+ */
+function testProviderSenderNotUnwrapped() {
+  console.log('\n=== TESTING Provider Sender Not Unwrapped ===');
+  
+  try {
+    const from = 'Taro Yamada via Dropbox Sign <noreply@mail.hellosign.com>';
+    const message = {
+      getId: () => 'relay-2',
+      getFrom: () => from,
+      getDate: () => new Date('2025-01-06T01:00:00Z'),
+      getSubject: () => "You've been copied on NDA.pdf signed by Taro Yamada",
+      getTo: () => 'legal@example.com',
+      getCc: () => '',
+      getBcc: () => '',
+      getReplyTo: () => 'taro@customer.example.com',
+      getPlainBody: () => 'Taro Yamada has signed NDA.pdf.',
+      getBody: () => '',
+      getAttachments: () => [{ getName: () => 'NDA.pdf', getSize: () => 1 }],
+      isInTrash: () => false,
+      getRawContent: () => [
+        `From: ${from}`,
+        'Reply-To: taro@customer.example.com',
+        'X-Original-From: Taro Yamada <taro@customer.example.com>',
+        '',
+        'Taro Yamada has signed NDA.pdf.'
+      ].join('\r\n')
+    };
+    
+    const source = detectMessageSource(message);
+    const evaluation = evaluateMessage(message);
+    
+    const assertions = [
+      { name: 'Message unchanged', passed: unwrapForwardedMessage(message) === message },
+      { name: 'No relayed original sender', passed: getRelayedOriginalSender(message) === '' },
+      { name: 'Detected as Dropbox Sign by its sender', passed: source.type === 'DROPBOX_SIGN' && source.details.senderMatch === true },
+      { name: 'Evaluated as a Dropbox Sign completion', passed: evaluation.reason === 'MATCHED' && evaluation.messageSource.type === 'DROPBOX_SIGN' && evaluation.messageSource.details.senderMatch === true }
+    ];
+    
+    checkAssertions(assertions, 'provider sender assertion(s)');
+    
+    console.log('\n✅ Provider sender test completed successfully');
+    
+  } catch (error) {
+    console.error('❌ Provider sender test failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Run all forwarded message tests
+ * すべての転送メールテストを実行
+ */
+function runForwardedMessageTests() {
+  console.log('=== RUNNING ALL FORWARDED MESSAGE TESTS ===\n');
+  
+  try {
+    // Test 1: Header block parsing
+    testParseForwardedHeaders();
+    console.log('\n' + '='.repeat(50) + '\n');
+    
+    // Test 2: Detection on the original sender
+    testForwardedEvaluation();
+    console.log('\n' + '='.repeat(50) + '\n');
+    
+    // Test 3: Google Groups relay
+    testRelayedMessage();
+    console.log('\n' + '='.repeat(50) + '\n');
+    
+    // Test 4: Provider sending on someone's behalf
+    testProviderSenderNotUnwrapped();
+    
+    console.log('\n✅ ALL FORWARDED MESSAGE TESTS COMPLETED SUCCESSFULLY');
+    
+  } catch (error) {
+    console.error('\n❌ FORWARDED MESSAGE TESTS FAILED:', error);
+    throw error;
+  }
+}
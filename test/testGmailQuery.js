@@ -0,0 +1,214 @@
+/**
+ * Test file for the Gmail query compiler (offline - no GmailApp calls)
+ * Gmail検索クエリ生成のテストファイル（オフライン - GmailAppを使用しない）
+ */
+
+/**
+ * Test compileGmailQuery() output for fixed specifications
+ * 固定の指定に対するcompileGmailQuery()の出力をテスト
+ */
+function testCompileGmailQuery() {
+  console.log('=== TESTING Gmail Query Compiler ===');
+  
+  try {
+    const provider = {
+      TOOL_NAME: 'Example Sign',
+      SEARCH: {
+        FROM: ['examplesign.com'],
+        TEXT: ['via Example Sign', "'Example Sign' via"],
+        SUBJECT: ['Completed:', '締結が完了しました']
+      }
+    };
+    
+    const testCases = [
+      {
+        name: 'Senders only',
+        spec: { senders: ['noreply@contracttool1.example.com', 'noreply@contracttool2.example.com'] },
+        expected: '(from:noreply@contracttool1.example.com OR from:noreply@contracttool2.example.com)'
+      },
+      {
+        name: 'Provider terms are quoted',
+        spec: { providers: [provider] },
+        expected: '((from:examplesign.com OR "via Example Sign" OR "\'Example Sign\' via" OR subject:"Completed:" OR subject:"締結が完了しました"))'
+      },
+      {
+        name: 'Senders, provider and label exclusions',
+        spec: {
+          senders: ['noreply@contracttool1.example.com'],
+          providers: [provider],
+          excludeLabels: ['Contract_Processed', 'Contract_Skipped']
+        },
+        expected: '(from:noreply@contracttool1.example.com OR (from:examplesign.com OR "via Example Sign" OR "\'Example Sign\' via" OR subject:"Completed:" OR subject:"締結が完了しました")) -label:Contract_Processed -label:Contract_Skipped'
+      },
+      {
+        name: 'Date window (string dates)',
+        spec: { senders: ['a@example.com'], after: '2024-1-5', before: '2024/02/01' },
+        expected: '(from:a@example.com) after:2024/01/05 before:2024/02/01'
+      },
+      {
+        name: 'Date window (Date object as epoch seconds) and newer_than',
+        spec: { senders: ['a@example.com'], after: new Date(Date.UTC(2024, 0, 1)), newerThanDays: 30 },
+        expected: '(from:a@example.com) after:1704067200 newer_than:30d'
+      },
+      {
+        name: 'Processed-thread re-scan (label required)',
+        spec: { senders: ['a@example.com'], includeLabels: ['Contract_Processed'], excludeLabels: [], newerThanDays: 14 },
+        expected: '(from:a@example.com) label:Contract_Processed newer_than:14d'
+      },
+      {
+        name: 'Nested label with spaces',
+        spec: { senders: ['a@example.com'], excludeLabels: ['Contracts/Done Items'] },
+        expected: '(from:a@example.com) -label:Contracts-Done-Items'
+      },
+      {
+        name: 'Empty spec and empty senders',
+        spec: { senders: ['', null], providers: [{ TOOL_NAME: 'No search' }] },
+        expected: ''
+      }
+    ];
+    
+    const assertions = testCases.map(testCase => {
+      const query = compileGmailQuery(testCase.spec);
+      const passed = query === testCase.expected;
+      
+      return { name: passed ? testCase.name : `${testCase.name}\n  Query:    ${query}\n  Expected: ${testCase.expected}`, passed: passed };
+    });
+    
+    checkAssertions(assertions, 'query compiler assertion(s)');
+    
+    console.log('\n✅ Gmail query compiler test completed successfully');
+    
+  } catch (error) {
+    console.error('❌ Gmail query compiler test failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Test that every configured signing provider compiles to a valid clause
+ * 設定済みの全プロバイダーが有効な検索句に変換されることをテスト
+ */
+function testProviderSearchTerms() {
+  console.log('\n=== TESTING Provider Search Terms ===');
+  
+  try {
+    const assertions = getSigningProviders(false).map(provider => {
+      const terms = buildProviderSearchTerms(provider);
+      const query = compileGmailQuery({ providers: [provider] });
+      
+      // Quotes must be balanced so Gmail does not merge neighbouring terms
+      const quoteCount = (query.match(/"/g) || []).length;
+      return { name: `${provider.TOOL_NAME}: ${terms.length} terms\n  ${query}`, passed: terms.length > 0 && quoteCount % 2 === 0 };
+    });
+    
+    checkAssertions(assertions, 'provider search term assertion(s)');
+    
+    console.log('\n✅ Provider search terms test completed successfully');
+    
+  } catch (error) {
+    console.error('❌ Provider search terms test failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Test that every SEARCH.SUBJECT term finds a subject the provider's patterns accept
+ * SEARCH.SUBJECTの各検索語が、プロバイダーのパターンで受理される件名を検索できることをテスト
+ *
+ * The search terms are hand-written next to SUBJECT_PATTERNS. Each term must occur in a real
+ * notification subject below that matches a subject or lifecycle pattern of the same provider,
+ * so a pattern change that leaves a term behind (or a new term without a sample) fails here.
+ */
+function testSearchTermsMatchPatterns() {
+  console.log('\n=== TESTING Search Terms Against Subject Patterns ===');
+  
+  try {
+    const sampleSubjects = {
+      DOCUSIGN: [
+        'Completed: Complete with Docusign: NDA.pdf',
+        'Complete with Docusign: NDA.pdf',
+        'Taro Yamada via Docusign completed the document',
+        'Your document has been completed',
+        'Document signed: NDA.pdf',
+        '完了: Docusign を使用して完了してください: 業務委託契約書.pdf'
+      ],
+      DROPBOX_SIGN: [
+        "You've been copied on NDA.pdf signed by Taro Yamada",
+        'NDA.pdf has been completed',
+        'You just signed NDA.pdf'
+      ],
+      ADOBE_SIGN: [
+        'NDA between Example Inc. and Sample Co. is Signed and Filed!',
+        '「秘密保持契約書」は署名済みおよび提出済みです'
+      ],
+      CLOUDSIGN: [
+        '「001_業務委託契約書_株式会社サンプル」の合意締結が完了しました',
+        '「001_業務委託契約書_株式会社サンプル」の確認依頼',
+        '「001_業務委託契約書_株式会社サンプル」が却下されました',
+        '「001_業務委託契約書_株式会社サンプル」が取り消されました'
+      ],
+      GMO_SIGN: [
+        '【GMOサイン】「秘密保持契約書」の締結が完了しました'
+      ],
+      FREEE_SIGN: [
+        '【freeeサイン】「業務委託契約書」の締結が完了しました',
+        '締結完了のお知らせ'
+      ]
+    };
+    
+    // Gmail ignores case and punctuation such as ":" in subject: phrases
+    const normalize = text => String(text).toLowerCase().replace(/[:：!！]/g, ' ').replace(/\s+/g, ' ').trim();
+    const assertions = [];
+    
+    getSigningProviders(false).forEach(provider => {
+      const patterns = getProviderSubjectPatterns(provider, true)
+        .concat((provider.EVENT_PATTERNS || []).map(event => event.PATTERN));
+      const accepted = (sampleSubjects[provider.TYPE] || []).filter(subject => patterns.some(pattern => pattern.test(subject)));
+      
+      ((provider.SEARCH || {}).SUBJECT || []).forEach(term => {
+        assertions.push({
+          name: `${provider.TOOL_NAME}: subject:"${term}" is in an accepted sample subject`,
+          passed: accepted.some(subject => normalize(subject).indexOf(normalize(term)) !== -1)
+        });
+      });
+    });
+    
+    checkAssertions(assertions, 'search term coverage assertion(s)');
+    
+    console.log('\n✅ Search term coverage test completed successfully');
+    
+  } catch (error) {
+    console.error('❌ Search term coverage test failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Run all Gmail query compiler tests
+ * すべてのGmail検索クエリ生成テストを実行
+ */
+function runGmailQueryTests() {
+  console.log('=== RUNNING ALL GMAIL QUERY TESTS ===\n');
+  
+  try {
+    // Test 1: Pure compiler output
+    testCompileGmailQuery();
+    console.log('\n' + '='.repeat(50) + '\n');
+    
+    // Test 2: Configured providers
+    testProviderSearchTerms();
+    console.log('\n' + '='.repeat(50) + '\n');
+    
+    // Test 3: Search terms backed by subject patterns
+    testSearchTermsMatchPatterns();
+    
+    console.log('\n✅ ALL GMAIL QUERY TESTS COMPLETED SUCCESSFULLY');
+    console.log('\nNext steps:');
+    console.log('1. Run previewGmailQuery() to see the live query and estimated hit count');
+    console.log("2. Run previewGmailQuery({after: '2024/01/01'}) to check a date window");
+    
+  } catch (error) {
+    console.error('\n❌ GMAIL QUERY TESTS FAILED:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,25 @@
+/**
+ * Shared helpers for the test files
+ * テストファイル共通のヘルパー
+ */
+
+/**
+ * Log each assertion as "Test N: name ✓/❌" and throw if any failed
+ * 各アサーションを「Test N: 名前 ✓/❌」で出力し、失敗があれば例外を投げる
+ *
+ * @param {Array<Object>} assertions - [{name, passed}]
+ * @param {string} label - What failed, for the error message, e.g. 'provider registry assertion(s)'
+ * @throws {Error} - "<count> <label> failed" when at least one assertion failed
+ */
+function checkAssertions(assertions, label) {
+  let failures = 0;
+  
+  assertions.forEach((assertion, index) => {
+    if (!assertion.passed) failures++;
+    console.log(`Test ${index + 1}: ${assertion.name} ${assertion.passed ? '✓' : '❌'}`);
+  });
+  
+  if (failures > 0) {
+    throw new Error(`${failures} ${label} failed`);
+  }
+}
@@ -0,0 +1,245 @@
+/**
+ * Test file for envelope lifecycle tracking (offline - SpreadsheetApp is stubbed)
+ * エンベロープのライフサイクル追跡のテストファイル（オフライン - SpreadsheetAppは代替オブジェクト）
+ */
+
+/**
+ * Test detectLifecycleEvent() for DocuSign, Dropbox Sign and CloudSign notifications
+ * DocuSign・Dropbox Sign・クラウドサインの通知に対するdetectLifecycleEvent()をテスト
+ */
+function testDetectLifecycleEvent() {
+  console.log('=== TESTING Lifecycle Event Detection ===');
+  
+  try {
+    const testCases = [
+      // DocuSign: the notification prefix is removed, the envelope prefix is not part of the key
+      { type: 'DOCUSIGN', subject: 'Please DocuSign: 業務委託契約書.pdf', expectedState: 'sent', expectedKey: 'DOCUSIGN:業務委託契約書.pdf' },
+      { type: 'DOCUSIGN', subject: 'Voided: Please DocuSign: 業務委託契約書.pdf', expectedState: 'voided', expectedKey: 'DOCUSIGN:業務委託契約書.pdf' },
+      { type: 'DOCUSIGN', subject: 'Completed: Complete with Docusign: NDA.pdf', expectedState: 'completed', expectedKey: 'DOCUSIGN:nda.pdf' },
+      { type: 'DOCUSIGN', subject: '辞退：NDA.pdf', expectedState: 'declined', expectedKey: 'DOCUSIGN:nda.pdf' },
+      { type: 'DOCUSIGN', subject: 'Fwd: Expired: NDA.pdf', expectedState: 'expired', expectedKey: 'DOCUSIGN:nda.pdf' },
+      { type: 'DOCUSIGN', subject: 'Reminder: Completed: NDA.pdf', expectedState: null },
+      
+      // With an envelope ID, envelopes that reuse a document name get their own key
+      { type: 'DOCUSIGN', subject: 'Completed: NDA.pdf', envelopeId: '1A2B3C4D-0000-1111-2222-333344445555', expectedState: 'completed', expectedKey: 'DOCUSIGN:1A2B3C4D-0000-1111-2222-333344445555' },
+      { type: 'DOCUSIGN', subject: 'Please DocuSign: NDA.pdf', envelopeId: '9F8E7D6C-0000-1111-2222-333344445555', expectedState: 'sent', expectedKey: 'DOCUSIGN:9F8E7D6C-0000-1111-2222-333344445555' },
+      
+      // Dropbox Sign: the document name is the part before the event phrase
+      { type: 'DROPBOX_SIGN', subject: 'Service Agreement has been viewed by Taro Yamada', expectedState: 'viewed', expectedKey: 'DROPBOX_SIGN:service agreement' },
+      { type: 'DROPBOX_SIGN', subject: 'Service Agreement has been signed by Taro Yamada', expectedState: 'partially_signed', expectedKey: 'DROPBOX_SIGN:service agreement' },
+      { type: 'DROPBOX_SIGN', subject: 'Service Agreement has been declined by Taro Yamada', expectedState: 'declined', expectedKey: 'DROPBOX_SIGN:service agreement' },
+      { type: 'DROPBOX_SIGN', subject: "You've been copied on Service Agreement signed by Taro Yamada and Hanako Sato", expectedState: 'completed', expectedKey: 'DROPBOX_SIGN:service agreement' },
+      
+      // CloudSign: provider event names map to states, the title comes from 「」
+      { type: 'CLOUDSIGN', subject: '「業務委託契約書」の確認依頼', expectedState: 'sent', expectedKey: 'CLOUDSIGN:業務委託契約書' },
+      { type: 'CLOUDSIGN', subject: '「業務委託契約書」の合意締結が完了しました', expectedState: 'completed', expectedKey: 'CLOUDSIGN:業務委託契約書' },
+      { type: 'CLOUDSIGN', subject: '「業務委託契約書」が却下されました', expectedState: 'declined', expectedKey: 'CLOUDSIGN:業務委託契約書' },
+      
+      // Providers without EVENT_PATTERNS and sender-based messages are not tracked
+      { type: 'GMO_SIGN', subject: '【GMOサイン】「覚書」の締結が完了しました', expectedState: null },
+      { type: 'SENDER_BASED', subject: 'Completed: NDA.pdf', expectedState: null }
+    ];
+    
+    const assertions = testCases.map(testCase => {
+      const lifecycle = detectLifecycleEvent(testCase.subject, testCase.type, testCase.envelopeId);
+      const state = lifecycle ? lifecycle.state : null;
+      const passed = state === testCase.expectedState &&
+        (!testCase.expectedKey || (lifecycle && lifecycle.key === testCase.expectedKey));
+        
+      return { name: `[${testCase.type}] ${testCase.subject} → ${state}`, passed: passed };
+    });
+    
+    checkAssertions(assertions, 'lifecycle detection case(s)');
+    
+    console.log('\n✅ Lifecycle event detection test completed successfully');
+    
+  } catch (error) {
+    console.error('❌ Lifecycle event detection test failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Test that states only move forward and final states are kept
+ * 状態が前進のみし、最終状態が維持されることをテスト
+ */
+function testLifecycleTransitions() {
+  console.log('\n=== TESTING Lifecycle Transitions ===');
+  
+  try {
+    const assertions = [
+      { name: 'New envelope accepts any state', passed: isLifecycleTransitionForward('', 'viewed') },
+      { name: 'sent → viewed', passed: isLifecycleTransitionForward('sent', 'viewed') },
+      { name: 'viewed → completed', passed: isLifecycleTransitionForward('viewed', 'completed') },
+      { name: 'partially_signed → declined', passed: isLifecycleTransitionForward('partially_signed', 'declined') },
+      { name: 'Late viewed after completed is not applied', passed: !isLifecycleTransitionForward('completed', 'viewed') },
+      { name: 'Final state is not replaced by another final state', passed: !isLifecycleTransitionForward('voided', 'completed') },
+      { name: 'Repeated state is not a transition', passed: !isLifecycleTransitionForward('sent', 'sent') }
+    ];
+    
+    checkAssertions(assertions, 'lifecycle transition assertion(s)');
+    
+    console.log('\n✅ Lifecycle transition test completed successfully');
+    
+  } catch (error) {
+    console.error('❌ Lifecycle transition test failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Test that notifications with and without the envelope ID share one status row (stubbed spreadsheet)
+ * エンベロープIDの有無が混在する通知が1つのステータス行にまとまることをテスト（スプレッドシートは代替オブジェクト）
+ */
+function testLifecycleRowMatching() {
+  console.log('\n=== TESTING Lifecycle Row Matching ===');
+  
+  const originalSpreadsheetApp = SpreadsheetApp;
+  const originalGetProperty = getProperty;
+  
+  try {
+    const envelopeId = '1A2B3C4D-0000-1111-2222-33334444555A';
+    let rows = [];
+    
+    // In-memory status sheet: rows below the header, columns A-H
+    const statusSheet = {
+      getLastRow: () => rows.length + 1,
+      appendRow: values => rows.push(values.slice()),
+      getRange: (row, column, numRows = 1, numColumns = 1) => ({
+        getValues: () => rows.slice(row - 2, row - 2 + numRows).map(values => values.slice(column - 1, column - 1 + numColumns)),
+        setValues: values => values.forEach((rowValues, offset) => {
+          rows[row - 2 + offset].splice(column - 1, rowValues.length, ...rowValues);
+        }),
+        setValue: value => {
+          rows[row - 2][column - 1] = value;
+        }
+      })
+    };
+    
+    SpreadsheetApp = { openById: () => ({ getSheetByName: () => statusSheet }) };
+    getProperty = (key, required) => key === 'SPREADSHEET_ID' ? 'lifecycle-test-spreadsheet' : originalGetProperty(key, required);
+    
+    const replay = (notifications, existingRows = []) => {
+      rows = existingRows;
+      notifications.forEach((notification, index) => {
+        const message = { getId: () => `lifecycle-test-${index}`, getDate: () => new Date('2025-06-02T10:00:00Z') };
+        recordLifecycleEvent(message, detectLifecycleEvent(notification.subject, 'DOCUSIGN', notification.envelopeId || null));
+      });
+      return rows;
+    };
+    
+    const idFirst = replay([
+      { subject: 'Please DocuSign: NDA.pdf', envelopeId: envelopeId },
+      { subject: 'Viewed: Complete with Docusign: NDA.pdf' },
+      { subject: 'Completed: Complete with Docusign: NDA.pdf' }
+    ]);
+    const nameFirst = replay([
+      { subject: 'Please DocuSign: NDA.pdf' },
+      { subject: 'Viewed: Complete with Docusign: NDA.pdf', envelopeId: envelopeId },
+      { subject: 'Completed: Complete with Docusign: NDA.pdf' }
+    ]);
+    const reusedName = replay([
+      { subject: 'Please DocuSign: NDA.pdf', envelopeId: envelopeId }
+    ], [['DOCUSIGN:nda.pdf', 'DocuSign', 'NDA.pdf', 'completed', '', '', '', '']]);
+    const otherProvider = replay([
+      { subject: 'Viewed: Complete with Docusign: NDA.pdf' }
+    ], [['DROPBOX_SIGN:nda.pdf', 'Dropbox Sign', 'NDA.pdf', 'sent', '', '', '', '']]);
+    
+    const assertions = [
+      { name: 'ID first: notifications without the ID join the ID row', passed: idFirst.length === 1 && idFirst[0][0] === `DOCUSIGN:${envelopeId}` && idFirst[0][3] === 'completed' },
+      { name: 'ID first: every notification in the history', passed: idFirst.length === 1 && idFirst[0][7].split('\n').length === 3 },
+      { name: 'Name first: the ID is backfilled into the name row', passed: nameFirst.length === 1 && nameFirst[0][0] === `DOCUSIGN:${envelopeId}` && nameFirst[0][3] === 'completed' },
+      { name: 'Finished envelope with the same name keeps its row', passed: reusedName.length === 2 && reusedName[0][0] === 'DOCUSIGN:nda.pdf' && reusedName[1][0] === `DOCUSIGN:${envelopeId}` },
+      { name: 'Same name from another provider is a new envelope', passed: otherProvider.length === 2 && otherProvider[1][0] === 'DOCUSIGN:nda.pdf' }
+    ];
+    
+    checkAssertions(assertions, 'lifecycle row matching assertion(s)');
+    
+    console.log('\n✅ Lifecycle row matching test completed successfully');
+    
+  } catch (error) {
+    console.error('❌ Lifecycle row matching test failed:', error);
+    throw error;
+  } finally {
+    SpreadsheetApp = originalSpreadsheetApp;
+    getProperty = originalGetProperty;
+  }
+}
+
+/**
+ * Test that excluded lifecycle notifications are evaluated as LIFECYCLE instead of skipped
+ * 除外対象のライフサイクル通知がスキップではなくLIFECYCLEと判定されることをテスト
+ */
+function testLifecycleEvaluation() {
+  console.log('\n=== TESTING Lifecycle Evaluation ===');
+  
+  try {
+    const createMessage = (from, subject, attachmentNames, body = '') => ({
+      getFrom: () => from,
+      getSubject: () => subject,
+      getTo: () => 'legal@example.com',
+      getAttachments: () => attachmentNames.map(name => ({ getName: () => name })),
+      getRawContent: () => '',
+      getPlainBody: () => body
+    });
+    
+    const testCases = [
+      { from: 'Docusign <dse@docusign.net>', subject: 'Voided: Complete with Docusign: 契約書.pdf', attachments: ['契約書.pdf'], expectedReason: 'LIFECYCLE' },
+      { from: 'Docusign <dse@docusign.net>', subject: 'Viewed: Complete with Docusign: 契約書.pdf', attachments: [], expectedReason: 'LIFECYCLE' },
+      { from: 'Docusign <dse@docusign.net>', subject: 'Completed: Complete with Docusign: 契約書.pdf', attachments: ['契約書.pdf'], expectedReason: 'MATCHED' },
+      { from: 'Docusign <dse@docusign.net>', subject: 'Reminder: Completed: 契約書.pdf', attachments: ['契約書.pdf'], expectedReason: 'EXCLUDED' },
+      { from: 'Docusign <dse@docusign.net>', subject: 'Voided: Complete with Docusign: NDA.pdf', attachments: [], body: 'Envelope Id: 1a2b3c4d00001111222233334444555a', expectedReason: 'LIFECYCLE', expectedKey: 'DOCUSIGN:1A2B3C4D-0000-1111-2222-33334444555A' }
+    ];
+    
+    const assertions = testCases.map(testCase => {
+      const evaluation = evaluateMessage(createMessage(testCase.from, testCase.subject, testCase.attachments, testCase.body));
+      const passed = evaluation.reason === testCase.expectedReason &&
+        (testCase.expectedReason !== 'MATCHED' || (evaluation.lifecycle && evaluation.lifecycle.state === 'completed')) &&
+        (!testCase.expectedKey || (evaluation.lifecycle && evaluation.lifecycle.key === testCase.expectedKey));
+        
+      return { name: `${testCase.subject} → ${evaluation.reason} (expected ${testCase.expectedReason})`, passed: passed };
+    });
+    
+    checkAssertions(assertions, 'lifecycle evaluation case(s)');
+    
+    console.log('\n✅ Lifecycle evaluation test completed successfully');
+    
+  } catch (error) {
+    console.error('❌ Lifecycle evaluation test failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Run all lifecycle tests
+ * すべてのライフサイクルテストを実行
+ */
+function runLifecycleTests() {
+  console.log('=== RUNNING ALL LIFECYCLE TESTS ===\n');
+  
+  try {
+    // Test 1: Notification → state detection
+    testDetectLifecycleEvent();
+    console.log('\n' + '='.repeat(50) + '\n');
+    
+    // Test 2: Forward-only transitions
+    testLifecycleTransitions();
+    console.log('\n' + '='.repeat(50) + '\n');
+    
+    // Test 3: Rows shared by notifications with and without the envelope ID
+    testLifecycleRowMatching();
+    console.log('\n' + '='.repeat(50) + '\n');
+    
+    // Test 4: Evaluation of excluded notifications
+    testLifecycleEvaluation();
+    
+    console.log('\n✅ ALL LIFECYCLE TESTS COMPLETED SUCCESSFULLY');
+    console.log('\nNext steps:');
+    console.log('1. Run processEmails() - lifecycle notifications are recorded in the ステータス_Envelope_Status tab');
+    console.log('2. Run showEnvelopeStatus() to list envelopes that are not completed yet');
+    
+  } catch (error) {
+    console.error('\n❌ LIFECYCLE TESTS FAILED:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,128 @@
+/**
+ * Test file for the Settings sheet parser (offline - no SpreadsheetApp calls)
+ * 設定シート解析のテストファイル（オフライン - SpreadsheetAppを使用しない）
+ */
+
+/**
+ * Test parseSettingsRows() validation and conversion for fixed rows
+ * 固定の行に対するparseSettingsRows()の検証と変換をテスト
+ */
+function testParseSettingsRows() {
+  console.log('=== TESTING Settings Sheet Parser ===');
+  
+  try {
+    const rows = [
+      ['MAX_EMAILS_PER_RUN', 25],                        // row 2
+      ['# comment row', 'ignored'],                      // row 3
+      ['SUBJECT_PATTERN', '/^Completed:.*\\.pdf$/i'],     // row 4
+      ['SUBJECT_PATTERN', '締結が完了しました'],            // row 5
+      ['SUBJECT_PATTERN', '/([unclosed/i'],              // row 6
+      ['cloudsign.enable', false],                       // row 7
+      ['DOCUSIGN.ENABLE', 'no'],                         // row 8
+      ['DRIVE_LAYOUT', 'Year_Month'],                    // row 9
+      ['SLACK_CHANNEL', '#legal ops'],                   // row 10
+      ['UNKNOWN_SETTING', 'x'],                          // row 11
+      ['NOSUCHSIGN.ENABLE', true],                       // row 12
+      ['GMO_SIGN.SUBJECT_PATTERN', '/締結/g'],            // row 13
+      ['MAX_EMAILS_PER_RUN', ''],                        // row 14 (blank - code default)
+      ['SUBJECT_MATCH_MODE', 'sometimes']                // row 15
+    ];
+    
+    const result = parseSettingsRows(rows, 2);
+    const values = result.values;
+    const errorRows = result.errors.map(error => error.row);
+    
+    const assertions = [
+      { name: 'Integer setting', passed: values.MAX_EMAILS_PER_RUN === 25 },
+      { name: 'Regex list keeps valid rows only', passed: (values['SUBJECT_PATTERNS.PATTERNS'] || []).length === 2 },
+      { name: 'Regex literal flags', passed: values['SUBJECT_PATTERNS.PATTERNS'][0].test('completed: a.PDF') },
+      { name: 'Bare regex pattern', passed: values['SUBJECT_PATTERNS.PATTERNS'][1].test('「覚書」の締結が完了しました') },
+      { name: 'Provider toggle (case-insensitive key)', passed: values['CLOUDSIGN_INTEGRATION.ENABLE'] === false },
+      { name: 'Provider toggle from text', passed: values['DOCUSIGN_INTEGRATION.ENABLE'] === false },
+      { name: 'Enum normalized', passed: values.DRIVE_LAYOUT === 'year_month' },
+      { name: 'Invalid regex reported (row 6)', passed: errorRows.includes(6) },
+      { name: 'Channel with a space rejected (row 10)', passed: errorRows.includes(10) && !('SLACK_CHANNEL' in values) },
+      { name: 'Unknown setting reported (row 11)', passed: errorRows.includes(11) },
+      { name: 'Unknown provider reported (row 12)', passed: errorRows.includes(12) },
+      { name: 'g flag rejected (row 13)', passed: errorRows.includes(13) && !('GMO_SIGN_INTEGRATION.SUBJECT_PATTERNS' in values) },
+      { name: 'Invalid enum reported (row 15)', passed: errorRows.includes(15) },
+      { name: 'Comment and blank rows ignored', passed: !errorRows.includes(3) && !errorRows.includes(14) && result.errors.length === 6 }
+    ];
+    
+    result.errors.forEach(error => {
+      console.log(`  Row ${error.row} ${error.key}: ${error.message}`);
+    });
+    
+    checkAssertions(assertions, 'settings parser assertion(s)');
+    
+    console.log('\n✅ Settings sheet parser test completed successfully');
+    
+  } catch (error) {
+    console.error('❌ Settings sheet parser test failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Test that applying a snapshot overrides CONFIG and an empty snapshot restores code defaults
+ * スナップショット適用でCONFIGが上書きされ、空のスナップショットでデフォルトに戻ることをテスト
+ */
+function testApplySettingsSnapshot() {
+  console.log('\n=== TESTING Settings Snapshot Apply/Restore ===');
+  
+  // Start from the code defaults even if this run already loaded the Settings sheet
+  applySettingsSnapshot({ values: {} });
+  const defaultMaxEmails = CONFIG.MAX_EMAILS_PER_RUN;
+  const defaultPatterns = CONFIG.SUBJECT_PATTERNS.PATTERNS;
+  
+  try {
+    applySettingsSnapshot({ values: { MAX_EMAILS_PER_RUN: defaultMaxEmails + 1, 'SUBJECT_PATTERNS.PATTERNS': [/only/] } });
+    const applied = CONFIG.MAX_EMAILS_PER_RUN === defaultMaxEmails + 1 && CONFIG.SUBJECT_PATTERNS.PATTERNS.length === 1;
+    
+    applySettingsSnapshot({ values: {} });
+    const restored = CONFIG.MAX_EMAILS_PER_RUN === defaultMaxEmails && CONFIG.SUBJECT_PATTERNS.PATTERNS === defaultPatterns;
+    
+    console.log(`Snapshot applied to CONFIG ${applied ? '✓' : '❌'}`);
+    console.log(`Code defaults restored ${restored ? '✓' : '❌'}`);
+    
+    if (!applied || !restored) {
+      throw new Error('Settings snapshot apply/restore failed');
+    }
+    
+    console.log('\n✅ Settings snapshot test completed successfully');
+    
+  } catch (error) {
+    console.error('❌ Settings snapshot test failed:', error);
+    throw error;
+  } finally {
+    // Leave CONFIG as it was for the rest of this execution
+    activeSettingsSnapshot = null;
+    applySettingsSnapshot({ values: {} });
+  }
+}
+
+/**
+ * Run all Settings sheet tests
+ * すべての設定シートテストを実行
+ */
+function runSettingsSheetTests() {
+  console.log('=== RUNNING ALL SETTINGS SHEET TESTS ===\n');
+  
+  try {
+    // Test 1: Row parsing and validation
+    testParseSettingsRows();
+    console.log('\n' + '='.repeat(50) + '\n');
+    
+    // Test 2: Overlay on CONFIG
+    testApplySettingsSnapshot();
+    
+    console.log('\n✅ ALL SETTINGS SHEET TESTS COMPLETED SUCCESSFULLY');
+    console.log('\nNext steps:');
+    console.log('1. Run setupSettingsSheet() to create the 設定_Settings tab from the code defaults');
+    console.log('2. Run validateSettingsSheet() after editing it');
+    
+  } catch (error) {
+    console.error('\n❌ SETTINGS SHEET TESTS FAILED:', error);
+    throw error;
+  }
+}
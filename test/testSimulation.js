@@ -0,0 +1,76 @@
+/**
+ * Test file for simulation mode (reads the processed sheet, never writes)
+ * シミュレーションモードのテストファイル（処理済みシートを読み取るのみで書き込まない）
+ */
+
+/**
+ * Test simulateMessage() decisions on sample messages
+ * サンプルメッセージに対するsimulateMessage()の判定をテスト
+ */
+function testSimulationDecisions() {
+  console.log('=== TESTING Simulation Decisions ===');
+  
+  try {
+    // Read-only stubs: any label, star or read-state call would throw and show up as ERROR
+    const createMessage = (id, from, subject, body, attachmentNames) => ({
+      getId: () => id,
+      getFrom: () => from,
+      getSubject: () => subject,
+      getTo: () => 'legal@example.com',
+      getCc: () => '',
+      getBcc: () => '',
+      getReplyTo: () => '',
+      getDate: () => new Date('2025-06-02T10:00:00Z'),
+      getPlainBody: () => body,
+      getBody: () => body,
+      getRawContent: () => '',
+      isInTrash: () => false,
+      getAttachments: () => attachmentNames.map(name => ({ getName: () => name, getSize: () => 1 }))
+    });
+    
+    const completed = simulateMessage(createMessage(
+      'simulation-test-1',
+      'Docusign NA3 System <dse_na3@docusign.net>',
+      'Completed: Complete with Docusign: NDA_Acme.pdf',
+      'Envelope Id: 1A2B3C4D5E6F47A8B9C0D1E2F3A4B5C6',
+      ['NDA_Acme.pdf']
+    ));
+    const unrelated = simulateMessage(createMessage('simulation-test-2', 'Tanaka <tanaka@example.com>', 'ランチのご案内', '', []));
+    const voided = simulateMessage(createMessage('simulation-test-3', 'Docusign NA3 System <dse_na3@docusign.net>', 'Voided: Please DocuSign: NDA.pdf', '', []));
+    
+    const assertions = [
+      { name: 'Completion would be processed', passed: completed.decision === 'PROCESS' && completed.reason === 'MATCHED' && completed.sourceType === 'DOCUSIGN' },
+      { name: 'Metadata as in the contract row', passed: completed.contractTool === 'DocuSign' && completed.contractType === '秘密保持契約' },
+      { name: 'Envelope ID is the duplicate key', passed: completed.contentKey === 'ENVELOPE_DOCUSIGN_1A2B3C4D-5E6F-47A8-B9C0-D1E2F3A4B5C6' },
+      { name: 'Unrelated mail would be skipped with a reason', passed: unrelated.decision === 'SKIP' && unrelated.reason === 'UNKNOWN' && unrelated.detail !== '' },
+      { name: 'Lifecycle notice reported as LIFECYCLE', passed: voided.decision === 'PROCESS' && voided.reason === 'LIFECYCLE' && voided.documentTitle === 'NDA.pdf' },
+      { name: 'No message was modified', passed: [completed, unrelated, voided].every(decision => decision.decision !== 'ERROR') }
+    ];
+    
+    checkAssertions(assertions, 'simulation assertion(s)');
+    
+    console.log('\n✅ Simulation decision test completed successfully');
+    
+  } catch (error) {
+    console.error('❌ Simulation decision test failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Run all simulation tests
+ * すべてのシミュレーションテストを実行
+ */
+function runSimulationTests() {
+  console.log('=== RUNNING ALL SIMULATION TESTS ===\n');
+  
+  try {
+    testSimulationDecisions();
+    
+    console.log('\n✅ ALL SIMULATION TESTS COMPLETED SUCCESSFULLY');
+    
+  } catch (error) {
+    console.error('\n❌ SIMULATION TESTS FAILED:', error);
+    throw error;
+  }
+}
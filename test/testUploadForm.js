@@ -0,0 +1,72 @@
+/**
+ * Test file for the contract upload web app (offline - no Drive writes)
+ * 契約書アップロードWebアプリのテストファイル（オフライン - Driveへの書き込みなし）
+ */
+
+/**
+ * Test parseUploadSubmission() validation and buildUploadFormHtml() escaping
+ * parseUploadSubmission()の検証とbuildUploadFormHtml()のエスケープをテスト
+ */
+function testUploadSubmission() {
+  console.log('=== TESTING Upload Submission ===');
+  
+  try {
+    const pdfData = Utilities.base64Encode('%PDF-1.4 scanned contract');
+    const valid = parseUploadSubmission({
+      fileName: 'Scan/2025-06.pdf',
+      fileData: pdfData,
+      counterparty: ' 株式会社サンプル ',
+      contractType: '業務委託契約',
+      effectiveDate: '2025-07-01',
+      owner: '山田'
+    });
+    const notPdf = parseUploadSubmission({
+      fileName: 'scan.pdf',
+      fileData: Utilities.base64Encode('PK zip content'),
+      counterparty: '株式会社サンプル',
+      contractType: '覚書',
+      effectiveDate: '2025-02-30',
+      owner: '山田'
+    });
+    const empty = parseUploadSubmission({});
+    const html = buildUploadFormHtml('https://script.google.com/exec?a="b"&c=<d>');
+    const busyPage = buildUploadResultHtml({ success: false, retry: true, error: 'メール処理の実行中です' }, 'https://script.google.com/exec');
+    
+    const assertions = [
+      { name: 'Valid submission has no errors', passed: valid.errors.length === 0 },
+      { name: 'Fields trimmed, file name sanitized', passed: valid.upload.counterparty === '株式会社サンプル' && valid.upload.fileName === 'Scan_2025-06.pdf' },
+      { name: 'Effective date stored as yyyy/MM/dd', passed: valid.upload.effectiveDate === '2025/07/01' },
+      { name: 'Non-PDF content and impossible date rejected', passed: notPdf.errors.length === 2 },
+      { name: 'Empty form reports every required field', passed: empty.errors.length === 5 },
+      { name: 'Form action URL escaped', passed: html.indexOf('action="https://script.google.com/exec?a=&quot;b&quot;&amp;c=&lt;d&gt;"') !== -1 },
+      { name: 'Contract types offered', passed: html.indexOf('<option value="秘密保持契約">') !== -1 },
+      { name: 'Busy lock asks to retry, not a failure', passed: busyPage.indexOf('⏳ メール処理の実行中です') !== -1 && busyPage.indexOf('登録できませんでした') === -1 }
+    ];
+    
+    checkAssertions(assertions, 'upload submission assertion(s)');
+    
+    console.log('\n✅ Upload submission test completed successfully');
+    
+  } catch (error) {
+    console.error('❌ Upload submission test failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Run all upload form tests
+ * すべてのアップロードフォームテストを実行
+ */
+function runUploadFormTests() {
+  console.log('=== RUNNING ALL UPLOAD FORM TESTS ===\n');
+  
+  try {
+    testUploadSubmission();
+    
+    console.log('\n✅ ALL UPLOAD FORM TESTS COMPLETED SUCCESSFULLY');
+    
+  } catch (error) {
+    console.error('\n❌ UPLOAD FORM TESTS FAILED:', error);
+    throw error;
+  }
+}